@@ -1,6 +1,15 @@
 // background.js
 // Tracks active tab time, categorizes domains, sends break/get-back messages.
 
+importScripts("categoryRules.js"); // BlinkRules: shared category rule engine
+importScripts("budgets.js"); // BlinkBudgets: daily time budgets
+importScripts("siteControls.js"); // BlinkSites: enable toggle, per-site lists, pause
+importScripts("goals.js"); // BlinkGoals: daily productive-time goals
+importScripts("teamPolicy.js"); // BlinkTeam: team categories and thresholds
+importScripts("reportSink.js"); // BlinkReports: daily reports to a user-configured URL
+importScripts("breakTypes.js"); // BlinkBreaks: break activities and their guided steps
+importScripts("breakHistory.js"); // BlinkBreakHistory: break and reminder stats
+
 const DEFAULT_CATEGORY_MAP = {
   "social": ["youtube.com", "instagram.com", "twitter.com", "tiktok.com", "facebook.com", "reddit.com"],
   "games": ["roblox.com", "steampowered.com", "epicgames.com", "miniclip.com"],
@@ -8,140 +17,749 @@ const DEFAULT_CATEGORY_MAP = {
   "productive": ["notion.so", "github.com", "stackoverflow.com", "drive.google.com", "docs.google.com"]
 };
 
-// runtime state
-let activeTabId = null;
-let activeDomain = null;
-let activeCategory = null;
-let activeStart = Date.now();
+// runtime state: the tracked tab lives in `tracker` (see "Tracker" below).
+// MV3 stops idle service workers, so these are mirrored to storage by
+// saveStreaks() and restored on every wake (see stateRestored).
 
 // productive session tracking
-let productiveSessionStart = null; // timestamp when consecutive productive started
-let productiveAccumulated = 0; // milliseconds accumulated today (persisted)
+let productiveSessionStart = null; // timestamp when consecutive productive started (session)
+let productiveAccumulated = 0; // milliseconds accumulated today (local)
 
 // distracting streak tracking
-let distractingStart = null;
+let distractingStart = null; // (session)
+
+// thresholds (defaults; user values live in the `thresholds` sync setting
+// and are re-read on every check, so edits apply without a reload)
+const DEFAULT_THRESHOLDS = {
+  getBackMinutes: 15, // minutes on distracting sites before the get-back nudge
+  breakHours: [2, 3, 4], // productive hours at which break reminders fire
+  inactivitySeconds: 60, // a page stops counting after this much inactivity
+  resetGapMinutes: 30 // floating timer restarts from 0 after this long away
+};
 
-// thresholds (ms)
-const GET_BACK_THRESHOLD = 15 * 60 * 1000; // 15 minutes on distracting sites triggers get-back
-const BREAK_THRESHOLDS = [2 * 60 * 60 * 1000, 3 * 60 * 60 * 1000, 4 * 60 * 60 * 1000];
+// the team policy: managed storage (administrator) plus an imported team
+// file, see teamPolicy.js
+async function loadTeamPolicy() {
+  let managed = {};
+  try {
+    managed = await chrome.storage.managed.get(null);
+  } catch (e) {
+    // no policy schema / managed storage unavailable
+  }
+  const local = await chrome.storage.local.get(BlinkTeam.TEAM_FILE_KEY);
+  return BlinkTeam.combinePolicies(managed, local[BlinkTeam.TEAM_FILE_KEY] || null);
+}
 
+// User settings layered over the team policy and the defaults:
+//   categoryLayers  user > team > default rule tiers (getCategoryForUrl)
+//   categoryMap     every rule of every tier, per category
+//   categoryMeta    user > team > default
+//   thresholds      team (locked) > user > default
 async function loadPrefs() {
   const res = await chrome.storage.sync.get({
-    categoryMap: DEFAULT_CATEGORY_MAP,
-    breakThresholds: BREAK_THRESHOLDS // allow override (not used directly here)
+    categoryMap: null,
+    categoryMeta: null,
+    thresholds: DEFAULT_THRESHOLDS,
+    untrackedDomains: BlinkSites.DEFAULT_SITE_SETTINGS.untrackedDomains
   });
+  const team = await loadTeamPolicy();
+  res.team = team;
+  res.categoryLayers = BlinkTeam.categoryLayers(res.categoryMap, team.categoryMap, DEFAULT_CATEGORY_MAP);
+  res.categoryMap = BlinkTeam.mergedMap(res.categoryLayers);
+  res.categoryMeta = BlinkTeam.effectiveMeta(res.categoryMeta, team.categoryMeta);
+  // a stored value out of range (an old or hand-edited import) falls back
+  // to its default
+  const stored = BlinkTeam.normalizeThresholds(res.thresholds).thresholds;
+  res.thresholds = BlinkTeam.effectiveThresholds(DEFAULT_THRESHOLDS, stored, team.thresholds);
   return res;
 }
 
-function getCategoryForUrl(url, map) {
-  try {
-    const host = new URL(url).hostname + (new URL(url).pathname || "");
-    // match by host contains any site string from map lists
-    for (const [cat, patterns] of Object.entries(map)) {
-      for (const p of patterns) {
-        if (!p) continue;
-        if (host.includes(p) || url.includes(p)) return cat;
+// resolve a URL to its category: the first tier (user, team, default) with a
+// matching rule, then priority and rule specificity inside it; see
+// categoryRules.js for the rule syntax
+function getCategoryForUrl(url, layers, meta) {
+  return BlinkTeam.resolveLayered(url, layers, meta).category;
+}
+
+// ------------------ Usage history ------------------
+// History lives in chrome.storage.local under HISTORY_KEY, keyed by local
+// date ("YYYY-MM-DD"). Each day holds per-domain entries and per-category
+// totals:
+//   { "2024-05-01": { domains: { "reddit.com": { time, category, lastActive, hours } },
+//                     categories: { social: ms } } }
+// where `hours` is a 24-slot array of ms per local hour (used by the dashboard).
+const HISTORY_KEY = "usageHistory";
+const HISTORY_RETENTION_DAYS = 90; // days kept before pruning
+const LEGACY_STATS_KEY = "domainStats"; // old single cumulative map (migrated)
+
+function localDateKey(ts = Date.now()) {
+  const d = new Date(ts);
+  const two = (n) => (n < 10 ? "0" + n : "" + n);
+  return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+}
+
+// split the interval [startTs, endTs) at local hour boundaries (which
+// includes midnight) so time lands in the right day and hour bucket
+function splitByLocalHour(startTs, endTs) {
+  const slices = [];
+  let cursor = startTs;
+  while (cursor < endTs) {
+    const start = new Date(cursor);
+    const nextHour = new Date(cursor);
+    nextHour.setMinutes(60, 0, 0);
+    const sliceEnd = Math.min(endTs, nextHour.getTime());
+    slices.push({ date: localDateKey(cursor), hour: start.getHours(), ms: sliceEnd - cursor });
+    cursor = sliceEnd;
+  }
+  return slices;
+}
+
+function emptyDay() {
+  return { domains: {}, categories: {} };
+}
+
+// drop day buckets older than the retention window
+function pruneHistory(history, now = Date.now()) {
+  const cutoff = localDateKey(now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  for (const date of Object.keys(history)) {
+    if (date < cutoff) delete history[date];
+  }
+  return history;
+}
+
+// history updates are read-modify-write on one storage key, so serialize
+// them to avoid concurrent writers clobbering each other
+let historyQueue = Promise.resolve();
+function updateHistory(mutator) {
+  const run = async () => {
+    const stored = await chrome.storage.local.get(HISTORY_KEY);
+    const history = stored[HISTORY_KEY] || {};
+    await mutator(history);
+    pruneHistory(history);
+    await chrome.storage.local.set({ [HISTORY_KEY]: history });
+  };
+  historyQueue = historyQueue.then(run, run);
+  return historyQueue;
+}
+
+async function getHistory() {
+  await historyQueue;
+  const stored = await chrome.storage.local.get(HISTORY_KEY);
+  return stored[HISTORY_KEY] || {};
+}
+
+// add deltaMs of usage ending at endTs for domain/category
+function recordUsage(domain, category, deltaMs, endTs = Date.now()) {
+  if (!domain || !(deltaMs > 0)) return Promise.resolve();
+  return updateHistory((history) => {
+    for (const { date, hour, ms } of splitByLocalHour(endTs - deltaMs, endTs)) {
+      const day = history[date] || (history[date] = emptyDay());
+      const entry = day.domains[domain] || { time: 0, category: "other", lastActive: 0 };
+      entry.time = (entry.time || 0) + ms;
+      if (!Array.isArray(entry.hours)) entry.hours = new Array(24).fill(0);
+      entry.hours[hour] += ms;
+      entry.category = category || entry.category || "other";
+      entry.lastActive = endTs;
+      day.domains[domain] = entry;
+      day.categories[entry.category] = (day.categories[entry.category] || 0) + ms;
+    }
+  });
+}
+
+// one-time move of the legacy cumulative `domainStats` map into today's bucket
+function migrateLegacyStats() {
+  return updateHistory(async (history) => {
+    const stored = await chrome.storage.local.get(LEGACY_STATS_KEY);
+    const legacy = stored[LEGACY_STATS_KEY];
+    if (!legacy) return;
+    const today = localDateKey();
+    const day = history[today] || (history[today] = emptyDay());
+    for (const [domain, old] of Object.entries(legacy)) {
+      const time = Number(old && old.time) || 0;
+      if (time <= 0) continue;
+      const entry = day.domains[domain] || { time: 0, category: "other", lastActive: 0 };
+      entry.time += time;
+      entry.category = (old && old.category) || entry.category;
+      entry.lastActive = Math.max(entry.lastActive || 0, (old && old.lastActive) || 0);
+      day.domains[domain] = entry;
+      day.categories[entry.category] = (day.categories[entry.category] || 0) + time;
+    }
+    await chrome.storage.local.remove(LEGACY_STATS_KEY);
+  });
+}
+
+// merge imported day buckets (options page import). "replace" swaps the
+// whole history; "merge" keeps the larger time per day/domain so importing
+// the same backup twice does not double count.
+function importHistory(imported, mode = "merge") {
+  return updateHistory((history) => {
+    if (mode === "replace") {
+      for (const date of Object.keys(history)) delete history[date];
+    }
+    for (const [date, day] of Object.entries(imported || {})) {
+      const target = history[date] || (history[date] = emptyDay());
+      for (const [domain, entry] of Object.entries((day && day.domains) || {})) {
+        const existing = target.domains[domain];
+        if (!existing || (entry.time || 0) > (existing.time || 0)) target.domains[domain] = entry;
+      }
+      target.categories = {};
+      for (const entry of Object.values(target.domains)) {
+        const cat = entry.category || "other";
+        target.categories[cat] = (target.categories[cat] || 0) + (entry.time || 0);
       }
     }
+  });
+}
+
+// resolve a {date} or {from, to} request into an inclusive date range
+// (defaults to today)
+function resolveDateRange(req) {
+  const today = localDateKey();
+  if (req && req.date) return { from: req.date, to: req.date };
+  const from = (req && req.from) || (req && req.to) || today;
+  const to = (req && req.to) || today;
+  return from <= to ? { from, to } : { from: to, to: from };
+}
+
+// merge the per-domain entries of all days in range into one map shaped like
+// the legacy domainStats ({ domain: { time, category, lastActive } })
+function aggregateDomains(history, range) {
+  const merged = {};
+  for (const [date, day] of Object.entries(history)) {
+    if (date < range.from || date > range.to) continue;
+    for (const [domain, entry] of Object.entries(day.domains || {})) {
+      const m = merged[domain] || { time: 0, category: null, lastActive: 0 };
+      m.time += entry.time || 0;
+      if ((entry.lastActive || 0) >= m.lastActive) {
+        m.lastActive = entry.lastActive || 0;
+        m.category = entry.category || m.category;
+      }
+      merged[domain] = m;
+    }
+  }
+  return merged;
+}
+
+function aggregateCategories(history, range) {
+  const totals = {};
+  for (const [date, day] of Object.entries(history)) {
+    if (date < range.from || date > range.to) continue;
+    for (const [cat, ms] of Object.entries(day.categories || {})) {
+      totals[cat] = (totals[cat] || 0) + ms;
+    }
+  }
+  return totals;
+}
+
+// productiveAccumulated is a per-day counter: close the day's goal, then
+// reset it (and the break reminder marker) when the local date changes
+let productiveDate = localDateKey();
+async function rolloverIfNewDay() {
+  const today = localDateKey();
+  if (today === productiveDate) return;
+  const closedDate = productiveDate;
+  const closedMs = productiveAccumulated;
+  productiveDate = today;
+  productiveAccumulated = 0;
+  productiveSessionStart = null;
+  await closeGoalDay(closedDate, closedMs);
+  await chrome.storage.local.set({ lastShownBreakThreshold: 0 });
+  await saveStreaks();
+}
+
+// Streak starts only make sense within one browser session, so they go to
+// chrome.storage.session; the per-day productive total goes to local so it
+// survives a browser restart.
+const STREAK_STATE_KEY = "streakState";
+
+async function saveStreaks() {
+  await chrome.storage.session.set({ [STREAK_STATE_KEY]: { productiveSessionStart, distractingStart } });
+  await chrome.storage.local.set({ productiveAccumulated, productiveDate });
+}
+
+async function restoreStreaks() {
+  const session = (await chrome.storage.session.get(STREAK_STATE_KEY))[STREAK_STATE_KEY] || {};
+  productiveSessionStart = session.productiveSessionStart || null;
+  distractingStart = session.distractingStart || null;
+  const local = await chrome.storage.local.get(["productiveAccumulated", "productiveDate"]);
+  if (!local.productiveDate) return;
+  // a counter from an older day (the worker or browser slept through
+  // midnight) rolls over like a live one would
+  productiveDate = local.productiveDate;
+  productiveAccumulated = local.productiveAccumulated || 0;
+  await rolloverIfNewDay();
+}
+
+// ------------------ Goals ------------------
+// Daily productive-time goals (see goals.js). Each day's productive total is
+// closed into `goalHistory` when the date changes; the live progress comes
+// from productiveAccumulated. Tabs get `goalProgress` when it changes (per
+// minute), and a recap goes out at `goals.recapTime`, or on the next day for
+// a day whose recap was missed.
+const GOAL_HISTORY_KEY = "goalHistory";
+const GOAL_RECAP_SHOWN_KEY = "goalRecapShown"; // date key of the last recap
+const GOAL_RECAP_ALARM = "blink-goal-recap";
+const GOAL_RECAP_NOTIFICATION_ID = "blink-goal-recap";
+
+let goalProgressKey = null; // last progress announced to tabs
+
+async function loadGoals() {
+  const res = await chrome.storage.sync.get({ goals: BlinkGoals.DEFAULT_GOALS });
+  return BlinkGoals.normalizeGoals(res.goals);
+}
+
+async function getGoalHistory() {
+  const s = await chrome.storage.local.get(GOAL_HISTORY_KEY);
+  return s[GOAL_HISTORY_KEY] || {};
+}
+
+async function closeGoalDay(date, productiveMs) {
+  const goals = await loadGoals();
+  const history = await getGoalHistory();
+  const [y, m, d] = date.split("-").map(Number);
+  history[date] = BlinkGoals.dayResult(productiveMs, BlinkGoals.targetMsFor(goals, new Date(y, m - 1, d, 12).getTime()));
+  BlinkGoals.pruneGoalHistory(history, Date.now(), HISTORY_RETENTION_DAYS);
+  await chrome.storage.local.set({ [GOAL_HISTORY_KEY]: history });
+}
+
+// today's progress: { enabled, targetMs, productiveMs, met, streak, bestStreak }
+async function getGoalProgress() {
+  await stateRestored;
+  await rolloverIfNewDay();
+  const goals = await loadGoals();
+  const targetMs = BlinkGoals.targetMsFor(goals, Date.now());
+  const { current, best } = BlinkGoals.streaks(await getGoalHistory(),
+    { date: localDateKey(), productiveMs: productiveAccumulated, targetMs }, goals);
+  return {
+    enabled: goals.enabled,
+    targetMs,
+    productiveMs: productiveAccumulated,
+    met: BlinkGoals.dayResult(productiveAccumulated, targetMs).met,
+    streak: current,
+    bestStreak: best
+  };
+}
+
+async function announceGoalProgress() {
+  const goal = await getGoalProgress();
+  const key = [goal.enabled, goal.targetMs, Math.floor(goal.productiveMs / 60000), goal.streak].join("|");
+  if (key === goalProgressKey) return;
+  goalProgressKey = key;
+  pushToAllTabs({ action: "goalProgress", goal });
+}
+
+// recap for `date` (today or yesterday), once per day; days without a goal
+// get none. Delivered like reminders (see "Reminder delivery").
+async function showGoalRecap(date) {
+  const goals = await loadGoals();
+  if (!goals.enabled || !goals.recap) return;
+  // no recap while paused; a missed one is shown the next day
+  if ((await getTrackerSnapshot()).paused) return;
+  const shown = (await chrome.storage.local.get(GOAL_RECAP_SHOWN_KEY))[GOAL_RECAP_SHOWN_KEY];
+  if (shown && shown >= date) return;
+  const isToday = date === localDateKey();
+  const goal = await getGoalProgress();
+  const result = isToday ? BlinkGoals.dayResult(goal.productiveMs, goal.targetMs) : (await getGoalHistory())[date];
+  if (!result || !result.targetMs) return;
+  await chrome.storage.local.set({ [GOAL_RECAP_SHOWN_KEY]: date });
+  // yesterday's streak ends with yesterday: today's progress is not part of it
+  const streak = isToday ? { current: goal.streak, best: goal.bestStreak }
+    : { current: result.met ? goal.streak - (goal.met ? 1 : 0) : 0, best: goal.bestStreak };
+  const recap = BlinkGoals.recapText(result, streak, isToday ? "today" : "yesterday");
+  const { reminderDelivery } = await chrome.storage.sync.get({ reminderDelivery: DEFAULT_REMINDER_DELIVERY });
+  if (reminderDelivery !== "native") pushToAllTabs({ action: "goalRecap", recap });
+  if ((reminderDelivery !== "page" || !(await pageCanShowReminder())) && chrome.notifications) {
+    chrome.notifications.create(GOAL_RECAP_NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+      title: recap.title,
+      message: recap.message,
+      priority: 0
+    }, () => {
+      if (chrome.runtime.lastError) return; // notifications disabled at OS level
+    });
+  }
+}
+
+// yesterday's recap if the browser was closed (or the worker asleep) at recap time
+function showMissedGoalRecap() {
+  const d = new Date();
+  d.setDate(d.getDate() - 1);
+  return showGoalRecap(localDateKey(d.getTime()));
+}
+
+async function scheduleGoalRecap() {
+  const goals = await loadGoals();
+  if (!goals.enabled || !goals.recap) {
+    chrome.alarms.clear(GOAL_RECAP_ALARM);
+    return;
+  }
+  chrome.alarms.create(GOAL_RECAP_ALARM, { when: BlinkGoals.nextTimeOfDay(goals.recapTime, Date.now()) });
+}
+
+// ------------------ Report sink ------------------
+// Closed days from usageHistory are queued in `reportQueue` (local) and
+// POSTed in one batch to the user's URL (see reportSink.js). The queue is
+// only emptied once the server answers 2xx; failures retry from the
+// blink-report-retry alarm with backoff, and while the browser is offline
+// the periodic checks simply try again later. The bearer token lives in
+// local storage so it is neither synced nor exported with the settings.
+const REPORT_QUEUE_KEY = "reportQueue";
+const REPORT_STATE_KEY = "reportSinkState"; // { queuedThrough, attempts, nextAttemptAt, lastSentAt, lastError }
+const REPORT_TOKEN_KEY = "reportSinkToken";
+const REPORT_RETRY_ALARM = "blink-report-retry";
+const REPORT_TIMEOUT_MS = 15 * 1000;
+
+let reportFlight = null; // the POST in progress, shared by concurrent callers
+
+async function loadReportSink() {
+  const res = await chrome.storage.sync.get({ reportSink: BlinkReports.DEFAULT_REPORT_SINK });
+  const sink = BlinkReports.normalizeSinkSettings(res.reportSink);
+  const token = (await chrome.storage.local.get({ [REPORT_TOKEN_KEY]: "" }))[REPORT_TOKEN_KEY];
+  return { ...sink, token, usable: sink.enabled && !BlinkReports.validateSinkUrl(sink.url) };
+}
+
+async function getReportState() {
+  const s = await chrome.storage.local.get({ [REPORT_QUEUE_KEY]: [], [REPORT_STATE_KEY]: {} });
+  return { queue: s[REPORT_QUEUE_KEY], state: { attempts: 0, nextAttemptAt: 0, ...s[REPORT_STATE_KEY] } };
+}
+
+async function setReportState(changes) {
+  const { state } = await getReportState();
+  await chrome.storage.local.set({ [REPORT_STATE_KEY]: { ...state, ...changes } });
+}
+
+// queue every day that closed since the last run. The first run only marks
+// the start: days from before the sink was enabled are not sent.
+async function queueClosedDays() {
+  const d = new Date();
+  d.setDate(d.getDate() - 1);
+  const yesterday = localDateKey(d.getTime());
+  const { queue, state } = await getReportState();
+  if (state.queuedThrough && state.queuedThrough >= yesterday) return;
+  const reports = [];
+  if (state.queuedThrough) {
+    const history = await getHistory();
+    for (const date of Object.keys(history).sort()) {
+      if (date > state.queuedThrough && date <= yesterday) reports.push(BlinkReports.buildDayReport(date, history[date]));
+    }
+  }
+  await chrome.storage.local.set({
+    [REPORT_QUEUE_KEY]: BlinkReports.enqueueReports(queue, reports),
+    [REPORT_STATE_KEY]: { ...state, queuedThrough: yesterday }
+  });
+}
+
+// POST the queued days (and, for "send now", today so far). Resolves to
+// { ok, sent } or { ok: false, error }; never rejects.
+function flushReports({ includeToday = false } = {}) {
+  if (!reportFlight) {
+    reportFlight = sendReports(includeToday).finally(() => { reportFlight = null; });
+  }
+  return reportFlight;
+}
+
+async function sendReports(includeToday) {
+  const sink = await loadReportSink();
+  if (!sink.usable) return { ok: false, error: "Report sink is off" };
+  await queueClosedDays();
+  const { queue } = await getReportState();
+  const reports = queue.slice();
+  if (includeToday) {
+    const today = localDateKey();
+    reports.push(BlinkReports.buildDayReport(today, (await getHistory())[today], false));
+  }
+  if (!reports.length) return { ok: true, sent: 0 };
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return { ok: false, error: "offline" };
+
+  const headers = { "Content-Type": "application/json" };
+  if (sink.token) headers.Authorization = `Bearer ${sink.token}`;
+  try {
+    const res = await fetch(sink.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(BlinkReports.buildPayload(reports)),
+      signal: AbortSignal.timeout(REPORT_TIMEOUT_MS)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
   } catch (e) {
-    // fallback: if url parse fails
+    const { state } = await getReportState();
+    const attempts = state.attempts + 1;
+    const nextAttemptAt = Date.now() + BlinkReports.retryDelayMs(attempts);
+    await setReportState({ attempts, nextAttemptAt, lastError: e.message || String(e) });
+    // a failed "send now" of today alone leaves nothing queued to retry
+    if (queue.length) chrome.alarms.create(REPORT_RETRY_ALARM, { when: nextAttemptAt });
+    return { ok: false, error: e.message || String(e) };
   }
-  return "other";
+  // days queued while the request was out stay for the next batch
+  const sent = new Set(queue.map(r => r.date));
+  const { queue: latest } = await getReportState();
+  await chrome.storage.local.set({ [REPORT_QUEUE_KEY]: latest.filter(r => !sent.has(r.date)) });
+  await setReportState({ attempts: 0, nextAttemptAt: 0, lastSentAt: Date.now(), lastError: null });
+  chrome.alarms.clear(REPORT_RETRY_ALARM);
+  return { ok: true, sent: reports.length };
 }
 
-async function saveDomainTime(domain, category, deltaMs) {
-  if (!domain) return;
-  const key = "domainStats";
-  const stored = await chrome.storage.local.get(key);
-  const map = stored[key] || {};
-  const entry = map[domain] || { time: 0, category: category || "other" };
-  entry.time = (entry.time || 0) + deltaMs;
-  entry.category = category || entry.category;
-  map[domain] = entry;
-  await chrome.storage.local.set({ [key]: map });
+// from the periodic checks and the retry alarm: queue newly closed days and
+// send them once the backoff has passed
+async function sendDueReports() {
+  const sink = await loadReportSink();
+  if (!sink.usable) return;
+  await queueClosedDays();
+  const { queue, state } = await getReportState();
+  if (queue.length && Date.now() >= state.nextAttemptAt) await flushReports();
 }
 
-// called whenever active tab changes or updates
-async function handleTabChange(tab) {
-  const now = Date.now();
-  // store time spent on previous active tab
-  if (activeDomain && activeStart) {
-    const delta = now - activeStart;
-    // persist
+// ------------------ Tracker ------------------
+// The one place time gets counted. The tracked tab's open segment runs from
+// `since` and is credited to usageHistory at every checkpoint (tab or window
+// change, tab close, idle change, activity ping, the checkpoint alarm and
+// periodicChecks). A segment only counts while a browser window has focus
+// and chrome.idle reports "active". Pages with the content script also send
+// `activityPing`s; once a page has pinged, its time stops counting
+// `inactivitySeconds` after the last ping. Pages without it rely on
+// chrome.idle alone: web PDFs count under their host, local files under
+// "(local files)" and chrome:// and other browser pages under "(browser
+// pages)", all in "other". A page playing audible media pings with
+// `media: true` and keeps counting through "idle" (not "locked"). Returning
+// from a long idle / locked stretch may ask what the time was (see "Away").
+// Nothing counts on a "don't track" domain or while Blink is paused (see
+// siteControls.js). The state is mirrored to chrome.storage.session so a
+// restarted service worker picks up where it left off.
+const TRACKER_KEY = "trackerState";
+const TRACKER_CHECKPOINT_ALARM = "blink-tracker-checkpoint";
+const EMPTY_TRACKER = {
+  tabId: null,
+  domain: null,
+  category: null,
+  since: 0, // start of the uncredited segment
+  windowFocused: true,
+  idleState: "active",
+  lastPing: 0, // 0 = this page has not pinged (no content script yet)
+  mediaPlaying: false, // the last ping saw audible media playing
+  awaySince: 0, // start of the current idle / locked stretch (0 = active)
+  webPage: false, // an http(s) page, where the content script runs
+  untracked: false, // domain is on the untrackedDomains list
+  paused: false // Blink is paused (see "Pause")
+};
+const LOCAL_FILES_DOMAIN = "(local files)";
+const BROWSER_PAGES_DOMAIN = "(browser pages)";
+const BROWSER_PAGE_SCHEMES = ["chrome:", "chrome-extension:", "chrome-untrusted:", "chrome-search:", "devtools:", "edge:", "about:", "view-source:"];
+
+// the usage entry a tab's time goes to: the host of a web page, or the
+// bucket for local files and browser pages; null for anything else
+function trackedDomainFor(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  if (/^https?:$/.test(parsed.protocol)) return parsed.hostname || null;
+  if (parsed.protocol === "file:") return LOCAL_FILES_DOMAIN;
+  if (BROWSER_PAGE_SCHEMES.includes(parsed.protocol)) return BROWSER_PAGES_DOMAIN;
+  return null;
+}
+
+let tracker = { ...EMPTY_TRACKER };
+let trackerQueue = Promise.resolve();
+
+// run fn(tracker) after any earlier tracker update and persist the result
+function updateTracker(fn) {
+  const run = trackerQueue.then(async () => {
+    const result = await fn(tracker);
+    await chrome.storage.session.set({ [TRACKER_KEY]: tracker });
+    return result;
+  });
+  trackerQueue = run.catch((e) => console.error("Blink: tracker update failed", e));
+  return run;
+}
+
+// Restore the tracked segment and streaks whenever the worker starts. It is
+// the first job on the tracker queue, so every later tracker update (and
+// everything awaiting `stateRestored`) sees the restored state.
+const stateRestored = updateTracker(async () => {
+  const stored = (await chrome.storage.session.get(TRACKER_KEY))[TRACKER_KEY];
+  if (stored) tracker = { ...EMPTY_TRACKER, ...stored };
+  await restoreStreaks();
+});
+
+function isCounting(t) {
+  const present = t.idleState === "active" || (t.idleState === "idle" && t.mediaPlaying);
+  return !!(t.domain && t.windowFocused && present && !t.untracked && !t.paused);
+}
+
+// end of the countable part of the open segment
+function countableUntil(t, now, inactivityMs) {
+  return t.lastPing ? Math.min(now, t.lastPing + inactivityMs) : now;
+}
+
+// time the open segment would add if credited now (for live totals)
+function pendingTrackedMs(t, now, inactivityMs) {
+  return isCounting(t) ? Math.max(0, countableUntil(t, now, inactivityMs) - t.since) : 0;
+}
+
+// productive time builds the break reminder total, distracting time the
+// get-back streak; neutral time neither builds nor breaks either
+async function updateStreaks(category, delta, endTs, categoryMeta) {
+  const type = scheduledCategoryType(category, categoryMeta, await getActiveSchedule(endTs));
+  if (type === "productive") {
+    if (!productiveSessionStart) productiveSessionStart = endTs - delta;
+    productiveAccumulated += delta;
+    distractingStart = null;
+  } else if (type === "distracting") {
+    productiveSessionStart = null;
+    if (!distractingStart) distractingStart = endTs - delta;
+  }
+  await saveStreaks();
+}
+
+// credit the open segment up to `now` and start a new one there
+async function creditSegment(t, now) {
+  await rolloverIfNewDay();
+  if (isCounting(t)) {
     const prefs = await loadPrefs();
-    const cat = activeCategory || getCategoryForUrl(activeDomain, prefs.categoryMap);
-    await saveDomainTime(activeDomain, cat, delta);
-
-    // update productive session or distracting streak based on that category
-    if (cat === "productive" || cat === "school") {
-      // if productiveSessionStart not set, set to activeStart of that productive period (we want consecutive productive)
-      if (!productiveSessionStart) productiveSessionStart = activeStart;
-      productiveAccumulated += delta;
-      // reset distracting
-      distractingStart = null;
-    } else if (cat === "social" || cat === "games" || cat === "other") {
-      // leave productive
-      productiveSessionStart = null;
-      // track distracting streak
-      if (!distractingStart) distractingStart = now - delta; // when distracting began approx.
-      // else continues
+    const end = countableUntil(t, now, prefs.thresholds.inactivitySeconds * 1000);
+    const delta = end - t.since;
+    if (delta > 0) {
+      await recordUsage(t.domain, t.category, delta, end);
+      await updateStreaks(t.category, delta, end, prefs.categoryMeta);
     }
   }
+  t.since = now;
+}
 
-  // update active tab info
-  if (!tab || !tab.url) {
-    activeTabId = null;
-    activeDomain = null;
-    activeCategory = null;
-    activeStart = now;
-    return;
-  }
-  activeTabId = tab.id;
-  activeDomain = new URL(tab.url).hostname;
-  const prefs = await loadPrefs();
-  activeCategory = getCategoryForUrl(tab.url, prefs.categoryMap);
-  activeStart = now;
-  // optionally broadcast the category/time info to content script in this tab
+function checkpointTracker() {
+  return updateTracker((t) => creditSegment(t, Date.now()));
+}
+
+// called whenever the active tab changes or navigates (tab null = nothing to track)
+async function handleTabChange(tab) {
+  const url = tab && tab.url;
+  const domain = url ? trackedDomainFor(url) : null;
+  const webPage = !!url && /^https?:/.test(url);
+  const prefs = domain ? await loadPrefs() : null;
+  // category rules are about web pages; local files and browser pages are "other"
+  const category = webPage ? getCategoryForUrl(url, prefs.categoryLayers, prefs.categoryMeta) : domain ? "other" : null;
+  await updateTracker(async (t) => {
+    await creditSegment(t, Date.now());
+    t.tabId = tab ? tab.id : null;
+    t.domain = domain;
+    t.category = category;
+    t.lastPing = 0;
+    t.mediaPlaying = false;
+    t.webPage = webPage;
+    t.untracked = webPage && BlinkSites.domainListed(prefs.untrackedDomains, domain);
+  });
+  if (!webPage) return;
+  // tell the page its category for the floating UI
   try {
-    chrome.tabs.sendMessage(tab.id, { action: "activeCategory", category: activeCategory }, (resp) => {
+    chrome.tabs.sendMessage(tab.id, { action: "activeCategory", category }, (resp) => {
       if (chrome.runtime.lastError) return; // no receiver in some tabs - ignore
     });
   } catch (e) { }
+  await checkBudgets();
+}
+
+// activity from the content script in `tabId`; `media` while audible media
+// plays there (someone watching is not away)
+function recordActivityPing(tabId, media = false) {
+  return updateTracker(async (t) => {
+    if (t.tabId !== tabId) return;
+    await creditSegment(t, Date.now());
+    t.lastPing = Date.now();
+    t.mediaPlaying = !!media;
+    if (media && t.awaySince) t.awaySince = Date.now();
+  });
+}
+
+function setWindowFocused(focused) {
+  return updateTracker(async (t) => {
+    await creditSegment(t, Date.now());
+    t.windowFocused = focused;
+  });
+}
+
+// chrome.idle changes. Leaving "active" starts an away stretch: "idle" is
+// reported one detection interval after the last input, "locked" at once.
+// Coming back may prompt about it (see "Away").
+async function setIdleState(state) {
+  const away = await updateTracker(async (t) => {
+    const now = Date.now();
+    await creditSegment(t, now);
+    const wasActive = t.idleState === "active";
+    if (wasActive && state !== "active") {
+      t.awaySince = state === "idle" ? now - idleDetectionSeconds(await loadIdleSettings()) * 1000 : now;
+    }
+    const stretch = !wasActive && state === "active" && t.awaySince ? { start: t.awaySince, end: now } : null;
+    if (state === "active") t.awaySince = 0;
+    t.idleState = state;
+    return stretch;
+  });
+  if (away) await offerAwayPrompt(away);
+}
+
+// copy of the tracker state (once restored after a worker restart)
+async function getTrackerSnapshot() {
+  await stateRestored;
+  return { ...tracker };
 }
 
 // check thresholds periodically
 async function periodicChecks() {
+  // credit the open segment first so the totals below are current
+  await checkpointTracker();
   const now = Date.now();
+  // while reminders are snoozed keep counting, so they fire once the snooze ends
+  const snoozed = await remindersSnoozed(now);
+  const { thresholds } = await loadPrefs();
+  const schedule = await getActiveSchedule(now);
+  await announceSchedule(schedule);
+  const breakRemindersOn = !schedule || schedule.breakReminders;
+  const getBackNudgesOn = !schedule || schedule.getBackNudges;
 
   // check productive session thresholds
-  if (productiveSessionStart) {
-    // effective productive duration: now - productiveSessionStart + accumulated (we kept accumulation from finished productive intervals)
-    const productiveDuration = productiveAccumulated + (now - productiveSessionStart);
+  if (productiveSessionStart && !snoozed && breakRemindersOn) {
+    // productive time today, already credited up to now by the checkpoint above
+    const productiveDuration = productiveAccumulated;
     // check highest threshold not yet shown - to avoid repeating, store lastShownThreshold in storage
     const s = await chrome.storage.local.get(["lastShownBreakThreshold"]);
     const lastShown = s.lastShownBreakThreshold || 0;
-    for (const t of [4*60*60*1000, 3*60*60*1000, 2*60*60*1000]) {
+    const breakThresholds = thresholds.breakHours.map(h => h * 60 * 60 * 1000).sort((a, b) => b - a);
+    for (const t of breakThresholds) {
       if (productiveDuration >= t && lastShown < t) {
-        // show break message on active tab(s)
-        pushToAllTabs({ action: "showBreak", reason: "long_work", thresholdMs: t });
+        // show break reminder (in-page and/or native notification)
+        await deliverReminder({ action: "showBreak", reason: "long_work", thresholdMs: t });
         await chrome.storage.local.set({ lastShownBreakThreshold: t });
         break;
       }
     }
   }
 
-  // check distracting streak
-  if (distractingStart) {
+  // check distracting streak (a schedule without nudges drops the streak, so
+  // it does not fire the moment the schedule ends)
+  if (distractingStart && !getBackNudgesOn) distractingStart = null;
+  if (distractingStart && !snoozed) {
     const distractingDuration = now - distractingStart;
-    if (distractingDuration >= GET_BACK_THRESHOLD) {
-      pushToAllTabs({ action: "getBackToWork", reason: "distracted", durationMs: distractingDuration });
+    if (distractingDuration >= thresholds.getBackMinutes * 60 * 1000) {
+      await deliverReminder({ action: "getBackToWork", reason: "distracted", durationMs: distractingDuration });
+      // optionally enforce the nudge by blocking distracting sites for a while
+      const focusSettings = await loadFocusSettings();
+      if (focusSettings.autoStartOnGetBack && !(await getFocusState()).active) {
+        await startFocus({ source: "getBack" });
+      }
       // to avoid repeating constantly, reset distractingStart so it requires a new streak
       distractingStart = null;
     }
   }
 
-  // persist productiveAccumulated daily (or periodically)
-  await chrome.storage.local.set({ productiveAccumulated });
+  // persist the streaks (distractingStart may have been reset above)
+  await saveStreaks();
+
+  await checkBudgets();
+  await announceGoalProgress();
+  await showMissedGoalRecap();
+  await sendDueReports();
 }
 
 function pushToAllTabs(message) {
@@ -157,6 +775,956 @@ function pushToAllTabs(message) {
   });
 }
 
+// ------------------ Focus mode ------------------
+// While focus mode runs, main-frame navigations to domains in the chosen
+// categories are redirected to blocked.html. Enforcement uses
+// declarativeNetRequest dynamic rules regenerated from categoryMap whenever
+// the focus state or the relevant settings change.
+const DEFAULT_FOCUS = {
+  categories: ["social", "games"],
+  defaultMinutes: 25,
+  autoStartOnGetBack: false, // start focus mode when the get-back nudge fires
+  schedule: { enabled: false, days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" }
+};
+const FOCUS_STATE_KEY = "focusState";
+const FOCUS_SNOOZE_LOG_KEY = "focusSnoozeLog";
+const FOCUS_RULE_ID_MIN = 1000; // dynamic rule ids reserved for focus mode
+const FOCUS_RULE_ID_MAX = 1999;
+const FOCUS_SNOOZE_MS = 5 * 60 * 1000;
+const FOCUS_END_ALARM = "blink-focus-end";
+const FOCUS_SNOOZE_ALARM = "blink-focus-snooze";
+const FOCUS_SCHEDULE_ALARM = "blink-focus-schedule";
+
+async function loadFocusSettings() {
+  const res = await chrome.storage.sync.get({ focus: DEFAULT_FOCUS });
+  const focus = res.focus || {};
+  return { ...DEFAULT_FOCUS, ...focus, schedule: { ...DEFAULT_FOCUS.schedule, ...(focus.schedule || {}) } };
+}
+
+async function getFocusState() {
+  const s = await chrome.storage.local.get(FOCUS_STATE_KEY);
+  return s[FOCUS_STATE_KEY] || { active: false };
+}
+
+function isFocusEnforcing(state, now = Date.now()) {
+  return !!(state && state.active && !(state.snoozeUntil > now));
+}
+
+// `extra` adds query params (e.g. the budget block's reason/reset time)
+function blockedPageUrl(category, url, extra = {}) {
+  let query = "?cat=" + encodeURIComponent(category);
+  for (const [k, v] of Object.entries(extra)) query += "&" + k + "=" + encodeURIComponent(v);
+  // url goes last so blocked.js can take everything after "url=" verbatim
+  return chrome.runtime.getURL("blocked.html") + query + "&url=" + url;
+}
+
+// Redirect rules for every rule of the blocked categories, plus allow rules
+// for other categories that outrank them, so a URL is only blocked when its
+// resolved category is blocked. The rule tier (user > team > default, see
+// loadPrefs) and then the category priority map onto DNR priority (allow
+// wins ties, matching the rule engine's preference for non-blocking).
+// Budgets reuse this with their own id range and block page params.
+function buildFocusRules(categoryLayers, categoryMeta, blockedCategories,
+  { idMin = FOCUS_RULE_ID_MIN, idMax = FOCUS_RULE_ID_MAX, pageParams = {} } = {}) {
+  const cats = Object.keys(BlinkTeam.mergedMap(categoryLayers));
+  const priorities = cats.map(c => BlinkRules.categoryPriority(c, categoryMeta));
+  const lowest = Math.min(0, ...priorities);
+  const span = Math.max(0, ...priorities) - lowest + 1; // one band of priorities per tier
+  const entries = []; // { cat, patterns, rank }
+  categoryLayers.forEach(({ map }, i) => {
+    const tierBase = (categoryLayers.length - 1 - i) * span;
+    for (const [cat, patterns] of Object.entries(map)) {
+      entries.push({ cat, patterns, rank: tierBase + BlinkRules.categoryPriority(cat, categoryMeta) - lowest });
+    }
+  });
+  const blockedRanks = entries.filter(e => blockedCategories.includes(e.cat)).map(e => e.rank);
+  if (blockedRanks.length === 0) return [];
+  const minBlocked = Math.min(...blockedRanks);
+
+  const rules = [];
+  let id = idMin;
+  for (const { cat, patterns, rank } of entries) {
+    const blocked = blockedCategories.includes(cat);
+    if (!blocked && rank < minBlocked) continue; // can never override a block
+    for (const pattern of patterns || []) {
+      const rule = BlinkRules.parseRule(pattern);
+      const regexFilter = BlinkRules.ruleToRegexFilter(rule);
+      if (!regexFilter || id > idMax) continue;
+      rules.push({
+        id: id++,
+        priority: 1 + rank,
+        // "\0" is the whole matched URL
+        action: blocked
+          ? { type: "redirect", redirect: { regexSubstitution: blockedPageUrl(cat, "\\0", pageParams) } }
+          : { type: "allow" },
+        condition: { regexFilter, isUrlFilterCaseSensitive: BlinkRules.ruleIsCaseSensitive(rule), resourceTypes: ["main_frame"] }
+      });
+    }
+  }
+  return rules;
+}
+
+// user regexes may use features RE2 lacks; drop those instead of failing the batch
+async function filterSupportedRules(rules) {
+  const supported = [];
+  for (const r of rules) {
+    try {
+      const res = await chrome.declarativeNetRequest.isRegexSupported({
+        regex: r.condition.regexFilter,
+        isCaseSensitive: r.condition.isUrlFilterCaseSensitive
+      });
+      if (res && res.isSupported) supported.push(r);
+    } catch (e) {}
+  }
+  return supported;
+}
+
+// replace our dynamic rules with the set matching the current focus state
+async function syncFocusRules() {
+  const state = await getFocusState();
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  const removeRuleIds = existing.map(r => r.id).filter(id => id >= FOCUS_RULE_ID_MIN && id <= FOCUS_RULE_ID_MAX);
+  let addRules = [];
+  if (isFocusEnforcing(state)) {
+    const prefs = await loadPrefs();
+    const settings = await loadFocusSettings();
+    addRules = await filterSupportedRules(buildFocusRules(prefs.categoryLayers, prefs.categoryMeta, settings.categories));
+  }
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+  } catch (e) {
+    console.error("Blink: failed to update focus rules", e);
+  }
+}
+
+// rules only catch new navigations, so send already-open blocked tabs to the block page
+async function redirectOpenBlockedTabs() {
+  const settings = await loadFocusSettings();
+  const prefs = await loadPrefs();
+  const tabs = await chrome.tabs.query({});
+  for (const t of tabs) {
+    if (!t.url || !/^https?:/.test(t.url)) continue;
+    const cat = getCategoryForUrl(t.url, prefs.categoryLayers, prefs.categoryMeta);
+    if (!settings.categories.includes(cat)) continue;
+    try { await chrome.tabs.update(t.id, { url: blockedPageUrl(cat, t.url) }); } catch (e) {}
+  }
+}
+
+async function setFocusState(state) {
+  await chrome.storage.local.set({ [FOCUS_STATE_KEY]: state });
+  await syncFocusRules();
+  pushToAllTabs({ action: "focusState", focus: state });
+}
+
+async function startFocus({ minutes, endsAt, source = "popup" } = {}) {
+  const settings = await loadFocusSettings();
+  const now = Date.now();
+  const end = endsAt || now + (Number(minutes) || settings.defaultMinutes) * 60 * 1000;
+  const state = { active: true, startedAt: now, endsAt: end, source, snoozeUntil: 0 };
+  chrome.alarms.clear(FOCUS_SNOOZE_ALARM);
+  chrome.alarms.create(FOCUS_END_ALARM, { when: end });
+  await setFocusState(state);
+  await redirectOpenBlockedTabs();
+  return state;
+}
+
+async function stopFocus({ reason = "manual" } = {}) {
+  const prev = await getFocusState();
+  const state = { active: false, endedAt: Date.now() };
+  // a scheduled session stopped by hand should not restart until its window ends
+  if (reason === "manual" && prev.active && prev.source === "schedule") state.suppressScheduleUntil = prev.endsAt;
+  chrome.alarms.clear(FOCUS_END_ALARM);
+  chrome.alarms.clear(FOCUS_SNOOZE_ALARM);
+  await setFocusState(state);
+  return state;
+}
+
+async function snoozeFocus(reason, url) {
+  const text = String(reason || "").trim();
+  if (text.length < 3) return { ok: false, error: "reason_required" };
+  const state = await getFocusState();
+  if (!state.active) return { ok: false, error: "not_active" };
+  const now = Date.now();
+  state.snoozeUntil = now + FOCUS_SNOOZE_MS;
+  // keep a short log of snooze reasons for later review
+  const stored = await chrome.storage.local.get(FOCUS_SNOOZE_LOG_KEY);
+  const log = (stored[FOCUS_SNOOZE_LOG_KEY] || []).slice(-99);
+  log.push({ at: now, reason: text, url: url || null });
+  await chrome.storage.local.set({ [FOCUS_SNOOZE_LOG_KEY]: log });
+  chrome.alarms.create(FOCUS_SNOOZE_ALARM, { when: state.snoozeUntil });
+  await setFocusState(state);
+  return { ok: true, snoozeUntil: state.snoozeUntil };
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm || "0:0").split(":").map(Number);
+  return (h || 0) * 60 + (m || 0);
+}
+
+// end timestamp of the schedule window containing `date`, or null if outside
+// (windows may cross midnight, e.g. 22:00-02:00)
+function scheduleWindowEnd(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) return null;
+  const days = schedule.days || [];
+  const start = minutesOfDay(schedule.start);
+  const end = minutesOfDay(schedule.end);
+  const nowMin = date.getHours() * 60 + date.getMinutes();
+  const at = (dayOffset, mins) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + dayOffset);
+    d.setHours(0, mins, 0, 0);
+    return d.getTime();
+  };
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  if (start < end) {
+    return days.includes(today) && nowMin >= start && nowMin < end ? at(0, end) : null;
+  }
+  if (start === end) return null;
+  if (days.includes(today) && nowMin >= start) return at(1, end);
+  if (days.includes(yesterday) && nowMin < end) return at(0, end);
+  return null;
+}
+
+// start/stop schedule-driven focus sessions; also a safety net for the end alarm
+async function checkFocusSchedule() {
+  const settings = await loadFocusSettings();
+  const state = await getFocusState();
+  const now = Date.now();
+  if (state.active && state.endsAt && state.endsAt <= now) {
+    await stopFocus({ reason: "ended" });
+    return;
+  }
+  const windowEnd = scheduleWindowEnd(settings.schedule, new Date(now));
+  if (windowEnd) {
+    if (!state.active && !(state.suppressScheduleUntil > now)) await startFocus({ endsAt: windowEnd, source: "schedule" });
+  } else if (state.active && state.source === "schedule") {
+    await stopFocus({ reason: "schedule" });
+  }
+}
+
+// ------------------ Schedules ------------------
+// Named schedules (`schedules` in sync storage) change how Blink behaves at
+// different times, e.g. "Work" Mon-Fri 09:00-17:30. The first enabled
+// schedule whose window contains now is active. While active it can:
+//   distracting: [categories]  - exactly these count as distracting (other
+//                                categories that normally do count as neutral);
+//                                null keeps the categories' own types
+//   getBackNudges: false       - no "get back to work" reminders
+//   breakReminders: false      - no long-work break reminders
+// Windows use the focus schedule format (days 0-6 with 0 = Sunday, HH:MM
+// start/end, may cross midnight).
+const DEFAULT_SCHEDULE = {
+  name: "",
+  enabled: true,
+  days: [1, 2, 3, 4, 5],
+  start: "09:00",
+  end: "17:00",
+  distracting: null,
+  getBackNudges: true,
+  breakReminders: true
+};
+
+let activeScheduleKey = null; // last schedule announced to tabs
+
+async function loadSchedules() {
+  const res = await chrome.storage.sync.get({ schedules: [] });
+  return (Array.isArray(res.schedules) ? res.schedules : []).map(s => ({ ...DEFAULT_SCHEDULE, ...s }));
+}
+
+// the active schedule with its `endsAt`, or null
+async function getActiveSchedule(now = Date.now()) {
+  for (const schedule of await loadSchedules()) {
+    const endsAt = scheduleWindowEnd(schedule, new Date(now));
+    if (endsAt) return { ...schedule, endsAt };
+  }
+  return null;
+}
+
+// category type with the active schedule's override applied
+function scheduledCategoryType(cat, categoryMeta, schedule) {
+  const type = BlinkRules.categoryType(cat, categoryMeta);
+  if (!schedule || !Array.isArray(schedule.distracting) || type === "productive") return type;
+  return schedule.distracting.includes(cat) ? "distracting" : "neutral";
+}
+
+// what the floating UI shows
+function scheduleSummary(schedule) {
+  return schedule ? { name: schedule.name, endsAt: schedule.endsAt } : null;
+}
+
+// tell every tab when the active schedule changes
+async function announceSchedule(schedule) {
+  const key = schedule ? schedule.name + "|" + schedule.endsAt : "";
+  if (key === activeScheduleKey) return;
+  activeScheduleKey = key;
+  pushToAllTabs({ action: "scheduleState", schedule: scheduleSummary(schedule) });
+}
+
+// ------------------ Budgets ------------------
+// Daily limits per domain or category (see budgets.js). The active tab gets a
+// `budgetStatus` so the floating timer can count down the remaining time and
+// escalate (toast at 80% and 100%, dismissible overlay after the grace
+// period); limits past twice the grace period are hard-blocked with
+// declarativeNetRequest rules until the next budget day starts.
+const BUDGET_ALERTS_KEY = "budgetAlerts"; // { dayStart, stages: { [limitKey]: highest stage announced } }
+const BUDGET_RULE_ID_MIN = 2000; // dynamic rule ids reserved for budget blocks
+const BUDGET_RULE_ID_MAX = 2999;
+const BUDGET_DOMAIN_RULE_PRIORITY = 100000; // domain budgets win over any category rule
+const BUDGET_RESET_ALARM = "blink-budget-reset";
+
+let budgetRuleSignature = null; // blocked limit keys the current rules were built for
+
+async function loadBudgets() {
+  const res = await chrome.storage.sync.get({ budgets: BlinkBudgets.DEFAULT_BUDGETS });
+  return BlinkBudgets.normalizeBudgets(res.budgets);
+}
+
+// usage in the current budget day, including the tracker's open segment
+async function getBudgetUsage(budgets, now = Date.now()) {
+  const dayStart = BlinkBudgets.budgetDayStart(now, budgets.dayStartHour);
+  const usage = BlinkBudgets.usageSince(await getHistory(), dayStart);
+  const t = await getTrackerSnapshot();
+  const { thresholds } = await loadPrefs();
+  const pending = pendingTrackedMs({ ...t, since: Math.max(t.since, dayStart) }, now, thresholds.inactivitySeconds * 1000);
+  BlinkBudgets.addPending(usage, t.domain, t.category, pending);
+  return usage;
+}
+
+function buildBudgetRules(blocked, prefs, resetsAt) {
+  const pageParams = { reason: "budget", until: resetsAt };
+  const categories = blocked.filter(s => s.kind === "category").map(s => s.target);
+  const rules = categories.length
+    ? buildFocusRules(prefs.categoryLayers, prefs.categoryMeta, categories, { idMin: BUDGET_RULE_ID_MIN, idMax: BUDGET_RULE_ID_MAX, pageParams })
+    : [];
+  let id = rules.length ? rules[rules.length - 1].id + 1 : BUDGET_RULE_ID_MIN;
+  for (const s of blocked.filter(s => s.kind === "domain")) {
+    const rule = BlinkRules.parseRule(s.target);
+    const regexFilter = BlinkRules.ruleToRegexFilter(rule);
+    if (!regexFilter || id > BUDGET_RULE_ID_MAX) continue;
+    rules.push({
+      id: id++,
+      priority: BUDGET_DOMAIN_RULE_PRIORITY,
+      action: { type: "redirect", redirect: { regexSubstitution: blockedPageUrl(s.target, "\\0", pageParams) } },
+      condition: { regexFilter, isUrlFilterCaseSensitive: BlinkRules.ruleIsCaseSensitive(rule), resourceTypes: ["main_frame"] }
+    });
+  }
+  return rules;
+}
+
+// rebuild the hard-block rules when the set of used-up limits changes
+async function syncBudgetRules(budgets, usage, now = Date.now()) {
+  const blocked = BlinkBudgets.blockedLimits(usage, budgets);
+  const resetsAt = BlinkBudgets.nextBudgetDayStart(now, budgets.dayStartHour);
+  const signature = resetsAt + "|" + blocked.map(s => s.key).sort().join(",");
+  if (signature === budgetRuleSignature) return;
+  budgetRuleSignature = signature;
+
+  const prefs = await loadPrefs();
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  const removeRuleIds = existing.map(r => r.id).filter(id => id >= BUDGET_RULE_ID_MIN && id <= BUDGET_RULE_ID_MAX);
+  const addRules = await filterSupportedRules(buildBudgetRules(blocked, prefs, resetsAt));
+  try {
+    await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+  } catch (e) {
+    console.error("Blink: failed to update budget rules", e);
+  }
+  if (!blocked.length) return;
+  // lift the blocks when the next budget day starts
+  chrome.alarms.create(BUDGET_RESET_ALARM, { when: resetsAt });
+  // rules only catch new navigations, so move open tabs to the block page
+  const tabs = await chrome.tabs.query({});
+  for (const t of tabs) {
+    if (!t.url || !/^https?:/.test(t.url)) continue;
+    const domain = new URL(t.url).hostname;
+    const cat = getCategoryForUrl(t.url, prefs.categoryLayers, prefs.categoryMeta);
+    const hit = blocked.find(s => BlinkBudgets.limitApplies(s, domain, cat));
+    if (!hit) continue;
+    try { await chrome.tabs.update(t.id, { url: blockedPageUrl(hit.target, t.url, { reason: "budget", until: resetsAt }) }); } catch (e) {}
+  }
+}
+
+// budget status for a page, without announcing anything
+async function getBudgetStatus(domain, category) {
+  const budgets = await loadBudgets();
+  const usage = await getBudgetUsage(budgets);
+  return BlinkBudgets.statusFor(domain, category, usage, budgets);
+}
+
+// Re-evaluate budgets: update hard blocks and send the active tab its status.
+// `notify` is set the first time a limit reaches a stage each budget day, so
+// the tab only toasts/overlays once per stage.
+async function checkBudgets() {
+  const budgets = await loadBudgets();
+  const now = Date.now();
+  const usage = await getBudgetUsage(budgets, now);
+  await syncBudgetRules(budgets, usage, now);
+  const t = await getTrackerSnapshot();
+  // no status for pages Blink does not track right now (it is announced
+  // once tracking resumes)
+  if (!t.tabId || !t.domain || t.untracked || t.paused) return;
+
+  const status = BlinkBudgets.statusFor(t.domain, t.category, usage, budgets);
+  let notify = false;
+  if (status) {
+    const dayStart = BlinkBudgets.budgetDayStart(now, budgets.dayStartHour);
+    const stored = (await chrome.storage.local.get(BUDGET_ALERTS_KEY))[BUDGET_ALERTS_KEY];
+    const alerts = stored && stored.dayStart === dayStart ? stored : { dayStart, stages: {} };
+    if (BlinkBudgets.stageRank(status.stage) > BlinkBudgets.stageRank(alerts.stages[status.key])) {
+      alerts.stages[status.key] = status.stage;
+      await chrome.storage.local.set({ [BUDGET_ALERTS_KEY]: alerts });
+      notify = true;
+    }
+  }
+  chrome.tabs.sendMessage(t.tabId, { action: "budgetStatus", status, notify }, () => {
+    if (chrome.runtime.lastError) return; // no content script in this tab
+  });
+}
+
+// ------------------ Pomodoro sessions ------------------
+// Single source of truth for work / break intervals. The state lives in
+// chrome.storage.local and phase changes are driven by chrome.alarms so they
+// survive service-worker suspension; every tab renders from the broadcast
+// `sessionState` message.
+//   { phase: "idle" | "work" | "shortBreak" | "longBreak",
+//     phaseStartedAt, phaseEndsAt, cycle, paused, remainingMs }
+// `cycle` counts completed work phases in the current set.
+const DEFAULT_POMODORO = {
+  workMinutes: 25,
+  shortBreakMinutes: 5,
+  longBreakMinutes: 15,
+  cyclesBeforeLongBreak: 4
+};
+const SESSION_STATE_KEY = "sessionState";
+const SESSION_PHASE_ALARM = "blink-session-phase";
+const IDLE_SESSION = { phase: "idle", phaseStartedAt: 0, phaseEndsAt: 0, cycle: 0, paused: false, remainingMs: 0 };
+
+async function loadPomodoroSettings() {
+  const res = await chrome.storage.sync.get({ pomodoro: DEFAULT_POMODORO });
+  return { ...DEFAULT_POMODORO, ...(res.pomodoro || {}) };
+}
+
+async function getSessionState() {
+  const s = await chrome.storage.local.get(SESSION_STATE_KEY);
+  return s[SESSION_STATE_KEY] || { ...IDLE_SESSION };
+}
+
+function phaseDurationMs(phase, settings) {
+  const minutes = phase === "work" ? settings.workMinutes
+    : phase === "longBreak" ? settings.longBreakMinutes
+    : settings.shortBreakMinutes;
+  return Math.max(1, Number(minutes) || 1) * 60 * 1000;
+}
+
+async function setSessionState(state, previousPhase = null) {
+  await chrome.storage.local.set({ [SESSION_STATE_KEY]: state });
+  chrome.alarms.clear(SESSION_PHASE_ALARM);
+  if (state.phase !== "idle" && !state.paused) {
+    chrome.alarms.create(SESSION_PHASE_ALARM, { when: state.phaseEndsAt });
+  }
+  pushToAllTabs({ action: "sessionState", session: state, previousPhase });
+  return state;
+}
+
+async function enterPhase(phase, cycle, previousPhase = null) {
+  const settings = await loadPomodoroSettings();
+  const now = Date.now();
+  return setSessionState({
+    phase,
+    phaseStartedAt: now,
+    phaseEndsAt: now + phaseDurationMs(phase, settings),
+    cycle,
+    paused: false,
+    remainingMs: 0
+  }, previousPhase);
+}
+
+function startSession() {
+  return enterPhase("work", 0);
+}
+
+async function stopSession() {
+  const prev = await getSessionState();
+  return setSessionState({ ...IDLE_SESSION }, prev.phase);
+}
+
+async function pauseSession() {
+  const state = await getSessionState();
+  if (state.phase === "idle" || state.paused) return state;
+  return setSessionState({ ...state, paused: true, remainingMs: Math.max(0, state.phaseEndsAt - Date.now()) });
+}
+
+async function resumeSession() {
+  const state = await getSessionState();
+  if (state.phase === "idle" || !state.paused) return state;
+  return setSessionState({ ...state, paused: false, phaseEndsAt: Date.now() + state.remainingMs, remainingMs: 0 });
+}
+
+// move to the next phase: work -> short/long break -> work ...
+async function advancePhase() {
+  const state = await getSessionState();
+  if (state.phase === "idle") return state;
+  const settings = await loadPomodoroSettings();
+  if (state.phase === "work") {
+    const cycle = state.cycle + 1;
+    const every = Math.max(1, Number(settings.cyclesBeforeLongBreak) || 1);
+    return enterPhase(cycle % every === 0 ? "longBreak" : "shortBreak", cycle, state.phase);
+  }
+  // a long break closes the set
+  return enterPhase("work", state.phase === "longBreak" ? 0 : state.cycle, state.phase);
+}
+
+// ------------------ Breaks ------------------
+// A break is one global state owned by the background. Content scripts only
+// render the banner from it, so tabs opened mid-break join it, reloads keep
+// the countdown and ending early in one tab ends it everywhere.
+//   { active, startedAt, startsAt, durationMs, endsAt, paused, remainingMs,
+//     endedAt, endedEarly, trigger, type }
+// `startsAt` leaves room for the 3-2-1 pre-countdown shown by the banner.
+// `type` is the break activity (breakTypes.js), picked per the
+// `breakTypes` setting unless the chooser passed one. Every finished break
+// is appended to `breakLog` (local):
+//   { type, trigger, startedAt, reminderId, plannedMs, actualMs, endedEarly,
+//     guideRounds }
+// `trigger` is "threshold" (from a reminder: its notification button or the
+// in-page chooser a break reminder opened), "manual" (the chooser), "popup",
+// "shortcut" or "away" (time away answered as a break, see "Away");
+// `reminderId` links the reminder it answered.
+const BREAK_STATE_KEY = "breakState";
+const BREAK_LOG_KEY = "breakLog";
+const BREAK_END_ALARM = "blink-break-end";
+const BREAK_PRE_COUNTDOWN_MS = 3000;
+const MAX_BREAK_MS = 45 * 60 * 1000; // same cap as the manual break chooser
+const DEFAULT_BREAK_MS = 10 * 60 * 1000; // notification button and keyboard shortcut
+const PAGE_BREAK_TRIGGERS = ["manual", "threshold"]; // what the chooser may send
+
+async function getBreakState() {
+  const s = await chrome.storage.local.get(BREAK_STATE_KEY);
+  return s[BREAK_STATE_KEY] || { active: false };
+}
+
+async function setBreakState(state) {
+  await chrome.storage.local.set({ [BREAK_STATE_KEY]: state });
+  chrome.alarms.clear(BREAK_END_ALARM);
+  if (state.active && !state.paused) chrome.alarms.create(BREAK_END_ALARM, { when: state.endsAt });
+  pushToAllTabs({ action: "breakState", breakState: state });
+  return state;
+}
+
+async function loadBreakTypeSettings() {
+  const res = await chrome.storage.sync.get({ breakTypes: BlinkBreaks.DEFAULT_BREAK_TYPES });
+  return BlinkBreaks.normalizeBreakTypeSettings(res.breakTypes);
+}
+
+// the type the next break gets unless one is chosen (rotate follows the
+// last break's type, which the ended breakState keeps)
+async function suggestBreakType() {
+  const [settings, last] = await Promise.all([loadBreakTypeSettings(), getBreakState()]);
+  return BlinkBreaks.nextBreakType(settings, last.type);
+}
+
+// `answers` picks the reminder the break answers (see resolveReminder): the
+// one it was started from, or else any open break reminder
+async function startBreak(durationMs, trigger = "manual", type, answers = { kind: "break" }) {
+  const duration = Math.min(MAX_BREAK_MS, Math.max(60 * 1000, Number(durationMs) || DEFAULT_BREAK_MS));
+  const breakType = BlinkBreaks.isType(type) ? type : await suggestBreakType();
+  const reminder = await resolveReminder("taken", answers);
+  const now = Date.now();
+  const startsAt = now + BREAK_PRE_COUNTDOWN_MS;
+  return setBreakState({
+    active: true,
+    startedAt: now,
+    startsAt,
+    durationMs: duration,
+    endsAt: startsAt + duration,
+    paused: false,
+    remainingMs: 0,
+    trigger,
+    type: breakType,
+    reminderId: reminder ? reminder.id : null
+  });
+}
+
+// time spent in the break itself (not the pre-countdown or paused time)
+function breakElapsedMs(state, now = Date.now()) {
+  if (now < state.startsAt) return 0;
+  const remaining = state.paused ? state.remainingMs : state.endsAt - now;
+  return Math.min(state.durationMs, Math.max(0, state.durationMs - remaining));
+}
+
+async function logBreak(state, actualMs) {
+  const s = await chrome.storage.local.get({ [BREAK_LOG_KEY]: [] });
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const log = s[BREAK_LOG_KEY].filter(e => e.startedAt >= cutoff);
+  log.push({
+    type: state.type,
+    trigger: state.trigger,
+    startedAt: state.startedAt,
+    reminderId: state.reminderId || null,
+    plannedMs: state.durationMs,
+    actualMs,
+    endedEarly: !!state.endedEarly,
+    guideRounds: BlinkBreaks.isType(state.type) ? BlinkBreaks.guideAt(state.type, actualMs).rounds : 0
+  });
+  await chrome.storage.local.set({ [BREAK_LOG_KEY]: log });
+}
+
+async function endBreak({ early = false } = {}) {
+  const state = await getBreakState();
+  if (!state.active) return state;
+  const now = Date.now();
+  const actualMs = early ? breakElapsedMs(state, now) : state.durationMs;
+  const ended = await setBreakState({ ...state, active: false, paused: false, endedAt: now, endedEarly: early });
+  await logBreak(ended, actualMs);
+  return ended;
+}
+
+// BlinkBreakHistory.breakStats over the last `days` days, today included
+async function getBreakStats(days = 7) {
+  const count = Math.min(HISTORY_RETENTION_DAYS, Math.max(1, Math.round(Number(days)) || 7));
+  const dates = [];
+  for (let i = count - 1; i >= 0; i--) dates.push(localDateKey(Date.now() - i * 24 * 60 * 60 * 1000));
+  const s = await chrome.storage.local.get({ [BREAK_LOG_KEY]: [], [REMINDER_LOG_KEY]: [] });
+  return BlinkBreakHistory.breakStats(s[BREAK_LOG_KEY], s[REMINDER_LOG_KEY], dates, { responseMs: REMINDER_RESPONSE_MS });
+}
+
+// breaks that started between the `from` and `to` dates (inclusive)
+async function getBreakLog(from, to) {
+  const s = await chrome.storage.local.get({ [BREAK_LOG_KEY]: [] });
+  return s[BREAK_LOG_KEY].filter(e => {
+    const date = localDateKey(e.startedAt);
+    return (!from || date >= from) && (!to || date <= to);
+  });
+}
+
+async function pauseBreak() {
+  const state = await getBreakState();
+  if (!state.active || state.paused) return state;
+  return setBreakState({ ...state, paused: true, remainingMs: Math.max(0, state.endsAt - Date.now()) });
+}
+
+async function resumeBreak() {
+  const state = await getBreakState();
+  if (!state.active || !state.paused) return state;
+  const endsAt = Date.now() + state.remainingMs;
+  return setBreakState({ ...state, paused: false, endsAt, startsAt: Math.min(state.startsAt, Date.now()), remainingMs: 0 });
+}
+
+// ------------------ Reminder delivery ------------------
+// Break and get-back reminders go to the in-page UI (content scripts), to
+// native notifications (which also show over chrome:// pages, PDFs, the new
+// tab page, ...) or both, per the `reminderDelivery` setting.
+// Every reminder is logged in `reminderLog` (local):
+//   { id, kind: "break" | "getBack", shownAt, thresholdMs, outcome, resolvedAt }
+// `outcome` stays null until the reminder is answered: "taken" (a break
+// started), "snoozed" or "dismissed" (notification closed, in-page chooser
+// cancelled). One still open after REMINDER_RESPONSE_MS was ignored.
+const DEFAULT_REMINDER_DELIVERY = "both"; // "page" | "native" | "both"
+const REMINDER_LOG_KEY = "reminderLog";
+const REMINDER_RESPONSE_MS = 15 * 60 * 1000;
+const REMINDER_KINDS = { showBreak: "break", getBackToWork: "getBack" };
+const REMINDER_SNOOZE_MS = 15 * 60 * 1000;
+const REMINDER_SNOOZE_KEY = "remindersSnoozedUntil";
+const REMINDER_NOTIFICATION_IDS = {
+  showBreak: "blink-break-reminder",
+  getBackToWork: "blink-getback-reminder"
+};
+// Chrome allows at most two buttons; closing the notification is "Dismiss"
+const REMINDER_BUTTONS = [{ title: "Start 10m break" }, { title: "Snooze 15m" }];
+
+async function remindersSnoozed(now = Date.now()) {
+  const s = await chrome.storage.local.get(REMINDER_SNOOZE_KEY);
+  return (s[REMINDER_SNOOZE_KEY] || 0) > now;
+}
+
+async function snoozeReminders() {
+  const until = Date.now() + REMINDER_SNOOZE_MS;
+  await chrome.storage.local.set({ [REMINDER_SNOOZE_KEY]: until });
+  return until;
+}
+
+async function logReminder(message) {
+  const now = Date.now();
+  const entry = {
+    id: `${REMINDER_KINDS[message.action]}-${now}`,
+    kind: REMINDER_KINDS[message.action],
+    shownAt: now,
+    thresholdMs: message.thresholdMs || message.durationMs || 0,
+    outcome: null,
+    resolvedAt: null
+  };
+  const s = await chrome.storage.local.get({ [REMINDER_LOG_KEY]: [] });
+  const cutoff = now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const log = s[REMINDER_LOG_KEY].filter(e => e.shownAt >= cutoff);
+  log.push(entry);
+  await chrome.storage.local.set({ [REMINDER_LOG_KEY]: log });
+  return entry;
+}
+
+// Record the answer to the newest open reminder of `kind` (or the one with
+// `id`); returns it, or null when there is none to answer
+async function resolveReminder(outcome, { kind, id } = {}) {
+  const now = Date.now();
+  const s = await chrome.storage.local.get({ [REMINDER_LOG_KEY]: [] });
+  const log = s[REMINDER_LOG_KEY];
+  for (let i = log.length - 1; i >= 0; i--) {
+    const e = log[i];
+    if (e.outcome || now - e.shownAt > REMINDER_RESPONSE_MS) continue;
+    if ((id && e.id !== id) || (kind && e.kind !== kind)) continue;
+    log[i] = { ...e, outcome, resolvedAt: now };
+    await chrome.storage.local.set({ [REMINDER_LOG_KEY]: log });
+    return log[i];
+  }
+  return null;
+}
+
+function reminderKindOf(notificationId) {
+  const action = Object.keys(REMINDER_NOTIFICATION_IDS).find(a => REMINDER_NOTIFICATION_IDS[a] === notificationId);
+  return REMINDER_KINDS[action];
+}
+
+function showReminderNotification(message) {
+  const id = REMINDER_NOTIFICATION_IDS[message.action];
+  if (!id || !chrome.notifications) return;
+  const isBreak = message.action === "showBreak";
+  const hours = Math.round((message.thresholdMs || 0) / (60 * 60 * 1000));
+  const minutes = Math.round((message.durationMs || 0) / 60000);
+  chrome.notifications.create(id, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: isBreak ? "Time for a break" : "Get back to work",
+    message: isBreak
+      ? `You've been working for ${hours} hour${hours === 1 ? "" : "s"}. Rest your eyes and stretch.`
+      : `You've spent ${minutes} minutes on distracting sites.`,
+    buttons: REMINDER_BUTTONS,
+    requireInteraction: isBreak,
+    priority: 2
+  }, () => {
+    if (chrome.runtime.lastError) return; // notifications disabled at OS level
+  });
+}
+
+// can the active tab show an in-page reminder? Not when the floating UI is
+// turned off or hidden on its site.
+async function pageCanShowReminder() {
+  const t = await getTrackerSnapshot();
+  if (!t.domain || !t.webPage) return false;
+  const settings = await chrome.storage.sync.get(BlinkSites.DEFAULT_SITE_SETTINGS);
+  return BlinkSites.floatingVisible(settings, t.domain);
+}
+
+// "page" delivery falls back to a native notification when the active tab
+// has no floating UI to show it in
+async function deliverReminder(message) {
+  const { reminderDelivery } = await chrome.storage.sync.get({ reminderDelivery: DEFAULT_REMINDER_DELIVERY });
+  const { id } = await logReminder(message);
+  message = { ...message, reminderId: id };
+  if (reminderDelivery !== "native") pushToAllTabs(message);
+  if (reminderDelivery !== "page" || !(await pageCanShowReminder())) showReminderNotification(message);
+}
+
+function isReminderNotification(id) {
+  return Object.values(REMINDER_NOTIFICATION_IDS).includes(id);
+}
+
+// ------------------ Away ------------------
+// Coming back after at least `idle.awayPromptMinutes` idle or locked asks
+// "You were away N min — count as break / meeting / discard?" in the page
+// (AwayPrompt) and/or a native notification, like reminders. One prompt is
+// pending at a time (`awayPending`, local); the answer goes to `awayLog`.
+// "meeting" records the time as usage of the "(meeting)" entry in the
+// "meeting" category; "break" restarts the work and distraction streaks and
+// goes to the break log (trigger "away"); "discard" leaves the time
+// uncounted, as it already is.
+const DEFAULT_IDLE = {
+  detectionSeconds: 60, // no input this long and chrome.idle reports "idle"
+  mediaActive: true,
+  awayPromptMinutes: 15 // 0 = never ask
+};
+const IDLE_MIN_DETECTION_SECONDS = 15; // Chrome's minimum
+const AWAY_PENDING_KEY = "awayPending";
+const AWAY_LOG_KEY = "awayLog";
+const AWAY_NOTIFICATION_ID = "blink-away";
+const AWAY_ANSWERS = ["break", "meeting", "discard"];
+const AWAY_MEETING_DOMAIN = "(meeting)";
+const AWAY_MEETING_CATEGORY = "meeting";
+const AWAY_PROMPT_TTL_MS = 12 * 60 * 60 * 1000; // unanswered prompts expire
+
+// chrome.idle's detection interval, `idle.detectionSeconds` (at least 15s)
+function idleDetectionSeconds(idle) {
+  const seconds = Number(idle.detectionSeconds);
+  return Number.isFinite(seconds) ? Math.max(IDLE_MIN_DETECTION_SECONDS, Math.round(seconds)) : DEFAULT_IDLE.detectionSeconds;
+}
+
+async function loadIdleSettings() {
+  const res = await chrome.storage.sync.get({ idle: DEFAULT_IDLE });
+  return { ...DEFAULT_IDLE, ...res.idle };
+}
+
+async function logAway(away, answer) {
+  const s = await chrome.storage.local.get({ [AWAY_LOG_KEY]: [] });
+  const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const log = s[AWAY_LOG_KEY].filter(e => e.end >= cutoff);
+  log.push({ start: away.start, end: away.end, ms: away.ms, answer, answeredAt: Date.now() });
+  await chrome.storage.local.set({ [AWAY_LOG_KEY]: log });
+}
+
+// the pending prompt, if it has not expired
+async function getPendingAway() {
+  const pending = (await chrome.storage.local.get(AWAY_PENDING_KEY))[AWAY_PENDING_KEY];
+  if (!pending) return null;
+  if (Date.now() - pending.end <= AWAY_PROMPT_TTL_MS) return pending;
+  await chrome.storage.local.remove(AWAY_PENDING_KEY);
+  await logAway(pending, "unanswered");
+  return null;
+}
+
+async function offerAwayPrompt({ start, end }) {
+  const ms = end - start;
+  const { awayPromptMinutes } = await loadIdleSettings();
+  if (!(awayPromptMinutes > 0) || ms < awayPromptMinutes * 60 * 1000) return;
+  // paused, or away during a break: nothing to ask
+  if ((await getTrackerSnapshot()).paused) return;
+  const breakState = await getBreakState();
+  if (breakState.active || (breakState.endedAt || 0) > start) return;
+
+  const previous = await getPendingAway();
+  if (previous) await logAway(previous, "unanswered");
+  const away = { id: `away-${start}`, start, end, ms };
+  await chrome.storage.local.set({ [AWAY_PENDING_KEY]: away });
+
+  const { reminderDelivery } = await chrome.storage.sync.get({ reminderDelivery: DEFAULT_REMINDER_DELIVERY });
+  if (reminderDelivery !== "native") pushToAllTabs({ action: "awayPrompt", away });
+  if ((reminderDelivery !== "page" || !(await pageCanShowReminder())) && chrome.notifications) {
+    const minutes = Math.round(ms / 60000);
+    chrome.notifications.create(AWAY_NOTIFICATION_ID, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+      title: `You were away ${minutes} min`,
+      message: "Count it as a break or a meeting? Close this to discard it.",
+      // Chrome allows two buttons; closing the notification is "Discard"
+      buttons: [{ title: "☕ Break" }, { title: "👥 Meeting" }],
+      requireInteraction: true,
+      priority: 1
+    }, () => {
+      if (chrome.runtime.lastError) return; // notifications disabled at OS level
+    });
+  }
+}
+
+// record the answer to the pending prompt; false if it was already answered
+async function resolveAway(id, answer) {
+  const away = await getPendingAway();
+  if (!away || away.id !== id || !AWAY_ANSWERS.includes(answer)) return false;
+  await chrome.storage.local.remove(AWAY_PENDING_KEY);
+  if (chrome.notifications) chrome.notifications.clear(AWAY_NOTIFICATION_ID);
+  if (answer === "meeting") {
+    await recordUsage(AWAY_MEETING_DOMAIN, AWAY_MEETING_CATEGORY, away.ms, away.end);
+  } else if (answer === "break") {
+    await updateTracker(async () => {
+      productiveSessionStart = null;
+      distractingStart = null;
+      await saveStreaks();
+    });
+    // a break without an activity, as long as the time away
+    await logBreak({ type: null, trigger: "away", startedAt: away.start, durationMs: away.ms }, away.ms);
+  }
+  await logAway(away, answer);
+  pushToAllTabs({ action: "awayResolved", id });
+  return true;
+}
+
+// ------------------ Pause ------------------
+// "Pause Blink" (popup) stops tracking until `pausedUntil` (local storage,
+// see siteControls.js). The tracker stops counting and the streaks restart,
+// so no reminders fire and a get-back streak does not carry over the pause.
+// Content scripts hide their UI from the storage change; the end alarm
+// clears the pause.
+const PAUSE_END_ALARM = "blink-pause-end";
+
+async function getPausedUntil() {
+  const s = await chrome.storage.local.get(BlinkSites.PAUSE_KEY);
+  return Number(s[BlinkSites.PAUSE_KEY]) || 0;
+}
+
+// option: minutes or "tomorrow"
+async function pauseBlink(option) {
+  const until = BlinkSites.pauseEnd(option);
+  await updateTracker(async (t) => {
+    await creditSegment(t, Date.now());
+    t.paused = true;
+  });
+  productiveSessionStart = null;
+  distractingStart = null;
+  await saveStreaks();
+  await chrome.storage.local.set({ [BlinkSites.PAUSE_KEY]: until });
+  chrome.alarms.create(PAUSE_END_ALARM, { when: until });
+  return until;
+}
+
+async function resumeBlink() {
+  chrome.alarms.clear(PAUSE_END_ALARM);
+  await chrome.storage.local.set({ [BlinkSites.PAUSE_KEY]: 0 });
+  await updateTracker(async (t) => {
+    // nothing counted while paused; the segment starts now
+    t.since = Date.now();
+    t.paused = false;
+  });
+  await checkBudgets();
+}
+
+// bring the tracker in line with the stored pause (worker wake, missed alarm)
+async function syncPause() {
+  const until = await getPausedUntil();
+  if (until && !BlinkSites.isPaused(until)) {
+    await resumeBlink();
+  } else if (BlinkSites.isPaused(until) !== tracker.paused) {
+    await updateTracker(async (t) => {
+      await creditSegment(t, Date.now());
+      t.paused = BlinkSites.isPaused(until);
+    });
+  }
+}
+
+// ------------------ Keyboard shortcuts ------------------
+// `commands` in manifest.json. Chrome suggests keys for four of them; the
+// rest start unbound. Users change bindings on chrome://extensions/shortcuts
+// (linked from the options page). Shortcuts act like the matching buttons:
+// the floating timer toggle is global (same as the popup), minimizing only
+// affects the timer in the active tab.
+const COMMAND_HANDLERS = {
+  "toggle-floating": async () => {
+    const { floatingEnabled } = await chrome.storage.sync.get({ floatingEnabled: true });
+    await chrome.storage.sync.set({ floatingEnabled: !floatingEnabled });
+  },
+  "toggle-minimized": () => sendToActiveTab({ action: "toggleMinimized" }),
+  "start-break": () => startBreak(DEFAULT_BREAK_MS, "shortcut"),
+  "end-break": () => endBreak({ early: true }),
+  "toggle-focus": async () => {
+    const focus = await getFocusState();
+    if (focus.active) await stopFocus();
+    else await startFocus({ source: "shortcut" });
+  },
+  "open-dashboard": () => chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") })
+};
+
+async function sendToActiveTab(message) {
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const tab = tabs && tabs[0];
+  if (!tab) return;
+  chrome.tabs.sendMessage(tab.id, message, () => {
+    // no content script there (chrome:// pages, the web store, ...)
+    if (chrome.runtime.lastError) return;
+  });
+}
+
+if (chrome.commands) {
+  chrome.commands.onCommand.addListener(async (command) => {
+    const handler = COMMAND_HANDLERS[command];
+    if (handler) await handler();
+  });
+}
+
 // tab event listeners
 chrome.tabs.onActivated.addListener(async (info) => {
   try {
@@ -172,39 +1740,215 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Recovery on every worker wake (not just browser start): events that fired
+// while no worker was running are lost, so re-read the pause, the focused
+// window, the idle state and the active tab, and switch the tracker if it
+// drifted.
+async function recoverTracker() {
+  await stateRestored;
+  await syncPause();
+  let focusedWindow = null;
+  try {
+    focusedWindow = await chrome.windows.getLastFocused();
+  } catch (e) {}
+  const focused = !!(focusedWindow && focusedWindow.focused);
+  if (focused !== tracker.windowFocused) await setWindowFocused(focused);
+  if (chrome.idle && chrome.idle.queryState) {
+    const seconds = idleDetectionSeconds(await loadIdleSettings());
+    const state = await new Promise((resolve) => chrome.idle.queryState(seconds, resolve));
+    if (state && state !== tracker.idleState) await setIdleState(state);
+  }
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  const tab = tabs && tabs[0];
+  if (!tab) {
+    if (tracker.tabId != null) await handleTabChange(null);
+    return;
+  }
+  const domain = tab.url ? trackedDomainFor(tab.url) : null;
+  if (tab.id !== tracker.tabId || domain !== tracker.domain) await handleTabChange(tab);
+}
+recoverTracker();
+
+// re-read the active tab, e.g. after its site was added to or removed from
+// the untracked list
+async function refreshActiveTab() {
+  const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  await handleTabChange((tabs && tabs[0]) || null);
+}
+
+// closing the tracked tab ends its segment (the next tab's onActivated starts one)
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const t = await getTrackerSnapshot();
+  if (t.tabId === tabId) await handleTabChange(null);
+});
+
 // track window focus changes too
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
-  // when Chrome loses focus, treat as leaving the active domain
+  // while no Chrome window has focus nothing counts
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    // simulate leaving
-    await handleTabChange(null);
+    await setWindowFocused(false);
   } else {
+    await setWindowFocused(true);
     // get active tab for that window
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const tabs = await chrome.tabs.query({ active: true, windowId });
     if (tabs && tabs[0]) handleTabChange(tabs[0]);
   }
 });
 
 // on install/load: init storage values
-chrome.runtime.onInstalled.addListener(async () => {
+chrome.runtime.onInstalled.addListener(async (details) => {
+  await stateRestored;
   const prefs = await loadPrefs();
-  await chrome.storage.local.set({ categoryMap: prefs.categoryMap, productiveAccumulated: 0, lastShownBreakThreshold: 0 });
-  productiveAccumulated = 0;
+  await chrome.storage.local.set({ categoryMap: prefs.categoryMap });
+  // extension and Chrome updates fire this too: keep today's restored
+  // productive time, streaks and reminder state then
+  if (details.reason === "install") {
+    await chrome.storage.local.set({ lastShownBreakThreshold: 0 });
+    productiveAccumulated = 0;
+    productiveDate = localDateKey();
+    productiveSessionStart = null;
+    distractingStart = null;
+    await saveStreaks();
+  }
+  await migrateLegacyStats();
   console.log("Blink installed/initialized");
 });
 
-// periodic timer
-setInterval(periodicChecks, 30 * 1000); // check every 30s
+// periodic checks run from an alarm so they keep firing after the worker is
+// suspended (30s periods need Chrome 120+; older versions round up to 1 min)
+const PERIODIC_CHECK_ALARM = "blink-periodic-checks";
+chrome.alarms.get(PERIODIC_CHECK_ALARM, (existing) => {
+  if (!existing) chrome.alarms.create(PERIODIC_CHECK_ALARM, { periodInMinutes: 0.5 });
+});
+
+// focus mode / pomodoro / break alarms (alarms survive service-worker suspension)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === FOCUS_END_ALARM) {
+    await stopFocus({ reason: "ended" });
+  } else if (alarm.name === FOCUS_SNOOZE_ALARM) {
+    await syncFocusRules();
+    await redirectOpenBlockedTabs();
+  } else if (alarm.name === FOCUS_SCHEDULE_ALARM) {
+    await checkFocusSchedule();
+    await announceSchedule(await getActiveSchedule());
+  } else if (alarm.name === BREAK_END_ALARM) {
+    const state = await getBreakState();
+    if (state.active && !state.paused && state.endsAt <= Date.now() + 1000) await endBreak({ early: false });
+  } else if (alarm.name === PERIODIC_CHECK_ALARM) {
+    await periodicChecks();
+  } else if (alarm.name === TRACKER_CHECKPOINT_ALARM) {
+    await checkpointTracker();
+  } else if (alarm.name === GOAL_RECAP_ALARM) {
+    await checkpointTracker();
+    await showGoalRecap(localDateKey());
+    await scheduleGoalRecap();
+  } else if (alarm.name === PAUSE_END_ALARM) {
+    await syncPause();
+  } else if (alarm.name === BUDGET_RESET_ALARM) {
+    await checkBudgets();
+  } else if (alarm.name === REPORT_RETRY_ALARM) {
+    await sendDueReports();
+  } else if (alarm.name === SESSION_PHASE_ALARM) {
+    const state = await getSessionState();
+    // ignore stale alarms (e.g. fired while a pause was being saved)
+    if (state.phase !== "idle" && !state.paused && state.phaseEndsAt <= Date.now() + 1000) await advancePhase();
+  }
+});
+
+// persist tracked time at least once a minute, even if the worker is suspended
+chrome.alarms.get(TRACKER_CHECKPOINT_ALARM, (existing) => {
+  if (!existing) chrome.alarms.create(TRACKER_CHECKPOINT_ALARM, { periodInMinutes: 1 });
+});
+
+// daily goal recap (rescheduled after it fires and when the goal settings change)
+chrome.alarms.get(GOAL_RECAP_ALARM, (existing) => {
+  if (!existing) scheduleGoalRecap();
+});
+
+// once a minute: focus schedule and named schedule transitions
+chrome.alarms.get(FOCUS_SCHEDULE_ALARM, (existing) => {
+  if (!existing) chrome.alarms.create(FOCUS_SCHEDULE_ALARM, { periodInMinutes: 1 });
+});
+
+// keep blocking rules in line with edited categories / focus / budget settings
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "sync") return;
+  if (changes.categoryMap || changes.categoryMeta || changes.focus) syncFocusRules();
+  if (changes.focus) checkFocusSchedule();
+  if (changes.schedules) getActiveSchedule().then(announceSchedule);
+  if (changes.untrackedDomains) refreshActiveTab();
+  if (changes.goals) {
+    scheduleGoalRecap();
+    goalProgressKey = null; // re-announce with the new target
+    announceGoalProgress();
+  }
+  if (changes.budgets || changes.categoryMap || changes.categoryMeta) {
+    budgetRuleSignature = null; // force a rebuild
+    checkBudgets();
+  }
+});
+
+// a new team policy (administrator or imported team file) changes
+// categories and thresholds the same way
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "managed" && !(area === "local" && changes[BlinkTeam.TEAM_FILE_KEY])) return;
+  syncFocusRules();
+  budgetRuleSignature = null;
+  checkBudgets();
+});
 
-// on startup restore
+// on browser startup (state and the active tab are restored on every wake,
+// see stateRestored / recoverTracker)
 chrome.runtime.onStartup.addListener(async () => {
-  const s = await chrome.storage.local.get(["productiveAccumulated"]);
-  productiveAccumulated = s.productiveAccumulated || 0;
-  // determine active tab
-  const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-  if (tabs && tabs[0]) handleTabChange(tabs[0]);
+  await stateRestored;
+  await rolloverIfNewDay();
+  await migrateLegacyStats();
 });
 
+// native reminder buttons route back into the break logic
+if (chrome.notifications) {
+  chrome.notifications.onButtonClicked.addListener(async (id, buttonIndex) => {
+    if (id === AWAY_NOTIFICATION_ID) {
+      const away = await getPendingAway();
+      if (away) await resolveAway(away.id, buttonIndex === 0 ? "break" : "meeting");
+      return;
+    }
+    if (!isReminderNotification(id)) return;
+    chrome.notifications.clear(id);
+    if (buttonIndex === 0) {
+      await startBreak(DEFAULT_BREAK_MS, "threshold", undefined, { kind: reminderKindOf(id) });
+    } else if (buttonIndex === 1) {
+      await resolveReminder("snoozed", { kind: reminderKindOf(id) });
+      await snoozeReminders();
+    }
+  });
+
+  // closing the away prompt discards the time; closing a reminder dismisses it
+  chrome.notifications.onClosed.addListener(async (id, byUser) => {
+    if (!byUser) return;
+    if (isReminderNotification(id)) {
+      await resolveReminder("dismissed", { kind: reminderKindOf(id) });
+      return;
+    }
+    if (id !== AWAY_NOTIFICATION_ID) return;
+    const away = await getPendingAway();
+    if (away) await resolveAway(away.id, "discard");
+  });
+
+  // clicking the body dismisses, like the close button; the goal recap
+  // opens the dashboard
+  chrome.notifications.onClicked.addListener((id) => {
+    if (isReminderNotification(id)) {
+      chrome.notifications.clear(id);
+      resolveReminder("dismissed", { kind: reminderKindOf(id) });
+    }
+    if (id === GOAL_RECAP_NOTIFICATION_ID) {
+      chrome.notifications.clear(id);
+      chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+    }
+  });
+}
+
 // respond to messages from popup/content/options
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (!msg || !msg.action) return;
@@ -214,64 +1958,212 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     chrome.storage.local.set({ lastShownBreakThreshold: 0 });
     sendResponse({ ok: true });
 
-  // open options in a new tab (from content)
-  } else if (msg.action === "openOptionsTab") {
+  // open options or dashboard in a new tab (from content)
+  } else if (msg.action === "openOptionsTab" || msg.action === "openDashboardTab") {
     chrome.tabs.create({ url: msg.url });
     sendResponse({ ok: true });
 
-  // Add domain time from a content script (deltaMs)
-  } else if (msg.action === "addDomainTime") {
-    (async () => {
-      try {
-        const domain = msg.domain;
-        const delta = Number(msg.deltaMs) || 0;
-        if (!domain || delta <= 0) { sendResponse({ ok: false }); return; }
-        const key = 'domainStats';
-        const stored = await chrome.storage.local.get(key);
-        const map = stored[key] || {};
-        const entry = map[domain] || { time: 0, category: null, lastActive: 0 };
-        entry.time = (entry.time || 0) + delta;
-        entry.lastActive = Date.now();
-        // attempt to set category if not present using prefs
-        try {
-          const prefs = await loadPrefs();
-          const cat = getCategoryForUrl('https://' + domain, prefs.categoryMap);
-          entry.category = entry.category || cat;
-        } catch (e) {}
-        map[domain] = entry;
-        await chrome.storage.local.set({ [key]: map });
-        sendResponse({ ok: true });
-      } catch (e) {
-        sendResponse({ ok: false });
-      }
-    })();
+  // user activity on a page with the content script (see "Tracker")
+  } else if (msg.action === "activityPing") {
+    const tabId = sender && sender.tab && sender.tab.id;
+    if (tabId == null) return;
+    recordActivityPing(tabId, msg.media).then(() => sendResponse({ ok: true }));
     return true; // async
 
-  // Content asking for stored domain time
+  // Content asking for stored domain time (today unless date/from/to given)
   } else if (msg.action === "getDomainTime") {
     (async () => {
-      const key = 'domainStats';
-      const stored = await chrome.storage.local.get(key);
-      const map = stored[key] || {};
-      const entry = map[msg.domain] || { time: 0, category: null, lastActive: 0 };
-      sendResponse({ time: entry.time || 0, category: entry.category || null, lastActive: entry.lastActive || 0 });
+      const range = resolveDateRange(msg);
+      const history = await getHistory();
+      const entry = aggregateDomains(history, range)[msg.domain] || { time: 0, category: null, lastActive: 0 };
+      // include the tracker's uncredited time when it is on this domain today
+      const t = await getTrackerSnapshot();
+      if (t.domain === msg.domain && range.to === localDateKey()) {
+        const { thresholds } = await loadPrefs();
+        entry.time = (entry.time || 0) + pendingTrackedMs(t, Date.now(), thresholds.inactivitySeconds * 1000);
+      }
+      sendResponse({ time: entry.time || 0, category: entry.category || null, lastActive: entry.lastActive || 0, from: range.from, to: range.to });
     })();
     return true; // async
 
-  // existing summary request used by popup
+  // summary request used by popup (today unless date/from/to given)
   } else if (msg.action === "getSummary") {
     (async () => {
-      const data = await chrome.storage.local.get(["domainStats", "productiveAccumulated"]);
-      sendResponse({ domainStats: data.domainStats || {}, productiveAccumulated: data.productiveAccumulated || productiveAccumulated });
+      await stateRestored;
+      await rolloverIfNewDay();
+      const range = resolveDateRange(msg);
+      const history = await getHistory();
+      sendResponse({
+        domainStats: aggregateDomains(history, range),
+        categoryTotals: aggregateCategories(history, range),
+        productiveAccumulated,
+        from: range.from,
+        to: range.to
+      });
     })();
     return true; // async response
 
-  // start break from popup
+  // the away prompt a tab should show on load, and its answer
+  } else if (msg.action === "getAwayPrompt") {
+    getPendingAway().then((away) => sendResponse({ away }));
+    return true; // async
+
+  } else if (msg.action === "resolveAway") {
+    resolveAway(msg.id, msg.answer).then((ok) => sendResponse({ ok }));
+    return true; // async
+
+  // report sink status for the options page, and its "Send now" button
+  } else if (msg.action === "getReportSinkState") {
+    getReportState().then(({ queue, state }) => sendResponse({ queued: queue.length, state }));
+    return true; // async
+
+  } else if (msg.action === "sendReportNow") {
+    flushReports({ includeToday: true }).then(sendResponse);
+    return true; // async
+
+  // icon / colour / type per category, team categories included
+  } else if (msg.action === "getCategoryMeta") {
+    loadPrefs().then((prefs) => sendResponse({ categoryMeta: prefs.categoryMeta, team: prefs.team }));
+    return true; // async
+
+  // thresholds with the team's locked values (the page's activity tracker)
+  } else if (msg.action === "getThresholds") {
+    loadPrefs().then((prefs) => sendResponse({ thresholds: prefs.thresholds }));
+    return true; // async
+
+  // raw day buckets for the dashboard (today unless date/from/to given)
+  } else if (msg.action === "getHistory") {
+    (async () => {
+      const range = resolveDateRange(msg);
+      const history = await getHistory();
+      const days = {};
+      for (const [date, day] of Object.entries(history)) {
+        if (date >= range.from && date <= range.to) days[date] = day;
+      }
+      sendResponse({ days, from: range.from, to: range.to });
+    })();
+    return true; // async
+
+  // usage history import from the options page
+  } else if (msg.action === "importUsageHistory") {
+    importHistory(msg.history, msg.mode).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true; // async
+
+  // focus mode controls (popup / block page)
+  } else if (msg.action === "startFocus") {
+    startFocus({ minutes: msg.minutes, source: msg.source || "popup" }).then((focus) => sendResponse({ ok: true, focus }));
+    return true; // async
+
+  } else if (msg.action === "stopFocus") {
+    stopFocus({ reason: "manual" }).then((focus) => sendResponse({ ok: true, focus }));
+    return true; // async
+
+  } else if (msg.action === "getFocusState") {
+    getFocusState().then((focus) => sendResponse({ focus }));
+    return true; // async
+
+  } else if (msg.action === "snoozeFocus") {
+    snoozeFocus(msg.reason, msg.url).then(sendResponse);
+    return true; // async
+
+  // daily goal progress (popup / floating UI / dashboard); `history: true`
+  // adds the closed days
+  } else if (msg.action === "getGoalProgress") {
+    (async () => {
+      const goal = await getGoalProgress();
+      if (msg.history) goal.days = await getGoalHistory();
+      sendResponse({ goal });
+    })();
+    return true; // async
+
+  // pause controls (popup)
+  } else if (msg.action === "pauseBlink") {
+    pauseBlink(msg.until === "tomorrow" ? "tomorrow" : msg.minutes).then((pausedUntil) => sendResponse({ ok: true, pausedUntil }));
+    return true; // async
+
+  } else if (msg.action === "resumeBlink") {
+    resumeBlink().then(() => sendResponse({ ok: true, pausedUntil: 0 }));
+    return true; // async
+
+  } else if (msg.action === "getPauseState") {
+    getPausedUntil().then((until) => sendResponse({ pausedUntil: BlinkSites.isPaused(until) ? until : 0 }));
+    return true; // async
+
+  // active named schedule (floating UI on load)
+  } else if (msg.action === "getActiveSchedule") {
+    getActiveSchedule().then((schedule) => sendResponse({ schedule: scheduleSummary(schedule) }));
+    return true; // async
+
+  // budget status for the sender's page (floating timer on load)
+  } else if (msg.action === "getBudgetStatus") {
+    (async () => {
+      const url = sender && sender.tab && sender.tab.url;
+      if (!url || !/^https?:/.test(url)) return sendResponse({ status: null });
+      const prefs = await loadPrefs();
+      const status = await getBudgetStatus(new URL(url).hostname, getCategoryForUrl(url, prefs.categoryLayers, prefs.categoryMeta));
+      sendResponse({ status });
+    })();
+    return true; // async
+
+  // pomodoro session controls (popup / floating UI)
+  } else if (["startSession", "stopSession", "pauseSession", "resumeSession", "skipSessionPhase"].includes(msg.action)) {
+    const handlers = {
+      startSession,
+      stopSession,
+      pauseSession,
+      resumeSession,
+      skipSessionPhase: advancePhase
+    };
+    handlers[msg.action]().then((session) => sendResponse({ ok: true, session }));
+    return true; // async
+
+  } else if (msg.action === "getSessionState") {
+    getSessionState().then((session) => sendResponse({ session }));
+    return true; // async
+
+  // break state (popup / floating UI); every change is broadcast as `breakState`
   } else if (msg.action === "startBreakFromPopup") {
-    const durationMs = msg.durationMs;
-    pushToAllTabs({ action: "startBreak", durationMs });
-    sendResponse({ ok: true });
-  
+    startBreak(msg.durationMs, "popup").then((breakState) => sendResponse({ ok: true, breakState }));
+    return true; // async
+
+  } else if (msg.action === "startBreakGlobal") {
+    // a chooser opened by a reminder answers that one
+    const trigger = PAGE_BREAK_TRIGGERS.includes(msg.trigger) ? msg.trigger : "manual";
+    const answers = msg.reminderId ? { id: msg.reminderId } : undefined;
+    startBreak(msg.durationMs, trigger, msg.breakType, answers).then((breakState) => sendResponse({ ok: true, breakState }));
+    return true; // async
+
+  } else if (msg.action === "endBreakGlobal") {
+    endBreak({ early: true }).then((breakState) => sendResponse({ ok: true, breakState }));
+    return true; // async
+
+  } else if (msg.action === "pauseBreak" || msg.action === "resumeBreak") {
+    (msg.action === "pauseBreak" ? pauseBreak() : resumeBreak()).then((breakState) => sendResponse({ ok: true, breakState }));
+    return true; // async
+
+  } else if (msg.action === "getBreakState") {
+    getBreakState().then((breakState) => sendResponse({ breakState }));
+    return true; // async
+
+  // the break chooser preselects the type the next break would get
+  } else if (msg.action === "getNextBreakType") {
+    suggestBreakType().then((type) => sendResponse({ type }));
+    return true; // async
+
+  } else if (msg.action === "getBreakLog") {
+    getBreakLog(msg.from, msg.to).then((log) => sendResponse({ log }));
+    return true; // async
+
+  // breaks per day, average length and reminder answers (popup, options)
+  } else if (msg.action === "getBreakStats") {
+    getBreakStats(msg.days).then((stats) => sendResponse({ stats }));
+    return true; // async
+
+  // the in-page chooser a break reminder opened was cancelled
+  } else if (msg.action === "dismissReminder") {
+    resolveReminder("dismissed", { id: msg.reminderId }).then((reminder) => sendResponse({ ok: !!reminder }));
+    return true; // async
+
   // Summarize action removed: the extension no longer uses an external summarizer API.
   // Keep a simple response so callers get a deterministic result instead of causing network calls.
   } else if (msg.action === 'summarize') {
@@ -286,8 +2178,17 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 // Listen to system idle changes (requires "idle" permission in manifest)
 if (chrome.idle && chrome.idle.onStateChanged) {
+  // report idle after the user's `idle.detectionSeconds`
+  const applyIdleInterval = async () => {
+    chrome.idle.setDetectionInterval(idleDetectionSeconds(await loadIdleSettings()));
+  };
+  applyIdleInterval();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "sync" && changes.idle) applyIdleInterval();
+  });
   chrome.idle.onStateChanged.addListener((state) => {
-    // broadcast to all tabs so content scripts can pause counting
+    setIdleState(state);
+    // broadcast to all tabs so the floating timers pause too
     pushToAllTabs({ action: 'idleState', state });
   });
 }
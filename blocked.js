@@ -0,0 +1,131 @@
+// blocked.js - page shown in place of sites blocked by focus mode or by a
+// used-up daily budget
+// URL shape: blocked.html?cat=<category>[&reason=budget&until=<ms>]&url=<original url, unencoded>
+// (for budget blocks `cat` is the budget's domain or category)
+
+document.addEventListener("DOMContentLoaded", () => {
+  const blockedSite = document.getElementById("blockedSite");
+  const blockedCategory = document.getElementById("blockedCategory");
+  const remaining = document.getElementById("remaining");
+  const snoozeReason = document.getElementById("snoozeReason");
+  const snooze = document.getElementById("snooze");
+  const backToWork = document.getElementById("backToWork");
+  const msg = document.getElementById("msg");
+  const blockedTitle = document.getElementById("blockedTitle");
+  const blockedText = document.getElementById("blockedText");
+  const remainingTitle = document.getElementById("remainingTitle");
+  const snoozeField = document.getElementById("snoozeField");
+
+  // the original url is appended raw (it may contain its own ?/&), so take
+  // everything after "url=" instead of using URLSearchParams for it
+  const search = location.search;
+  const urlIdx = search.indexOf("url=");
+  const blockedUrl = urlIdx === -1 ? "" : search.slice(urlIdx + 4);
+  const params = new URLSearchParams(urlIdx === -1 ? search : search.slice(0, urlIdx));
+  const category = params.get("cat") || "—";
+  // only ever navigate back to web pages
+  const safeUrl = /^https?:\/\//i.test(blockedUrl) ? blockedUrl : "";
+
+  blockedCategory.innerText = category;
+  try {
+    if (safeUrl) blockedSite.innerText = new URL(safeUrl).hostname;
+  } catch (e) {}
+
+  // budget blocks have no snooze: they lift when the next budget day starts
+  const budgetUntil = params.get("reason") === "budget" ? Number(params.get("until")) || 0 : null;
+  if (budgetUntil !== null) {
+    document.title = "Blink — Daily budget";
+    blockedTitle.innerText = "⌛ Daily budget used up";
+    blockedText.innerText = `Your daily budget for ${category} is used up.`;
+    remainingTitle.innerText = "Unblocks in";
+    snoozeField.hidden = true;
+    snooze.disabled = true;
+    snooze.innerText = "Continue to site";
+  }
+
+  let focus = null;
+
+  function sendRuntimeSafe(m, cb) {
+    try {
+      chrome.runtime.sendMessage(m, (resp) => {
+        if (chrome.runtime.lastError) {
+          if (cb) cb(null);
+          return;
+        }
+        if (cb) cb(resp);
+      });
+    } catch (err) {
+      if (cb) cb(null);
+    }
+  }
+
+  function formatRemaining(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    return h > 0 ? `${h}:${two(m)}:${two(s)}` : `${m}:${two(s)}`;
+  }
+
+  function render() {
+    const now = Date.now();
+    if (budgetUntil !== null) {
+      const left = budgetUntil - now;
+      remaining.innerText = left > 0 ? formatRemaining(left) : "Budget reset — you can continue.";
+      snooze.disabled = left > 0 || !safeUrl;
+      return;
+    }
+    if (!focus || !focus.active) {
+      remaining.innerText = "Focus mode is off — you can continue.";
+      snooze.disabled = !safeUrl;
+      snooze.innerText = "Continue to site";
+      return;
+    }
+    if (focus.snoozeUntil > now) {
+      remaining.innerText = `Snoozed for ${formatRemaining(focus.snoozeUntil - now)}`;
+    } else {
+      remaining.innerText = formatRemaining(focus.endsAt - now);
+    }
+  }
+
+  function refresh() {
+    sendRuntimeSafe({ action: "getFocusState" }, (resp) => {
+      focus = resp && resp.focus;
+      render();
+    });
+  }
+
+  refresh();
+  setInterval(render, 1000);
+  // pick up changes made elsewhere (stopped from popup, schedule ended, ...)
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.focusState) refresh();
+  });
+
+  // a reason is required before the snooze button unlocks
+  snoozeReason.addEventListener("input", () => {
+    if (budgetUntil === null && focus && focus.active) snooze.disabled = snoozeReason.value.trim().length < 3;
+  });
+
+  snooze.addEventListener("click", () => {
+    if (budgetUntil !== null || !focus || !focus.active) {
+      if (safeUrl) location.replace(safeUrl);
+      return;
+    }
+    sendRuntimeSafe({ action: "snoozeFocus", reason: snoozeReason.value, url: safeUrl }, (resp) => {
+      if (resp && resp.ok) {
+        if (safeUrl) location.replace(safeUrl);
+        else refresh();
+        return;
+      }
+      msg.innerText = resp && resp.error === "reason_required" ? "❌ Please type a reason first" : "❌ Could not snooze focus mode";
+      msg.className = "message error";
+    });
+  });
+
+  backToWork.addEventListener("click", () => {
+    if (history.length > 1) history.back();
+    else window.close();
+  });
+});
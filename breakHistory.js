@@ -0,0 +1,67 @@
+// breakHistory.js
+// Break and reminder history, loaded by background.js (importScripts), which
+// answers `getBreakStats` for the popup and the options page. Exposed as
+// BlinkBreakHistory.
+//
+// Finished breaks are logged in background.js `breakLog`, break and get-back
+// reminders in `reminderLog` (both local, kept as long as usageHistory).
+// `breakStats` sums them per day with the reminder answers. The per-type
+// break quality summary lives with the break types (breakTypes.js).
+
+(function (root) {
+  const REMINDER_OUTCOMES = ["taken", "snoozed", "dismissed", "ignored"];
+  const DEFAULT_RESPONSE_MS = 15 * 60 * 1000;
+
+  function localDateKey(ts) {
+    const d = new Date(ts);
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+  }
+
+  // Breaks and reminders on `dates` (local YYYY-MM-DD keys, oldest first):
+  //   { days: [{ date, count, ms, averageMs }], count, ms, averageMs,
+  //     endedEarly, byTrigger: { threshold: n, ... },
+  //     reminders: { shown, open, taken, snoozed, dismissed, ignored },
+  //     dismissedRate }
+  // A reminder still unanswered `responseMs` after it was shown counts as
+  // ignored; before that it is `open`. `dismissedRate` (0-1) is dismissed
+  // out of the answered and ignored ones (null when there are none).
+  function breakStats(breakLog, reminderLog, dates, { now = Date.now(), responseMs = DEFAULT_RESPONSE_MS } = {}) {
+    const days = dates.map(date => ({ date, count: 0, ms: 0, averageMs: 0 }));
+    const byDate = new Map(days.map(d => [d.date, d]));
+    const stats = { days, count: 0, ms: 0, averageMs: 0, endedEarly: 0, byTrigger: {} };
+    for (const entry of breakLog || []) {
+      const day = byDate.get(localDateKey(entry.startedAt));
+      if (!day) continue;
+      day.count++;
+      day.ms += entry.actualMs || 0;
+      stats.count++;
+      stats.ms += entry.actualMs || 0;
+      if (entry.endedEarly) stats.endedEarly++;
+      const trigger = entry.trigger || "manual";
+      stats.byTrigger[trigger] = (stats.byTrigger[trigger] || 0) + 1;
+    }
+    for (const day of days) day.averageMs = day.count ? Math.round(day.ms / day.count) : 0;
+    stats.averageMs = stats.count ? Math.round(stats.ms / stats.count) : 0;
+
+    const reminders = { shown: 0, open: 0 };
+    for (const outcome of REMINDER_OUTCOMES) reminders[outcome] = 0;
+    for (const entry of reminderLog || []) {
+      if (!byDate.has(localDateKey(entry.shownAt))) continue;
+      reminders.shown++;
+      if (REMINDER_OUTCOMES.includes(entry.outcome)) reminders[entry.outcome]++;
+      else if (now - entry.shownAt > responseMs) reminders.ignored++;
+      else reminders.open++;
+    }
+    const settled = reminders.shown - reminders.open;
+    stats.reminders = reminders;
+    stats.dismissedRate = settled ? reminders.dismissed / settled : null;
+    return stats;
+  }
+
+  root.BlinkBreakHistory = {
+    breakStats
+  };
+  // CommonJS for the Node tests: require("./breakHistory.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkBreakHistory;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,154 @@
+// breakTypes.js
+// Break activities shared by background.js (importScripts), the content
+// scripts (the break banner's guide), the options page and the dashboard.
+// Exposed as BlinkBreaks.
+//
+// Each break has a type: eye rest (20-20-20), stretch, walk or breathing.
+// A type is a sequence of timed steps the banner walks through and repeats
+// until the break ends; breathing steps carry a `phase` ("in", "hold",
+// "out") that drives the breathing circle. Which type a break gets is set
+// by `breakTypes.mode` (sync):
+//   "choose" - always `breakTypes.type`
+//   "rotate" - the next type after the last break's
+//   "random" - any type but the last break's
+// The break chooser in the page can still pick another type for one break.
+// Finished breaks are logged (background.js `breakLog`); `breakQuality`
+// sums the log per type for the dashboard. The per-day history with the
+// reminder answers is in breakHistory.js.
+
+(function (root) {
+  const TYPES = {
+    eyes: {
+      label: "Eye rest",
+      icon: "👀",
+      hint: "20-20-20: every 20 minutes, look 20 feet away for 20 seconds.",
+      steps: [
+        { text: "Look at something at least 20 feet (6 m) away", seconds: 20 },
+        { text: "Blink slowly ten times", seconds: 10 },
+        { text: "Close your eyes and relax", seconds: 20 },
+        { text: "Roll your eyes gently in a circle", seconds: 10 }
+      ]
+    },
+    stretch: {
+      label: "Stretch",
+      icon: "🙆",
+      hint: "Loosen your neck, shoulders, wrists and back.",
+      steps: [
+        { text: "Roll your neck slowly, both directions", seconds: 30 },
+        { text: "Shrug your shoulders up, back and down", seconds: 30 },
+        { text: "Reach both arms overhead and hold", seconds: 20 },
+        { text: "Circle your wrists and stretch your fingers", seconds: 30 },
+        { text: "Twist gently to each side from your waist", seconds: 30 },
+        { text: "Stand up and touch toward your toes", seconds: 20 }
+      ]
+    },
+    walk: {
+      label: "Walk",
+      icon: "🚶",
+      hint: "Get away from the screen and move.",
+      steps: [
+        { text: "Stand up and step away from your desk", seconds: 30 },
+        { text: "Walk around: stairs, hallway or outside", seconds: 240 },
+        { text: "Refill your water", seconds: 60 },
+        { text: "Look out of a window or at the sky", seconds: 30 }
+      ]
+    },
+    breathing: {
+      label: "Breathing",
+      icon: "🌬️",
+      hint: "Box breathing: four seconds in, hold, out, hold.",
+      steps: [
+        { text: "Breathe in", seconds: 4, phase: "in" },
+        { text: "Hold", seconds: 4, phase: "hold" },
+        { text: "Breathe out", seconds: 4, phase: "out" },
+        { text: "Hold", seconds: 4, phase: "hold" }
+      ]
+    }
+  };
+  const TYPE_IDS = Object.keys(TYPES);
+  const MODES = ["choose", "rotate", "random"];
+  const DEFAULT_BREAK_TYPES = { mode: "rotate", type: "eyes" };
+  function isType(type) {
+    return TYPE_IDS.includes(type);
+  }
+
+  function normalizeBreakTypeSettings(raw) {
+    const s = { ...DEFAULT_BREAK_TYPES, ...(raw && typeof raw === "object" ? raw : {}) };
+    return {
+      mode: MODES.includes(s.mode) ? s.mode : DEFAULT_BREAK_TYPES.mode,
+      type: isType(s.type) ? s.type : DEFAULT_BREAK_TYPES.type
+    };
+  }
+
+  // the type for the next break; `lastType` is the previous break's (if any)
+  function nextBreakType(settings, lastType, random = Math.random) {
+    const { mode, type } = normalizeBreakTypeSettings(settings);
+    if (mode === "choose") return type;
+    if (mode === "rotate") {
+      const i = TYPE_IDS.indexOf(lastType);
+      return i < 0 ? type : TYPE_IDS[(i + 1) % TYPE_IDS.length];
+    }
+    const pool = TYPE_IDS.filter(t => t !== lastType);
+    return pool[Math.min(pool.length - 1, Math.floor(random() * pool.length))];
+  }
+
+  function cycleMs(type) {
+    return TYPES[type].steps.reduce((sum, step) => sum + step.seconds * 1000, 0);
+  }
+
+  // where the guide is `elapsedMs` into the break:
+  //   { index, step, stepElapsedMs, stepRemainingMs, rounds }
+  // `rounds` counts full passes through the steps so far
+  function guideAt(type, elapsedMs) {
+    const id = isType(type) ? type : DEFAULT_BREAK_TYPES.type;
+    const { steps } = TYPES[id];
+    const total = cycleMs(id);
+    const elapsed = Math.max(0, elapsedMs || 0);
+    const rounds = Math.floor(elapsed / total);
+    let offset = elapsed % total;
+    let index = 0;
+    while (offset >= steps[index].seconds * 1000) {
+      offset -= steps[index].seconds * 1000;
+      index++;
+    }
+    const stepMs = steps[index].seconds * 1000;
+    return { index, step: steps[index], stepElapsedMs: offset, stepRemainingMs: stepMs - offset, rounds };
+  }
+
+  // Sum a break log (background.js `breakLog`) per type:
+  //   { total: { count, completed, guided, ms }, byType: { eyes: {...}, ... } }
+  // `completed` ran to the end; `guided` went through every step at least
+  // once. Entries without a type (breaks from before types, time away
+  // answered as a break) are skipped.
+  function breakQuality(log) {
+    const empty = () => ({ count: 0, completed: 0, guided: 0, ms: 0 });
+    const total = empty();
+    const byType = {};
+    for (const id of TYPE_IDS) byType[id] = empty();
+    for (const entry of log || []) {
+      if (!isType(entry.type)) continue;
+      for (const sums of [total, byType[entry.type]]) {
+        sums.count++;
+        if (!entry.endedEarly) sums.completed++;
+        if (entry.guideRounds > 0) sums.guided++;
+        sums.ms += entry.actualMs || 0;
+      }
+    }
+    return { total, byType };
+  }
+
+  root.BlinkBreaks = {
+    TYPES,
+    TYPE_IDS,
+    MODES,
+    DEFAULT_BREAK_TYPES,
+    isType,
+    normalizeBreakTypeSettings,
+    nextBreakType,
+    cycleMs,
+    guideAt,
+    breakQuality
+  };
+  // CommonJS for the Node tests: require("./breakTypes.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkBreaks;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,199 @@
+// budgets.js
+// Daily time budgets shared by background.js (importScripts) and the options
+// page (<script>). Exposed as BlinkBudgets; needs BlinkRules loaded first
+// (Node requires it).
+//
+// Settings (`budgets` in sync storage):
+//   { dayStartHour: 0, graceMinutes: 5,
+//     limits: [{ kind: "domain", target: "reddit.com", minutes: 30 },
+//              { kind: "category", target: "social", minutes: 60 }] }
+// Domain targets use the category rule syntax (so "reddit.com" covers its
+// subdomains). A budget day starts at `dayStartHour` local time, and usage is
+// read from the per-hour slots in usageHistory.
+//
+// Stages, by time used against the limit:
+//   ok < 80% <= warn < 100% <= exceeded < +grace <= overlay < +2x grace <= blocked
+
+(function (root) {
+  const BlinkRules = root.BlinkRules || require("./categoryRules.js");
+  const DEFAULT_BUDGETS = { dayStartHour: 0, graceMinutes: 5, limits: [] };
+  const WARN_RATIO = 0.8;
+  const STAGES = ["ok", "warn", "exceeded", "overlay", "blocked"];
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  function localDateKey(ts) {
+    const d = new Date(ts);
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+  }
+
+  function normalizeBudgets(budgets) {
+    const b = { ...DEFAULT_BUDGETS, ...(budgets || {}) };
+    b.limits = Array.isArray(b.limits) ? b.limits : [];
+    return b;
+  }
+
+  // start (ms) of the budget day containing `now`
+  function budgetDayStart(now, dayStartHour) {
+    const d = new Date(now);
+    d.setHours(dayStartHour || 0, 0, 0, 0);
+    if (d.getTime() > now) d.setDate(d.getDate() - 1);
+    return d.getTime();
+  }
+
+  // start (ms) of the next budget day after `now`
+  function nextBudgetDayStart(now, dayStartHour) {
+    const d = new Date(budgetDayStart(now, dayStartHour));
+    d.setDate(d.getDate() + 1);
+    return d.getTime();
+  }
+
+  // { domains: { [domain]: { time, category } }, categories: { [cat]: ms } }
+  // for time recorded from `startTs` onward. Entries without per-hour slots
+  // (migrated legacy data) count in full on their own date only.
+  function usageSince(history, startTs) {
+    const usage = { domains: {}, categories: {} };
+    const startKey = localDateKey(startTs);
+    const startHour = new Date(startTs).getHours();
+    for (const [date, day] of Object.entries(history || {})) {
+      if (!DATE_RE.test(date) || date < startKey || !day || !day.domains) continue;
+      for (const [domain, entry] of Object.entries(day.domains)) {
+        let time;
+        if (date > startKey || startHour === 0) time = entry.time || 0;
+        else if (Array.isArray(entry.hours)) time = entry.hours.slice(startHour).reduce((a, b) => a + (b || 0), 0);
+        else time = 0;
+        if (time <= 0) continue;
+        const category = entry.category || "other";
+        const d = usage.domains[domain] || (usage.domains[domain] = { time: 0, category });
+        d.time += time;
+        usage.categories[category] = (usage.categories[category] || 0) + time;
+      }
+    }
+    return usage;
+  }
+
+  // add time not yet written to history (e.g. the active tab's open interval)
+  function addPending(usage, domain, category, ms) {
+    if (!domain || !(ms > 0)) return usage;
+    const cat = category || "other";
+    const d = usage.domains[domain] || (usage.domains[domain] = { time: 0, category: cat });
+    d.time += ms;
+    usage.categories[cat] = (usage.categories[cat] || 0) + ms;
+    return usage;
+  }
+
+  function limitKey(limit) {
+    return `${limit.kind}:${limit.target}`;
+  }
+
+  function domainMatches(limit, domain) {
+    const rule = BlinkRules.parseRule(limit.target);
+    return !!rule && BlinkRules.ruleMatches(rule, "https://" + domain + "/");
+  }
+
+  function usedMs(limit, usage) {
+    if (limit.kind === "category") return usage.categories[limit.target] || 0;
+    let total = 0;
+    for (const [domain, entry] of Object.entries(usage.domains)) {
+      if (domainMatches(limit, domain)) total += entry.time;
+    }
+    return total;
+  }
+
+  function stageFor(used, limitMs, graceMs) {
+    if (used >= limitMs + 2 * graceMs) return "blocked";
+    if (used >= limitMs + graceMs) return "overlay";
+    if (used >= limitMs) return "exceeded";
+    if (used >= limitMs * WARN_RATIO) return "warn";
+    return "ok";
+  }
+
+  // status of one limit:
+  // { key, kind, target, limitMs, usedMs, remainingMs, blockAtMs, stage }
+  function limitStatus(limit, usage, budgets) {
+    const limitMs = Math.max(0, Number(limit.minutes) || 0) * 60 * 1000;
+    const graceMs = Math.max(0, Number(budgets.graceMinutes) || 0) * 60 * 1000;
+    const used = usedMs(limit, usage);
+    return {
+      key: limitKey(limit),
+      kind: limit.kind,
+      target: limit.target,
+      limitMs,
+      usedMs: used,
+      remainingMs: limitMs - used,
+      blockAtMs: limitMs + 2 * graceMs,
+      stage: stageFor(used, limitMs, graceMs)
+    };
+  }
+
+  // does a limit (or limit status) cover a page on `domain` resolved to `category`?
+  function limitApplies(limit, domain, category) {
+    return limit.kind === "category" ? limit.target === category : domainMatches(limit, domain);
+  }
+
+  // every limit that applies to a page on `domain` resolved to `category`
+  function limitsFor(domain, category, budgets) {
+    return normalizeBudgets(budgets).limits.filter(l =>
+      l && Number(l.minutes) > 0 && limitApplies(l, domain, category));
+  }
+
+  // the most pressing budget for a page (least time remaining), or null
+  function statusFor(domain, category, usage, budgets) {
+    const b = normalizeBudgets(budgets);
+    let worst = null;
+    for (const limit of limitsFor(domain, category, b)) {
+      const s = limitStatus(limit, usage, b);
+      if (!worst || s.remainingMs < worst.remainingMs) worst = s;
+    }
+    return worst;
+  }
+
+  // every limit currently at the hard-block stage
+  function blockedLimits(usage, budgets) {
+    const b = normalizeBudgets(budgets);
+    return b.limits
+      .filter(l => l && Number(l.minutes) > 0)
+      .map(l => limitStatus(l, usage, b))
+      .filter(s => s.stage === "blocked");
+  }
+
+  function stageRank(stage) {
+    return Math.max(0, STAGES.indexOf(stage));
+  }
+
+  // validate the options editor rows; returns error strings
+  function validateLimits(limits, categoryNames) {
+    const errors = [];
+    const seen = new Set();
+    for (const l of limits) {
+      const label = l.target || "(empty)";
+      if (!l.target) errors.push("every budget needs a domain or category");
+      else if (l.kind === "domain" && !BlinkRules.parseRule(l.target)) errors.push(`invalid domain rule "${label}"`);
+      else if (l.kind === "category" && categoryNames && !categoryNames.includes(l.target)) errors.push(`unknown category "${label}"`);
+      if (!Number.isInteger(l.minutes) || l.minutes < 1 || l.minutes > 1440) errors.push(`budget for ${label} must be 1-1440 minutes`);
+      if (seen.has(limitKey(l))) errors.push(`duplicate budget for ${label}`);
+      seen.add(limitKey(l));
+    }
+    return errors;
+  }
+
+  root.BlinkBudgets = {
+    DEFAULT_BUDGETS,
+    STAGES,
+    normalizeBudgets,
+    budgetDayStart,
+    nextBudgetDayStart,
+    usageSince,
+    addPending,
+    limitKey,
+    limitApplies,
+    limitsFor,
+    limitStatus,
+    statusFor,
+    blockedLimits,
+    stageRank,
+    validateLimits
+  };
+  // CommonJS for the Node tests: require("./budgets.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkBudgets;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,198 @@
+// categoryRules.js
+// Category rule engine shared by background.js (importScripts) and the
+// options page (<script>). Each category in `categoryMap` is a list of rule
+// strings:
+//   example.com             host and any subdomain (dot boundary, so
+//                           "github.com" does not match "notgithub.com.evil.io")
+//   =example.com            exact host only ("www." is ignored)
+//   *.example.com           subdomains only, not example.com itself
+//   example.com/path?q=     host (+ subdomains) and a path/query prefix
+//   /regex/flags            JavaScript regular expression tested on the full URL
+// When several categories match, the one with the highest `priority` in
+// `categoryMeta` wins; ties go to the most specific rule, then to the
+// category listed first. `categoryMeta[cat]` also carries the category's
+// `type` ("productive", "neutral" or "distracting", which decides how its
+// time counts for reminders), an `icon` (emoji) and a `color` (#rrggbb).
+
+(function (root) {
+  // explicit priorities for the built-in categories: school beats productive
+  // for shared domains such as docs.google.com
+  // ("other" is the implicit category for unmatched URLs; it has no rules)
+  const DEFAULT_CATEGORY_META = {
+    school: { priority: 10, type: "productive", icon: "📚", color: "#3182ce" },
+    productive: { priority: 5, type: "productive", icon: "💼", color: "#38a169" },
+    social: { priority: 0, type: "distracting", icon: "📱", color: "#e53e3e" },
+    games: { priority: 0, type: "distracting", icon: "🎮", color: "#d69e2e" },
+    other: { priority: 0, type: "distracting", icon: "🔍", color: "#718096" }
+  };
+  const CATEGORY_TYPES = ["productive", "neutral", "distracting"];
+  // colours for categories without one, picked by a hash of the name
+  const PALETTE = ["#805ad5", "#dd6b20", "#319795", "#d53f8c", "#5a67d8", "#2f855a", "#b7791f"];
+  const DEFAULT_ICON = "🏷️";
+  const COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+  // higher = more specific; used to break priority ties
+  const SPECIFICITY = { regex: 1, wildcard: 2, host: 3, exact: 4, path: 5 };
+
+  function stripWww(host) {
+    return host.replace(/^www\./, "");
+  }
+
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // parse one rule string; returns null for blank or invalid rules
+  function parseRule(pattern) {
+    const raw = String(pattern || "").trim();
+    if (!raw) return null;
+
+    const regexMatch = raw.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      try {
+        return { pattern: raw, kind: "regex", regex: new RegExp(regexMatch[1], regexMatch[2]), specificity: SPECIFICITY.regex };
+      } catch (e) {
+        return null;
+      }
+    }
+
+    let body = raw.replace(/^https?:\/\//i, "");
+    let kind = "host";
+    if (body.startsWith("=")) {
+      kind = "exact";
+      body = body.slice(1);
+    } else if (body.startsWith("*.")) {
+      kind = "wildcard";
+      body = body.slice(2);
+    }
+    const cut = body.search(/[/?#]/);
+    const host = stripWww((cut === -1 ? body : body.slice(0, cut)).toLowerCase()).replace(/:\d+$/, "");
+    const path = cut === -1 ? "" : body.slice(cut);
+    if (!host || /[^a-z0-9.\-]/.test(host)) return null;
+    if (path && kind === "host") kind = "path";
+    // longer path prefixes are more specific than shorter ones
+    const specificity = SPECIFICITY[kind] + (kind === "path" ? path.length / 1000 : 0);
+    return { pattern: raw, kind, host, path, specificity };
+  }
+
+  function hostMatches(rule, hostname) {
+    const host = hostname.toLowerCase();
+    if (rule.kind === "exact") return stripWww(host) === rule.host;
+    if (rule.kind === "wildcard") return host.endsWith("." + rule.host);
+    return host === rule.host || host.endsWith("." + rule.host);
+  }
+
+  // does the parsed rule match the URL (string or URL object)?
+  function ruleMatches(rule, url) {
+    if (!rule) return false;
+    if (rule.kind === "regex") {
+      rule.regex.lastIndex = 0;
+      return rule.regex.test(String(url));
+    }
+    let parsed;
+    try {
+      parsed = url instanceof URL ? url : new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (!hostMatches(rule, parsed.hostname)) return false;
+    if (rule.kind === "path") return (parsed.pathname + parsed.search).startsWith(rule.path);
+    return true;
+  }
+
+  function categoryPriority(cat, categoryMeta) {
+    const meta = (categoryMeta && categoryMeta[cat]) || DEFAULT_CATEGORY_META[cat];
+    const p = meta ? Number(meta.priority) : 0;
+    return isNaN(p) ? 0 : p;
+  }
+
+  function metaFor(cat, categoryMeta) {
+    return (categoryMeta && categoryMeta[cat]) || DEFAULT_CATEGORY_META[cat] || {};
+  }
+
+  // "productive", "neutral" or "distracting"; uncategorized ("other") counts
+  // as distracting, custom categories without a type as neutral
+  function categoryType(cat, categoryMeta) {
+    const meta = metaFor(cat, categoryMeta);
+    if (CATEGORY_TYPES.includes(meta.type)) return meta.type;
+    return DEFAULT_CATEGORY_META[cat] ? DEFAULT_CATEGORY_META[cat].type : "neutral";
+  }
+
+  function paletteColor(cat) {
+    let hash = 0;
+    for (const ch of String(cat)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return PALETTE[hash % PALETTE.length];
+  }
+
+  // everything the UI needs to show a category: { name, type, icon, color }
+  function categoryDisplay(cat, categoryMeta) {
+    const name = cat || "other";
+    const meta = metaFor(name, categoryMeta);
+    const defaults = DEFAULT_CATEGORY_META[name] || {};
+    return {
+      name,
+      type: categoryType(name, categoryMeta),
+      icon: meta.icon || defaults.icon || DEFAULT_ICON,
+      color: COLOR_RE.test(meta.color) ? meta.color : (defaults.color || paletteColor(name))
+    };
+  }
+
+  // every (category, rule) pair that matches the URL, best match first
+  function matchAll(url, categoryMap, categoryMeta) {
+    const matches = [];
+    let order = 0;
+    for (const [category, patterns] of Object.entries(categoryMap || {})) {
+      for (const pattern of patterns || []) {
+        const rule = parseRule(pattern);
+        if (rule && ruleMatches(rule, url)) {
+          matches.push({ category, rule, priority: categoryPriority(category, categoryMeta), order });
+        }
+        order++;
+      }
+    }
+    return matches.sort((a, b) =>
+      (b.priority - a.priority) || (b.rule.specificity - a.rule.specificity) || (a.order - b.order));
+  }
+
+  // winning category for a URL: { category, rule, priority } (category "other"
+  // and rule null when nothing matches)
+  function resolveCategory(url, categoryMap, categoryMeta) {
+    const best = matchAll(url, categoryMap, categoryMeta)[0];
+    return best ? { category: best.category, rule: best.rule, priority: best.priority } : { category: "other", rule: null, priority: 0 };
+  }
+
+  // RE2-compatible regexFilter for declarativeNetRequest rules
+  function ruleToRegexFilter(rule) {
+    if (!rule) return null;
+    if (rule.kind === "regex") return rule.regex.source;
+    const host = escapeRegex(rule.host);
+    const tail = "([:/?#].*)?$";
+    if (rule.kind === "exact") return "^https?://(www\\.)?" + host + tail;
+    if (rule.kind === "wildcard") return "^https?://([^/?#]+\\.)" + host + tail;
+    if (rule.kind === "path") return "^https?://([^/?#]+\\.)?" + host + "(:[0-9]+)?" + escapeRegex(rule.path) + ".*$";
+    return "^https?://([^/?#]+\\.)?" + host + tail;
+  }
+
+  // path and regex rules are case-sensitive unless the regex has the i flag
+  function ruleIsCaseSensitive(rule) {
+    if (!rule) return false;
+    if (rule.kind === "regex") return !rule.regex.flags.includes("i");
+    return rule.kind === "path";
+  }
+
+  root.BlinkRules = {
+    DEFAULT_CATEGORY_META,
+    CATEGORY_TYPES,
+    parseRule,
+    ruleMatches,
+    categoryPriority,
+    categoryType,
+    categoryDisplay,
+    matchAll,
+    resolveCategory,
+    ruleToRegexFilter,
+    ruleIsCaseSensitive
+  };
+  // CommonJS for the Node tests: require("./categoryRules.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkRules;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,213 @@
+// content/activityTracker.js
+// ActivityTracker: watches real user activity on the page (mouse, keyboard,
+// scroll, click, touch) and sends throttled `activityPing`s; the background's
+// tracker is the one that records time. With the `idle.mediaActive` setting
+// (on by default), audible video or audio playing in the page counts as
+// activity too, so a lecture keeps counting without any input; pings then
+// carry `media: true`, which also keeps the background counting through
+// chrome.idle's "idle" (never "locked"). It also keeps the local display
+// total for this domain: today's time from the background plus the active
+// seconds counted here since, re-synced whenever the tab becomes visible.
+
+(function (root) {
+  const { sendMessageSafe, listen } = root.BlinkUI;
+  const DEFAULT_THRESHOLDS = { inactivitySeconds: 60, resetGapMinutes: 30 };
+  const DEFAULT_IDLE = { mediaActive: true };
+  const ACTIVITY_EVENTS = ["mousemove", "keydown", "click", "scroll", "touchstart"];
+
+  // muted autoplay (ads, background loops) is not someone watching
+  function audibleMediaPlaying() {
+    return Array.from(document.querySelectorAll("video, audio"))
+      .some(m => !m.paused && !m.ended && !m.muted && m.volume > 0);
+  }
+
+  // onChange(totalMs, jumpMs) after every local tick or re-sync (jumpMs is
+  // how far a re-sync moved the total); onDomainInfo(resp) once the
+  // background answered the first getDomainTime. There is no UI, so mount()
+  // and unmount() just start and stop listening.
+  function createActivityTracker({ onChange = () => {}, onDomainInfo = () => {} } = {}) {
+    // both limits are the effective `thresholds` (a team may lock them) and
+    // update live
+    let inactivityMs = DEFAULT_THRESHOLDS.inactivitySeconds * 1000; // idle after no activity
+    let resetGapMs = DEFAULT_THRESHOLDS.resetGapMinutes * 60 * 1000; // timer restarts after this long away
+    let mediaActive = DEFAULT_IDLE.mediaActive; // from the `idle` sync setting
+    let domain = null;
+    let lastActivity = Date.now();
+    let counting = false;
+    let tickInterval = null; // every second while counting
+    let inactivityInterval = null;
+    let localAccumMs = 0; // active ms counted here since the last getDomainTime
+    let baseDomainTimeMs = 0; // domain time today from the background
+    let resetOffsetMs = 0; // part of today's total hidden after a reset gap
+    let lastPingSent = 0;
+    let removers = [];
+    let started = false;
+
+    function applyThresholds(t) {
+      const thresholds = { ...DEFAULT_THRESHOLDS, ...(t || {}) };
+      inactivityMs = thresholds.inactivitySeconds * 1000;
+      resetGapMs = thresholds.resetGapMinutes * 60 * 1000;
+    }
+
+    // the background merges the user's thresholds with the team's
+    // (teamPolicy.js); `then` runs once they are in, or with the saved ones
+    // (or the defaults) when the background does not answer
+    function loadThresholds(then = () => {}) {
+      const done = (resp) => {
+        if (!started) return;
+        if (resp && resp.thresholds) applyThresholds(resp.thresholds);
+        then();
+      };
+      try {
+        chrome.runtime.sendMessage({ action: "getThresholds" }, (resp) => {
+          done(chrome.runtime.lastError ? null : resp);
+        });
+      } catch (e) {
+        // extension context invalidated
+        done(null);
+      }
+    }
+
+    function applyIdleSettings(idle) {
+      mediaActive = !!{ ...DEFAULT_IDLE, ...(idle || {}) }.mediaActive;
+    }
+
+    function mediaPlaying() {
+      return mediaActive && audibleMediaPlaying();
+    }
+
+    function totalMs() {
+      return baseDomainTimeMs + localAccumMs;
+    }
+
+    function recentlyActive() {
+      return Date.now() - lastActivity <= inactivityMs;
+    }
+
+    // read today's total for this domain (and its category) on load
+    function loadDomainInfo() {
+      try {
+        domain = window.location.hostname;
+      } catch (e) {
+        domain = null;
+      }
+      if (!domain) return;
+      sendMessageSafe({ action: "getDomainTime", domain }, (resp) => {
+        if (!resp || !started) return;
+        // if last active was long ago, the timer restarts from 0 (the stored
+        // total is kept; only the display is offset)
+        resetOffsetMs = Date.now() - (resp.lastActive || 0) > resetGapMs ? resp.time || 0 : 0;
+        baseDomainTimeMs = (resp.time || 0) - resetOffsetMs;
+        onDomainInfo(resp);
+        onChange(totalMs(), 0);
+      });
+    }
+
+    // re-read today's domain total (the background includes its open segment)
+    function resync() {
+      if (!domain) return;
+      sendMessageSafe({ action: "getDomainTime", domain }, (resp) => {
+        if (!resp || !started) return;
+        const shown = totalMs();
+        baseDomainTimeMs = Math.max(0, (resp.time || 0) - resetOffsetMs);
+        localAccumMs = 0;
+        onChange(totalMs(), totalMs() - shown);
+      });
+    }
+
+    // tell the background tracker the user is active here; often enough that
+    // the gap between pings stays well under the inactivity threshold
+    function sendActivityPing() {
+      const now = Date.now();
+      if (now - lastPingSent < Math.min(15 * 1000, inactivityMs / 2)) return;
+      lastPingSent = now;
+      sendMessageSafe({ action: "activityPing", media: mediaPlaying() });
+    }
+
+    function startCounting() {
+      if (counting) return;
+      counting = true;
+      lastActivity = Date.now();
+      tickInterval = setInterval(() => {
+        if (document.hidden) return;
+        localAccumMs += 1000;
+        onChange(totalMs(), 0);
+      }, 1000);
+    }
+
+    function stopCounting() {
+      if (!counting) return;
+      counting = false;
+      clearInterval(tickInterval);
+      tickInterval = null;
+    }
+
+    function onUserActivity() {
+      lastActivity = Date.now();
+      if (!document.hidden) {
+        startCounting();
+        sendActivityPing();
+      }
+    }
+
+    function onVisibilityChange() {
+      if (document.hidden) {
+        stopCounting();
+      } else {
+        // time may have been tracked elsewhere (or in another tab on this site)
+        resync();
+        if (recentlyActive()) startCounting();
+      }
+    }
+
+    function onStorageChanged(changes, area) {
+      if ((area === "sync" && changes.thresholds) || area === "managed" || (area === "local" && changes.teamPolicy)) {
+        loadThresholds();
+      }
+      if (area === "sync" && changes.idle) applyIdleSettings(changes.idle.newValue);
+    }
+
+    // chrome.idle broadcasts from the background; playing media outlasts
+    // "idle" but not a locked screen
+    function setIdleState(state) {
+      if (state === "locked" || (state === "idle" && !mediaPlaying())) stopCounting();
+      else if (recentlyActive()) startCounting();
+    }
+
+    function mount() {
+      if (started) return;
+      started = true;
+      removers = ACTIVITY_EVENTS.map(evt => listen(window, evt, onUserActivity, { passive: true }));
+      removers.push(listen(document, "visibilitychange", onVisibilityChange));
+      chrome.storage.onChanged.addListener(onStorageChanged);
+      // stop counting after `inactivityMs` without activity; playing media
+      // is activity every second
+      inactivityInterval = setInterval(() => {
+        if (mediaPlaying()) onUserActivity();
+        else if (counting && !recentlyActive()) stopCounting();
+      }, 1000);
+      // thresholds first, so the reset gap applies to the initial load; the
+      // saved ones until the background answers
+      chrome.storage.sync.get({ thresholds: DEFAULT_THRESHOLDS, idle: DEFAULT_IDLE }, (res) => {
+        applyThresholds(res.thresholds);
+        applyIdleSettings(res.idle);
+        loadThresholds(loadDomainInfo);
+      });
+    }
+
+    function unmount() {
+      if (!started) return;
+      started = false;
+      stopCounting();
+      clearInterval(inactivityInterval);
+      inactivityInterval = null;
+      removers.forEach(remove => remove());
+      removers = [];
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+    }
+
+    return { mount, unmount, destroy: unmount, totalMs, resync, setIdleState, isCounting: () => counting };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createActivityTracker };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,65 @@
+// content/announcer.js
+// Announcer: a visually hidden live region in the floating UI's shadow root
+// for screen readers. The countdowns are role="timer" and stay silent; only
+// meaningful moments are announced (a break starting or ending, the get-back
+// nudge). The same text is not repeated within REPEAT_MS, since one break
+// change can arrive twice (as a response and as a broadcast).
+
+(function (root) {
+  const REGION_ID = "bb-live";
+  const CLEAR_MS = 5000; // empty the region so the next message is read again
+  const REPEAT_MS = 30 * 1000;
+
+  function createAnnouncer({ getRoot }) {
+    let clearTimer = null;
+    let last = { text: "", at: 0 };
+
+    function region() {
+      const shadow = getRoot();
+      if (!shadow) return null;
+      let el = shadow.querySelector("#" + REGION_ID);
+      if (!el) {
+        el = document.createElement("div");
+        el.id = REGION_ID;
+        el.className = "bb-sr-only";
+        el.setAttribute("role", "status");
+        el.setAttribute("aria-live", "polite");
+        el.setAttribute("aria-atomic", "true");
+        shadow.appendChild(el);
+      }
+      return el;
+    }
+
+    function clear() {
+      if (clearTimer) clearTimeout(clearTimer);
+      clearTimer = null;
+      const shadow = getRoot();
+      const el = shadow && shadow.querySelector("#" + REGION_ID);
+      if (el) el.textContent = "";
+    }
+
+    // announcements while the floating UI is hidden are dropped
+    function say(text) {
+      const now = Date.now();
+      if (!text || (text === last.text && now - last.at < REPEAT_MS)) return;
+      const el = region();
+      if (!el) return;
+      last = { text, at: now };
+      el.textContent = text;
+      if (clearTimer) clearTimeout(clearTimer);
+      clearTimer = setTimeout(clear, CLEAR_MS);
+    }
+
+    return {
+      // the region must be in the page before the first message
+      mount() {
+        region();
+      },
+      unmount: clear,
+      destroy: clear,
+      say
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createAnnouncer };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,96 @@
+// content/awayPrompt.js
+// AwayPrompt: after a long time away from the computer (see background.js
+// "Away"), asks whether it was a break, a meeting or should be discarded.
+// The background broadcasts `awayPrompt` to every tab and `awayResolved`
+// once any of them (or the native notification) answered, so the card
+// disappears everywhere. Non-modal: the page stays usable.
+
+(function (root) {
+  const PROMPT_ID = "bb-away";
+  const ANSWERS = [
+    { answer: "break", label: "☕ Break" },
+    { answer: "meeting", label: "👥 Meeting" },
+    { answer: "discard", label: "Discard" }
+  ];
+
+  function awayMinutes(away) {
+    return Math.max(1, Math.round(away.ms / 60000));
+  }
+
+  // onAnswer(id, answer) sends the choice to the background
+  function createAwayPrompt({ getRoot, onAnswer = () => {}, announce = () => {} }) {
+    let away = null;
+    let mounted = false;
+
+    function remove() {
+      const shadow = getRoot();
+      const el = shadow && shadow.querySelector("#" + PROMPT_ID);
+      if (el) el.remove();
+    }
+
+    function render() {
+      remove();
+      const shadow = getRoot();
+      if (!shadow || !mounted || !away) return;
+      const card = document.createElement("div");
+      card.id = PROMPT_ID;
+      card.setAttribute("role", "dialog");
+      card.setAttribute("aria-labelledby", "bb-away-title");
+      const title = document.createElement("div");
+      title.id = "bb-away-title";
+      title.innerText = `You were away ${awayMinutes(away)} min — count it as:`;
+      const row = document.createElement("div");
+      row.className = "bb-away-actions";
+      for (const { answer, label } of ANSWERS) {
+        const btn = document.createElement("button");
+        btn.dataset.answer = answer;
+        btn.innerText = label;
+        btn.addEventListener("click", () => {
+          const id = away && away.id;
+          hide();
+          if (id) onAnswer(id, answer);
+        });
+        row.appendChild(btn);
+      }
+      card.append(title, row);
+      shadow.appendChild(card);
+    }
+
+    function show(next) {
+      if (!next) return;
+      const isNew = !away || away.id !== next.id;
+      away = next;
+      render();
+      if (isNew && mounted) {
+        announce(`You were away ${awayMinutes(next)} minutes. Count it as a break, a meeting, or discard it?`);
+      }
+    }
+
+    // `id` limits hiding to that prompt (a newer one stays)
+    function hide(id) {
+      if (id && away && away.id !== id) return;
+      away = null;
+      remove();
+    }
+
+    return {
+      mount() {
+        mounted = true;
+        render();
+      },
+      unmount() {
+        mounted = false;
+        remove();
+      },
+      destroy() {
+        mounted = false;
+        away = null;
+        remove();
+      },
+      show,
+      hide
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createAwayPrompt };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,394 @@
+// content/breakBanner.js
+// BreakBanner: the break chooser and the break countdown below the floating
+// timer. The background owns the break (see background.js "Breaks"); this
+// component asks it to start/end/pause and renders the broadcast
+// `breakState`, so every tab shows the same countdown.
+//   views: pre-start countdown -> active (or paused) -> pre-end -> ended
+// The chooser is a small dialog: focus moves into it and stays there until
+// a break is picked or it is cancelled (Escape), then returns to the Break
+// button. `announce(text)` tells screen readers when a break starts or ends.
+// The chooser also picks the break's activity (breakTypes.js), preselected
+// with the one the background would pick; the active view walks through
+// that activity's steps: a checklist, or the breathing circle.
+// A chooser opened by a break reminder carries its `reminderId`: picking a
+// break starts it with the "threshold" trigger and answers that reminder,
+// cancelling dismisses it (see background.js "Reminder delivery").
+
+(function (root) {
+  const { sendMessageSafe, formatSeconds, listen, prefersReducedMotion, trapFocus, attachDrag } = root.BlinkUI;
+  const { TYPES, TYPE_IDS, guideAt } = root.BlinkBreaks;
+  const OVERLAY_ID = "break-buddy-overlay";
+  const BANNER_ID = "bb-break-banner";
+  const MAX_MANUAL_MIN = 45;
+
+  const CHOOSER_MARKUP = `
+    <div id="bb-overlay-card" role="dialog" aria-labelledby="bb-chooser-title">
+      <div class="bb-row"><strong id="bb-chooser-title">Choose break</strong></div>
+      <div class="bb-row">
+        <label for="bb-break-type">Activity</label>
+        <select id="bb-break-type">
+          ${TYPE_IDS.map(id => `<option value="${id}">${TYPES[id].icon} ${TYPES[id].label}</option>`).join("")}
+        </select>
+      </div>
+      <div class="bb-row">
+        <button class="bb-break-btn" data-min="10" aria-label="10 minute break">10m</button>
+        <button class="bb-break-btn" data-min="20" aria-label="20 minute break">20m</button>
+        <button class="bb-break-btn" data-min="30" aria-label="30 minute break">30m</button>
+        <button class="bb-break-btn" data-min="manual" aria-expanded="false" aria-controls="bb-manual">Manual</button>
+      </div>
+      <form id="bb-manual" class="bb-row" hidden>
+        <label for="bb-manual-min">Minutes</label>
+        <input type="number" id="bb-manual-min" min="1" max="${MAX_MANUAL_MIN}" value="15" aria-describedby="bb-manual-hint" />
+        <button type="submit" class="bb-break-btn">Start</button>
+      </form>
+      <div class="bb-row"><small id="bb-manual-hint">Manual max: ${MAX_MANUAL_MIN}m</small></div>
+      <div class="bb-row"><button id="bb-cancel">Cancel</button></div>
+    </div>
+  `;
+
+  const VIEWS = {
+    pre: `
+      <div class="pre-break-content" role="timer" aria-label="Break starting">
+        <div class="pre-break-title">🎯 Break Starting...</div>
+        <div class="pre-break-countdown">3</div>
+      </div>
+    `,
+    "pre-end": `
+      <div class="pre-end-content" role="timer" aria-label="Break ending" style="text-align:center;padding:12px;">
+        <div class="pre-end-title">⏳ Break Ending...</div>
+        <div class="pre-end-count">3</div>
+      </div>
+    `,
+    active: `
+      <div class="break-content" style="position:relative;padding:12px;">
+        <button class="bb-pause" title="Pause break" aria-label="Pause break" style="position:absolute;top:8px;right:72px;background:transparent;border:none;color:inherit;font-size:16px;cursor:pointer">⏸</button>
+        <button class="minimize-btn" title="Minimize" aria-label="Minimize break timer" style="position:absolute;top:8px;right:40px;background:transparent;border:none;color:inherit;font-size:18px;cursor:pointer">−</button>
+        <button class="bb-close" title="Close break" aria-label="End break now" style="position:absolute;top:8px;right:8px;background:transparent;border:none;color:inherit;font-size:18px;cursor:pointer">×</button>
+        <div class="break-title">🎯 Break Time!</div>
+        <div id="bb-break-text">Time remaining: <span id="bb-break-remaining" role="timer"></span></div>
+        <div class="bb-guide">
+          <div class="bb-breath" aria-hidden="true" hidden></div>
+          <div class="bb-guide-step" aria-live="polite"></div>
+          <div class="bb-guide-left"></div>
+          <ol class="bb-guide-steps"></ol>
+        </div>
+      </div>
+      <div class="mini-ui" style="display:none;align-items:center;gap:8px;">
+        <div id="bb-break-mini" role="timer" aria-label="Break time remaining" style="font-weight:800;padding:6px 10px;background:transparent;border-radius:6px;">0m</div>
+        <button class="maximize-btn" title="Maximize" aria-label="Expand break timer" style="background:transparent;border:none;color:inherit;font-size:14px;cursor:pointer">▢</button>
+      </div>
+    `
+  };
+
+  // `getRoot()` returns the shadow root to render into (null = not shown)
+  function createBreakBanner({ getRoot, announce = () => {} }) {
+    let breakState = null;
+    let breakTicker = null;
+    let breakEndTimer = null;
+    let detachDrag = null;
+    let releaseFocus = null; // the chooser's focus trap
+    let mounted = false;
+
+    const $ = (sel) => {
+      const shadow = getRoot();
+      return shadow ? shadow.querySelector(sel) : null;
+    };
+
+    // ---- chooser ----
+    function showOptions({ reminderId = null } = {}) {
+      const shadow = getRoot();
+      if (!shadow) return;
+      hideOptions();
+      const trigger = reminderId ? "threshold" : "manual";
+      const overlay = document.createElement("div");
+      overlay.id = OVERLAY_ID;
+      overlay.innerHTML = CHOOSER_MARKUP;
+      shadow.appendChild(overlay);
+      const manual = overlay.querySelector("#bb-manual");
+      const typeSelect = overlay.querySelector("#bb-break-type");
+      sendMessageSafe({ action: "getNextBreakType" }, (resp) => {
+        if (resp && TYPES[resp.type]) typeSelect.value = resp.type;
+      });
+      const manualInput = overlay.querySelector("#bb-manual-min");
+      overlay.querySelectorAll(".bb-break-btn[data-min]").forEach(b => {
+        b.addEventListener("click", (e) => {
+          const val = e.currentTarget.dataset.min;
+          if (val !== "manual") return requestBreak(parseInt(val) * 60 * 1000, typeSelect.value, trigger, reminderId);
+          // minutes are typed into the chooser itself (no prompt())
+          manual.hidden = false;
+          e.currentTarget.setAttribute("aria-expanded", "true");
+          manualInput.focus();
+          manualInput.select();
+        });
+      });
+      manual.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const parsed = parseInt(manualInput.value);
+        if (isNaN(parsed) || parsed <= 0) {
+          manualInput.setAttribute("aria-invalid", "true");
+          manualInput.focus();
+          return;
+        }
+        requestBreak(Math.min(parsed, MAX_MANUAL_MIN) * 60 * 1000, typeSelect.value, trigger, reminderId);
+      });
+      const cancel = () => {
+        hideOptions();
+        if (reminderId) sendMessageSafe({ action: "dismissReminder", reminderId });
+      };
+      overlay.querySelector("#bb-cancel").addEventListener("click", cancel);
+      // start on the durations; the activity is one Shift+Tab away
+      releaseFocus = trapFocus(overlay.querySelector("#bb-overlay-card"), { onEscape: cancel, initial: '.bb-break-btn[data-min="10"]' });
+    }
+
+    function hideOptions() {
+      const ex = $("#" + OVERLAY_ID);
+      if (ex) ex.remove();
+      if (releaseFocus) releaseFocus();
+      releaseFocus = null;
+    }
+
+    function requestBreak(durationMs, breakType, trigger, reminderId = null) {
+      hideOptions();
+      sendMessageSafe({ action: "startBreakGlobal", durationMs, trigger, breakType, reminderId }, (resp) => {
+        if (resp && resp.breakState) apply(resp.breakState);
+      });
+    }
+
+    // ---- banner ----
+    function apply(state) {
+      const wasActive = !!(breakState && breakState.active);
+      breakState = state;
+      if (!mounted) return;
+      // a new break, not one this tab joins halfway (reload, new tab)
+      if (!wasActive && state && state.active && Date.now() < state.startsAt) {
+        const type = TYPES[state.type];
+        announce(`Break started: ${Math.round(state.durationMs / 60000)} minutes${type ? ` of ${type.label.toLowerCase()}` : ""}.`);
+      }
+      if (state && state.active) {
+        if (breakEndTimer) { clearTimeout(breakEndTimer); breakEndTimer = null; }
+        render();
+        if (!breakTicker) breakTicker = setInterval(render, 1000);
+        return;
+      }
+      stopTicker();
+      // only show the end state in tabs that were displaying this break
+      // (the same state can arrive twice: as a response and as a broadcast)
+      if (wasActive && state && state.endedAt) showEnded(!!state.endedEarly);
+      else if (!breakEndTimer) removeBanner();
+    }
+
+    function stopTicker() {
+      if (breakTicker) clearInterval(breakTicker);
+      breakTicker = null;
+    }
+
+    function render() {
+      if (!breakState || !breakState.active) return;
+      const banner = ensureBanner();
+      if (!banner) return;
+      const now = Date.now();
+      if (now < breakState.startsAt) {
+        setView(banner, "pre");
+        const el = banner.querySelector(".pre-break-countdown");
+        if (el) el.textContent = Math.ceil((breakState.startsAt - now) / 1000);
+        return;
+      }
+      const remainingMs = breakState.paused ? breakState.remainingMs : breakState.endsAt - now;
+      if (!breakState.paused && remainingMs <= 3000) {
+        setView(banner, "pre-end");
+        const el = banner.querySelector(".pre-end-count");
+        if (el) el.textContent = Math.max(1, Math.ceil(remainingMs / 1000));
+        return;
+      }
+      setView(banner, "active");
+      const text = formatSeconds(Math.max(0, Math.ceil(remainingMs / 1000))) + (breakState.paused ? " (paused)" : "");
+      const remEl = banner.querySelector("#bb-break-remaining");
+      const miniEl = banner.querySelector("#bb-break-mini");
+      const pauseBtn = banner.querySelector(".bb-pause");
+      if (remEl) remEl.innerText = text;
+      if (miniEl) miniEl.innerText = text;
+      if (pauseBtn) {
+        pauseBtn.textContent = breakState.paused ? "▶" : "⏸";
+        pauseBtn.title = breakState.paused ? "Resume break" : "Pause break";
+        pauseBtn.setAttribute("aria-label", pauseBtn.title);
+      }
+      renderGuide(banner, breakState.durationMs - remainingMs);
+    }
+
+    // the current step of the break's activity, `elapsedMs` into the break
+    function renderGuide(banner, elapsedMs) {
+      const type = TYPES[breakState.type];
+      const guide = banner.querySelector(".bb-guide");
+      if (!guide) return;
+      guide.hidden = !type;
+      if (!type) return;
+      const { index, step, stepRemainingMs } = guideAt(breakState.type, elapsedMs);
+      const title = banner.querySelector(".break-title");
+      if (title) title.textContent = `${type.icon} ${type.label}`;
+      const stepEl = guide.querySelector(".bb-guide-step");
+      if (stepEl.textContent !== step.text) stepEl.textContent = step.text;
+      guide.querySelector(".bb-guide-left").textContent = `${Math.ceil(stepRemainingMs / 1000)}s`;
+
+      const breath = guide.querySelector(".bb-breath");
+      const list = guide.querySelector(".bb-guide-steps");
+      if (step.phase) {
+        // a step every few seconds: read only by looking, not announced
+        stepEl.setAttribute("aria-live", "off");
+        breath.hidden = false;
+        list.hidden = true;
+        // "hold" keeps the size the previous step reached
+        const prev = type.steps[(index + type.steps.length - 1) % type.steps.length];
+        const size = step.phase === "hold" ? (prev.phase === "in" ? "full" : "small") : (step.phase === "in" ? "full" : "small");
+        if (breath.dataset.size !== size) {
+          breath.style.transitionDuration = prefersReducedMotion() || breakState.paused ? "0s" : `${step.seconds}s`;
+          breath.dataset.size = size;
+        }
+        return;
+      }
+      breath.hidden = true;
+      list.hidden = false;
+      if (list.dataset.type !== breakState.type) {
+        list.dataset.type = breakState.type;
+        list.innerHTML = "";
+        for (const s of type.steps) {
+          const li = document.createElement("li");
+          li.textContent = s.text;
+          list.appendChild(li);
+        }
+      }
+      list.querySelectorAll("li").forEach((li, i) => {
+        li.classList.toggle("done", i < index);
+        if (i === index) li.setAttribute("aria-current", "step");
+        else li.removeAttribute("aria-current");
+      });
+    }
+
+    function ensureBanner() {
+      const shadow = getRoot();
+      if (!shadow) return null;
+      let banner = shadow.querySelector("#" + BANNER_ID);
+      if (banner) return banner;
+      banner = document.createElement("div");
+      banner.id = BANNER_ID;
+      banner.setAttribute("role", "region");
+      banner.setAttribute("aria-label", "Break. Use the arrow keys to move it.");
+      banner.tabIndex = 0;
+      shadow.appendChild(banner);
+      // buttons are excluded from dragging, so the whole block can be the handle
+      detachDrag = attachDrag(banner, "bannerPos");
+      return banner;
+    }
+
+    function setView(banner, view) {
+      if (banner.dataset.view === view) return;
+      // re-rendering drops the focused button; keep focus in the banner
+      const hadFocus = banner.contains(banner.getRootNode().activeElement);
+      banner.dataset.view = view;
+      banner.style.opacity = "";
+      banner.innerHTML = VIEWS[view];
+      if (view === "active") wireActive(banner);
+      if (hadFocus) banner.focus();
+    }
+
+    function wireActive(banner) {
+      const minBtn = banner.querySelector(".minimize-btn");
+      const maxBtn = banner.querySelector(".maximize-btn");
+      const miniEl = banner.querySelector("#bb-break-mini");
+
+      // × ends the break in every tab
+      banner.querySelector(".bb-close").addEventListener("click", () => {
+        sendMessageSafe({ action: "endBreakGlobal" }, (resp) => {
+          if (resp && resp.breakState) apply(resp.breakState);
+        });
+      });
+      banner.querySelector(".bb-pause").addEventListener("click", () => {
+        const action = breakState && breakState.paused ? "resumeBreak" : "pauseBreak";
+        sendMessageSafe({ action }, (resp) => {
+          if (resp && resp.breakState) apply(resp.breakState);
+        });
+      });
+
+      // minimize / maximize this block (persisted)
+      function setMinimized(state, moveFocus = false) {
+        banner.classList.toggle("minimized", !!state);
+        if (miniEl) miniEl.style.display = state ? "block" : "none";
+        const content = banner.querySelector(".break-content");
+        if (content) content.style.display = state ? "none" : "block";
+        if (minBtn) minBtn.style.display = state ? "none" : "inline-block";
+        if (maxBtn) maxBtn.style.display = state ? "inline-block" : "none";
+        const next = state ? maxBtn : minBtn;
+        if (moveFocus && next) next.focus();
+        chrome.storage.sync.set({ breakBannerMinimized: !!state });
+      }
+      chrome.storage.sync.get({ breakBannerMinimized: false }, (res) => { setMinimized(!!res.breakBannerMinimized); });
+      if (minBtn) minBtn.addEventListener("click", () => setMinimized(true, true));
+      if (maxBtn) maxBtn.addEventListener("click", () => setMinimized(false, true));
+    }
+
+    function showEnded(early) {
+      const banner = ensureBanner();
+      if (!banner) return;
+      announce(early ? "Break ended. Back to work." : "Break complete. Time to get back to work.");
+      const hadFocus = banner.contains(banner.getRootNode().activeElement);
+      banner.dataset.view = "ended";
+      banner.innerHTML = early ? `
+        <div class="end-break-content">
+          <div class="end-break-title">⏰ Break Ended</div>
+          <div class="end-break-message">Back to work</div>
+        </div>
+      ` : `
+        <div class="end-break-content">
+          <div class="end-break-title">⏰ Break Complete!</div>
+          <div class="end-break-message">Time to get back to work</div>
+        </div>
+      `;
+      if (hadFocus) banner.focus();
+      // fade out (the CSS transition), or just go with reduced motion
+      breakEndTimer = setTimeout(() => {
+        if (prefersReducedMotion()) {
+          breakEndTimer = null;
+          removeBanner();
+          return;
+        }
+        banner.style.opacity = "0";
+        breakEndTimer = setTimeout(() => {
+          breakEndTimer = null;
+          removeBanner();
+        }, 300);
+      }, early ? 2000 : 3000);
+    }
+
+    function removeBanner() {
+      if (detachDrag) detachDrag();
+      detachDrag = null;
+      const old = $("#" + BANNER_ID);
+      if (!old) return;
+      // don't leave keyboard focus on a removed element
+      const hadFocus = old.contains(old.getRootNode().activeElement);
+      old.remove();
+      const breakBtn = hadFocus && $("#bb-break");
+      if (breakBtn) breakBtn.focus();
+    }
+
+    function mount() {
+      if (mounted) return;
+      mounted = true;
+      // show a break that is already running (new tab, reload, re-enable)
+      if (breakState && breakState.active) apply(breakState);
+    }
+
+    function unmount() {
+      if (!mounted) return;
+      mounted = false;
+      stopTicker();
+      if (breakEndTimer) clearTimeout(breakEndTimer);
+      breakEndTimer = null;
+      hideOptions();
+      removeBanner();
+    }
+
+    return { mount, unmount, destroy: unmount, apply, showOptions, hideOptions };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createBreakBanner };
+})(typeof self !== "undefined" ? self : this);
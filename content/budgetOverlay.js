@@ -0,0 +1,83 @@
+// content/budgetOverlay.js
+// BudgetOverlay: the "daily budget used up" overlay shown past the grace
+// period (see budgets.js). "Keep going" hides it for the rest of this page
+// load; the hard block after that is a redirect done by the background.
+// It is an alert dialog: focus moves to "Leave site" and Tab stays inside
+// until it is dismissed. Escape does nothing; keeping going is a choice.
+
+(function (root) {
+  const { trapFocus } = root.BlinkUI;
+  const OVERLAY_ID = "bb-budget-overlay";
+
+  function budgetLabel(status) {
+    return status.kind === "category" ? `${status.target} sites` : status.target;
+  }
+
+  function createBudgetOverlay({ getRoot }) {
+    let dismissed = false; // per page load
+    let status = null; // shown while mounted
+    let releaseFocus = null;
+
+    function remove() {
+      const shadow = getRoot();
+      const ex = shadow && shadow.querySelector("#" + OVERLAY_ID);
+      if (ex) ex.remove();
+      if (releaseFocus) releaseFocus();
+      releaseFocus = null;
+    }
+
+    function describe() {
+      const blockInMins = Math.max(0, Math.ceil((status.blockAtMs - status.usedMs) / 60000));
+      return `You've spent ${Math.round(status.usedMs / 60000)}m of your ${Math.round(status.limitMs / 60000)}m budget for ` +
+        `${budgetLabel(status)}. It will be blocked for the rest of the day in ${blockInMins}m.`;
+    }
+
+    function render() {
+      const shadow = getRoot();
+      const existing = shadow && shadow.querySelector("#" + OVERLAY_ID);
+      // a newer status for an overlay on screen: update the text, keep focus
+      if (existing && status && !dismissed) {
+        existing.querySelector(".bb-budget-text").innerText = describe();
+        return;
+      }
+      remove();
+      if (!shadow || !status || dismissed) return;
+      const overlay = document.createElement("div");
+      overlay.id = OVERLAY_ID;
+      overlay.innerHTML = `
+        <div class="bb-budget-card" role="alertdialog" aria-modal="true" aria-labelledby="bb-budget-title" aria-describedby="bb-budget-text">
+          <div class="bb-row"><strong id="bb-budget-title">⌛ Daily budget used up</strong></div>
+          <div class="bb-row bb-budget-text" id="bb-budget-text"></div>
+          <div class="bb-row">
+            <button id="bb-budget-leave">Leave site</button>
+            <button id="bb-budget-dismiss">Keep going</button>
+          </div>
+        </div>
+      `;
+      overlay.querySelector(".bb-budget-text").innerText = describe();
+      shadow.appendChild(overlay);
+      overlay.querySelector("#bb-budget-leave").addEventListener("click", () => {
+        if (history.length > 1) history.back();
+        else location.href = "about:blank";
+      });
+      overlay.querySelector("#bb-budget-dismiss").addEventListener("click", () => {
+        dismissed = true;
+        remove();
+      });
+      releaseFocus = trapFocus(overlay.querySelector(".bb-budget-card"), { initial: "#bb-budget-leave" });
+    }
+
+    return {
+      mount: render,
+      unmount: remove,
+      destroy: remove,
+      // show for a status at the overlay stage, hide for anything else
+      update(s) {
+        status = s && s.stage === "overlay" ? s : null;
+        render();
+      }
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createBudgetOverlay, budgetLabel };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,225 @@
+// content/common.js
+// Helpers shared by the content script components (see content.js). Every
+// component file adds a factory to the BlinkUI namespace; content scripts
+// listed in the manifest share one global scope, so load order is the only
+// "bundling" needed.
+//
+// Component lifecycle:
+//   mount()    render into the page and start timers / DOM listeners
+//   unmount()  remove everything mount() added; mount() may be called again
+//   destroy()  unmount and drop chrome.* listeners for good
+
+(function (root) {
+  const HOST_ID = "break-buddy-floating";
+
+  // chrome.runtime.sendMessage that ignores runtime.lastError (the worker may
+  // be asleep or the extension reloaded); `cb` only runs with a response
+  function sendMessageSafe(msg, cb) {
+    try {
+      chrome.runtime.sendMessage(msg, (resp) => {
+        if (chrome.runtime.lastError) return;
+        if (typeof cb === "function") cb(resp);
+      });
+    } catch (e) {
+      // extension context invalidated
+    }
+  }
+
+  // seconds as H:MM:SS or M:SS
+  function formatSeconds(s) {
+    if (typeof s !== "number" || isNaN(s) || s < 0) return "0s";
+    const hours = Math.floor(s / 3600);
+    const mins = Math.floor((s % 3600) / 60);
+    const secs = Math.floor(s % 60);
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    if (hours > 0) return `${hours}:${two(mins)}:${two(secs)}`;
+    return `${mins}:${two(secs)}`;
+  }
+
+  // addEventListener that returns its own remover
+  function listen(target, type, fn, options) {
+    target.addEventListener(type, fn, options);
+    return () => target.removeEventListener(type, fn, options);
+  }
+
+  // the user asked the OS for less motion: skip fades and transitions
+  function prefersReducedMotion() {
+    try {
+      return !!(window.matchMedia && window.matchMedia("(prefers-reduced-motion: reduce)").matches);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  const FOCUSABLE = "button:not([disabled]), input:not([disabled]), select:not([disabled]), a[href], [tabindex]:not([tabindex='-1'])";
+
+  // Keep Tab / Shift+Tab inside `container` (a dialog in the shadow root) and
+  // call `onEscape` for Escape. Focus moves to the first control; the
+  // returned function removes the trap and gives focus back to whatever had
+  // it before.
+  function trapFocus(container, { onEscape = null, initial = null } = {}) {
+    const rootNode = container.getRootNode();
+    const previous = rootNode.activeElement || document.activeElement;
+    const focusables = () => [...container.querySelectorAll(FOCUSABLE)].filter(el => !el.closest("[hidden]"));
+    const first = initial ? container.querySelector(initial) : focusables()[0];
+    if (first) first.focus();
+    const remove = listen(container, "keydown", (ev) => {
+      if (ev.key === "Escape" && onEscape) {
+        ev.preventDefault();
+        ev.stopPropagation();
+        onEscape();
+        return;
+      }
+      if (ev.key !== "Tab") return;
+      const items = focusables();
+      if (!items.length) return;
+      const active = rootNode.activeElement;
+      const i = items.indexOf(active);
+      const next = ev.shiftKey ? (i <= 0 ? items.length - 1 : i - 1) : (i === items.length - 1 ? 0 : i + 1);
+      ev.preventDefault();
+      items[next].focus();
+    });
+    return () => {
+      remove();
+      try {
+        if (previous && previous.isConnected && previous.focus) previous.focus();
+      } catch (e) {}
+    };
+  }
+
+  const KEY_STEP_PX = 10;
+  const KEY_STEP_LARGE_PX = 50; // with Shift
+  const KEY_MOVES = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  const SAVE_DELAY_MS = 500; // a held arrow key saves once, not per step
+
+  // Make `el` draggable by a handle (or the element itself) and persist its
+  // position under `storageKey` in chrome.storage.sync. The arrow keys move
+  // it too while the handle itself has focus (Shift for bigger steps).
+  // Returns a function that removes the drag listeners.
+  function attachDrag(el, storageKey = "floatPos", handleSelector = null) {
+    if (!el) return () => {};
+    let dragging = false;
+    let startX = 0, startY = 0;
+    let currentPointerId = null;
+    let saveTimer = null;
+    let pendingPos = null; // keyboard move not saved yet
+
+    // restore saved position
+    chrome.storage.sync.get({ [storageKey]: null }, (res) => {
+      const p = res && res[storageKey];
+      if (p && typeof p.x === "number" && typeof p.y === "number") {
+        el.style.top = (p.y || 12) + "px";
+        el.style.left = (p.x || "") + (p.x ? "px" : "");
+        el.style.right = p.x ? "auto" : "12px";
+      }
+    });
+
+    const scope = el.shadowRoot || el;
+    const handle = (handleSelector && scope.querySelector(handleSelector)) || el;
+    try { handle.style.cursor = "grab"; } catch (e) {}
+    try { handle.style.touchAction = "none"; } catch (e) {}
+
+    function savePosition(x, y) {
+      chrome.storage.sync.set({ [storageKey]: { x: Math.round(x), y: Math.round(y) } });
+    }
+
+    function moveBy(dx, dy) {
+      const rect = el.getBoundingClientRect();
+      const maxX = Math.max(6, window.innerWidth - rect.width - 6);
+      const maxY = Math.max(6, window.innerHeight - rect.height - 6);
+      const x = Math.min(maxX, Math.max(6, rect.left + dx));
+      const y = Math.min(maxY, Math.max(6, rect.top + dy));
+      el.style.left = x + "px";
+      el.style.top = y + "px";
+      el.style.right = "auto";
+      pendingPos = { x, y };
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(flushPosition, SAVE_DELAY_MS);
+    }
+
+    function flushPosition() {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      if (pendingPos) savePosition(pendingPos.x, pendingPos.y);
+      pendingPos = null;
+    }
+
+    function endDrag() {
+      dragging = false;
+      try { if (currentPointerId != null) el.releasePointerCapture?.(currentPointerId); } catch (e) {}
+      currentPointerId = null;
+      try { handle.style.cursor = "grab"; } catch (e) {}
+    }
+
+    const removers = [
+      listen(handle, "pointerdown", (ev) => {
+        // only the primary button, and not when interacting with controls
+        if (ev.button !== 0) return;
+        try {
+          if (ev.target && ev.target.nodeType === 1 && ev.target.closest &&
+            (ev.target.closest("button") || ev.target.closest("a") || ev.target.closest("textarea"))) return;
+        } catch (e) {
+          return;
+        }
+        dragging = true;
+        startX = ev.clientX;
+        startY = ev.clientY;
+        if (!el.style.transform) el.style.transform = "translate(0px, 0px)";
+        try { el.setPointerCapture?.(ev.pointerId); } catch (e) {}
+        currentPointerId = ev.pointerId;
+        handle.style.cursor = "grabbing";
+        el.style.willChange = "transform";
+      }),
+      // move with a transform while dragging
+      listen(window, "pointermove", (ev) => {
+        if (!dragging) return;
+        el.style.transform = `translate(${ev.clientX - startX}px, ${ev.clientY - startY}px)`;
+      }),
+      // drop: turn the transform into left/top and save it
+      listen(window, "pointerup", () => {
+        if (!dragging) return;
+        endDrag();
+        try {
+          const rect = el.getBoundingClientRect();
+          const finalX = Math.max(6, rect.left);
+          const finalY = Math.max(6, rect.top);
+          el.style.transform = "none";
+          el.style.willChange = "auto";
+          el.style.left = finalX + "px";
+          el.style.top = finalY + "px";
+          el.style.right = "auto";
+          savePosition(finalX, finalY);
+        } catch (e) {}
+      }),
+      listen(handle, "keydown", (ev) => {
+        const move = KEY_MOVES[ev.key];
+        // only the handle itself: arrow keys on its buttons keep their meaning
+        if (!move || ev.target !== handle || ev.altKey || ev.ctrlKey || ev.metaKey) return;
+        ev.preventDefault();
+        const step = ev.shiftKey ? KEY_STEP_LARGE_PX : KEY_STEP_PX;
+        moveBy(move[0] * step, move[1] * step);
+      }),
+      // the OS or browser cancelled the pointer
+      listen(window, "pointercancel", () => {
+        if (!dragging) return;
+        endDrag();
+        try { el.style.transform = "none"; el.style.willChange = "auto"; } catch (e) {}
+      })
+    ];
+    return () => {
+      removers.forEach(remove => remove());
+      flushPosition();
+    };
+  }
+
+  root.BlinkUI = {
+    ...(root.BlinkUI || {}),
+    HOST_ID,
+    sendMessageSafe,
+    formatSeconds,
+    listen,
+    prefersReducedMotion,
+    trapFocus,
+    attachDrag
+  };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,284 @@
+// content/floatingTimer.js
+// FloatingTimer: the draggable, minimizable box in the page corner. It owns
+// the shadow-root host the other components render into and shows the time
+// on this site (or what is left of its daily budget), the category, the
+// active schedule and the Pomodoro session (GoalRing fills its #bb-goal
+// row). State set while unmounted is kept and rendered on the next mount().
+// The title is the drag handle; it is focusable, so the arrow keys move the
+// box as well. Countdowns are role="timer" (not announced on every tick).
+
+(function (root) {
+  const { HOST_ID, formatSeconds, listen, attachDrag } = root.BlinkUI;
+  const SESSION_LABELS = { work: "🍅 Work", shortBreak: "☕ Short break", longBreak: "🌴 Long break" };
+  const SESSION_ICONS = { work: "🍅", shortBreak: "☕", longBreak: "🌴" };
+
+  const MARKUP = `
+    <div class="full-ui">
+      <button class="minimize-btn" title="Minimize" aria-label="Minimize Blink timer">−</button>
+      <div id="bb-title" tabindex="0" role="button" aria-roledescription="movable" aria-label="Blink timer. Use the arrow keys to move it.">⏱ Blink</div>
+      <div id="bb-timer-wrapper">
+        <div class="bb-timer-label" id="bb-timer-label">Time on Tab/Website</div>
+        <div id="bb-timer" role="timer" aria-labelledby="bb-timer-label">0m</div>
+      </div>
+      <div id="bb-cat" title="Site Category">📊 Category: <span class="category-text">—</span></div>
+      <div id="bb-schedule" title="Active schedule" hidden>🗓 <span class="schedule-name"></span></div>
+      <div id="bb-session" title="Pomodoro session" role="timer" aria-label="Pomodoro session" hidden><span class="session-phase"></span> · <span class="session-remaining"></span></div>
+      <div id="bb-goal" title="Daily productive goal" hidden></div>
+      <div id="bb-controls">
+        <button id="bb-open">⚙️ Settings</button>
+        <button id="bb-dashboard" title="Usage dashboard" aria-label="Usage dashboard">📈</button>
+        <button id="bb-break" aria-haspopup="dialog">Break</button>
+      </div>
+    </div>
+    <div class="mini-ui">
+      <div id="bb-mini-timer" title="Time on Tab/Website" role="timer" aria-label="Time on Tab/Website">0m</div>
+      <div id="bb-mini-session" title="Pomodoro session" role="timer" aria-label="Pomodoro session" hidden></div>
+      <button class="maximize-btn" title="Maximize" aria-label="Expand Blink timer">▢</button>
+    </div>
+  `;
+
+  // open an extension page through the background, or directly if it is asleep
+  function openExtensionPage(action, page) {
+    const url = chrome.runtime.getURL(page);
+    chrome.runtime.sendMessage({ action, url }, () => {
+      if (chrome.runtime.lastError) window.open(url, "_blank");
+    });
+  }
+
+  function createFloatingTimer({ onBreakClick = () => {} } = {}) {
+    let host = null;
+    let removers = [];
+    let sessionTicker = null;
+    let displayTicker = null;
+    // view state
+    let totalMs = 0;
+    let budgetStatus = null; // this page's daily budget (see content.js "Budgets")
+    let budgetCountedAt = 0; // totalMs when budgetStatus arrived
+    let category = null; // null until the background tells us
+    let categoryMeta = null; // icon/colour/type per category (options page)
+    let session = null;
+    let schedule = null;
+
+    const $ = (sel) => (host && host.shadowRoot ? host.shadowRoot.querySelector(sel) : null);
+
+    function renderTime() {
+      let timeText = `${Math.floor(totalMs / 60000)}m`;
+      let budgetClass = null;
+      // with a budget on this page, count down what is left instead
+      if (budgetStatus) {
+        const remainingMs = budgetStatus.remainingMs - (totalMs - budgetCountedAt);
+        timeText = remainingMs > 0 ? `${Math.ceil(remainingMs / 60000)}m left` : `${Math.floor(-remainingMs / 60000)}m over`;
+        if (remainingMs <= 0) budgetClass = "bb-budget-over";
+        else if (remainingMs <= budgetStatus.limitMs * 0.2) budgetClass = "bb-budget-warn";
+      }
+      [$("#bb-timer"), $("#bb-mini-timer")].forEach(el => {
+        if (!el) return;
+        el.innerText = timeText;
+        el.classList.toggle("bb-budget-warn", budgetClass === "bb-budget-warn");
+        el.classList.toggle("bb-budget-over", budgetClass === "bb-budget-over");
+      });
+    }
+
+    function renderCategory() {
+      const el = $("#bb-cat");
+      const categoryText = el ? el.querySelector(".category-text") : null;
+      if (!categoryText) return;
+      const display = BlinkRules.categoryDisplay(category || "other", categoryMeta);
+      const label = category ? display.name.charAt(0).toUpperCase() + display.name.slice(1) : "Uncategorized";
+      categoryText.innerText = `${display.icon} ${label}`;
+      el.style.setProperty("--category-color", display.color);
+      el.dataset.type = display.type;
+    }
+
+    function renderSession() {
+      const row = $("#bb-session");
+      const mini = $("#bb-mini-session");
+      const active = !!(session && session.phase !== "idle");
+      if (row) row.hidden = !active;
+      if (mini) mini.hidden = !active;
+      if (!active) return;
+      const remainingMs = session.paused ? session.remainingMs : session.phaseEndsAt - Date.now();
+      const remaining = formatSeconds(Math.max(0, Math.ceil(remainingMs / 1000))) + (session.paused ? " (paused)" : "");
+      const phaseEl = row ? row.querySelector(".session-phase") : null;
+      const remEl = row ? row.querySelector(".session-remaining") : null;
+      if (phaseEl) phaseEl.innerText = SESSION_LABELS[session.phase] || session.phase;
+      if (remEl) remEl.innerText = remaining;
+      if (mini) mini.innerText = `${SESSION_ICONS[session.phase] || ""} ${remaining}`;
+    }
+
+    // active named schedule ({ name, endsAt } or null)
+    function renderSchedule() {
+      const row = $("#bb-schedule");
+      if (!row) return;
+      row.hidden = !schedule;
+      if (!schedule) return;
+      const end = new Date(schedule.endsAt);
+      const two = (n) => (n < 10 ? "0" + n : "" + n);
+      row.querySelector(".schedule-name").innerText = `${schedule.name} · until ${two(end.getHours())}:${two(end.getMinutes())}`;
+    }
+
+    // tick the session countdown only while a session runs
+    function syncSessionTicker() {
+      const needed = !!(host && session && session.phase !== "idle" && !session.paused);
+      if (needed && !sessionTicker) sessionTicker = setInterval(renderSession, 1000);
+      else if (!needed && sessionTicker) {
+        clearInterval(sessionTicker);
+        sessionTicker = null;
+      }
+    }
+
+    // the background merges the user's meta with the team's (teamPolicy.js);
+    // keep the stored meta if it is asleep
+    function loadCategoryMeta() {
+      chrome.runtime.sendMessage({ action: "getCategoryMeta" }, (resp) => {
+        if (chrome.runtime.lastError || !resp || !resp.categoryMeta || !host) return;
+        categoryMeta = resp.categoryMeta;
+        renderCategory();
+      });
+    }
+
+    function onStorageChanged(changes, area) {
+      if (area === "sync" && changes.categoryMeta) {
+        categoryMeta = changes.categoryMeta.newValue;
+        renderCategory();
+      }
+      if ((area === "sync" && changes.categoryMeta) || area === "managed" || (area === "local" && changes.teamPolicy)) {
+        loadCategoryMeta();
+      }
+    }
+
+    // `moveFocus`: the button that was pressed disappears, so focus the one
+    // that replaces it
+    function setMinimized(minimized, moveFocus = false) {
+      if (!host) return;
+      host.classList.toggle("minimized", minimized);
+      renderTime();
+      if (moveFocus) {
+        const next = $(minimized ? ".maximize-btn" : ".minimize-btn");
+        if (next) next.focus();
+      }
+      chrome.storage.sync.set({ timerMinimized: minimized });
+    }
+
+    function createHost() {
+      const el = document.createElement("div");
+      el.id = HOST_ID;
+      el.setAttribute("role", "region");
+      el.setAttribute("aria-label", "Blink timer");
+      const shadow = el.attachShadow({ mode: "open" });
+      // fallback inline styles on the host, in case the shadow styles fail
+      // to apply (CSP / page resets)
+      Object.assign(el.style, {
+        position: "fixed",
+        top: "12px",
+        right: "12px",
+        width: "190px",
+        background: "rgba(30,30,30,0.92)",
+        color: "#fff",
+        padding: "10px 12px",
+        borderRadius: "12px",
+        zIndex: "2147483647"
+      });
+      root.BlinkUI.applyFloatingStyles(shadow);
+      shadow.innerHTML += MARKUP;
+      return el;
+    }
+
+    // add the host to the page; some pages have no body yet (or rewrite the
+    // DOM very early), so fall back to documentElement
+    function attachHost(el) {
+      try {
+        if (document.body) document.body.appendChild(el);
+        else document.documentElement.appendChild(el);
+      } catch (err) {
+        try {
+          document.documentElement.insertBefore(el, document.documentElement.firstChild);
+        } catch (err2) {
+          console.error("Blink: could not inject the floating UI", err2);
+        }
+      }
+    }
+
+    function mount() {
+      if (host) return;
+      host = createHost();
+      attachHost(host);
+      removers = [
+        listen($("#bb-open"), "click", () => openExtensionPage("openOptionsTab", "options.html")),
+        listen($("#bb-dashboard"), "click", () => openExtensionPage("openDashboardTab", "dashboard.html")),
+        listen($("#bb-break"), "click", () => onBreakClick()),
+        listen($(".minimize-btn"), "click", () => setMinimized(true, true)),
+        listen($(".maximize-btn"), "click", () => setMinimized(false, true)),
+        attachDrag(host, "floatPos", "#bb-title")
+      ];
+      chrome.storage.onChanged.addListener(onStorageChanged);
+      chrome.storage.sync.get({ timerMinimized: false, categoryMeta: BlinkRules.DEFAULT_CATEGORY_META }, (res) => {
+        if (!host) return;
+        if (res.timerMinimized) host.classList.add("minimized");
+        categoryMeta = res.categoryMeta;
+        renderCategory();
+        loadCategoryMeta();
+      });
+      // catch up with budget countdowns and the like between ticks
+      displayTicker = setInterval(renderTime, 5000);
+      renderTime();
+      renderCategory();
+      renderSession();
+      renderSchedule();
+      syncSessionTicker();
+    }
+
+    function unmount() {
+      if (!host) return;
+      removers.forEach(remove => remove());
+      removers = [];
+      chrome.storage.onChanged.removeListener(onStorageChanged);
+      clearInterval(displayTicker);
+      displayTicker = null;
+      host.remove();
+      host = null;
+      syncSessionTicker();
+    }
+
+    return {
+      mount,
+      unmount,
+      destroy: unmount,
+      isMounted: () => !!host,
+      // keyboard shortcut (see background.js "Keyboard shortcuts")
+      toggleMinimized() {
+        if (host) setMinimized(!host.classList.contains("minimized"));
+      },
+      host: () => host,
+      // shadow root the other components render into (null while unmounted)
+      root: () => (host ? host.shadowRoot : null),
+      totalMs: () => totalMs,
+      // jumpMs: a re-sync moved the total; keep the budget countdown anchored
+      setTotal(ms, jumpMs = 0) {
+        totalMs = ms;
+        budgetCountedAt += jumpMs;
+        renderTime();
+      },
+      setBudget(status) {
+        budgetStatus = status || null;
+        budgetCountedAt = totalMs;
+        renderTime();
+      },
+      setCategory(cat) {
+        category = cat || null;
+        renderCategory();
+      },
+      setSession(s) {
+        session = s || null;
+        renderSession();
+        syncSessionTicker();
+      },
+      setSchedule(s) {
+        schedule = s || null;
+        renderSchedule();
+      }
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createFloatingTimer };
+})(typeof self !== "undefined" ? self : this);
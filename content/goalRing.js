@@ -0,0 +1,51 @@
+// content/goalRing.js
+// GoalRing: today's productive-time goal in the floating timer's #bb-goal
+// row: a progress ring, the time so far against the target and the current
+// streak. Progress comes from the background (`goalProgress` broadcasts and
+// `getGoalProgress` on load, see goals.js); rest days and a disabled goal
+// hide the row.
+
+(function (root) {
+  const { formatDuration, progressRingSvg } = root.BlinkGoals;
+
+  function createGoalRing({ getRoot }) {
+    let goal = null;
+    let mounted = false;
+
+    function render() {
+      const shadow = getRoot();
+      const row = shadow && shadow.querySelector("#bb-goal");
+      if (!row || !mounted) return;
+      const show = !!(goal && goal.enabled && goal.targetMs > 0);
+      row.hidden = !show;
+      if (!show) return;
+      const ratio = goal.productiveMs / goal.targetMs;
+      const label = `${formatDuration(goal.productiveMs)} of ${formatDuration(goal.targetMs)} productive today`;
+      row.classList.toggle("bb-goal-met", !!goal.met);
+      row.innerHTML = progressRingSvg(ratio, { size: 22, stroke: 4, label }) +
+        `<span class="bb-goal-text"></span><span class="bb-goal-streak"></span>`;
+      row.querySelector(".bb-goal-text").innerText =
+        `${goal.met ? "🎯 " : ""}${formatDuration(goal.productiveMs)} / ${formatDuration(goal.targetMs)}`;
+      row.querySelector(".bb-goal-streak").innerText = goal.streak > 0 ? ` · 🔥 ${goal.streak}` : "";
+    }
+
+    return {
+      mount() {
+        mounted = true;
+        render();
+      },
+      unmount() {
+        mounted = false;
+      },
+      destroy() {
+        mounted = false;
+      },
+      update(g) {
+        goal = g || null;
+        render();
+      }
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createGoalRing };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,298 @@
+// content/styles.js
+// Styles for the floating UI. They are appended to the shadow root, so they
+// cannot leak into (or be overridden by) the host page.
+
+(function (root) {
+  const FLOATING_CSS = `
+    :host {
+      position: fixed;
+      top: 12px;
+      right: 12px;
+      width: 190px;
+      background: rgba(30,30,30,0.92);
+      color: #fff;
+      padding: 10px 12px;
+      border-radius: 12px;
+      z-index: 2147483647;
+      font-family: Inter, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+      box-shadow: 0 6px 18px rgba(0,0,0,0.35);
+      transition: transform 0.1s ease;
+      user-select: none;
+      display: block;
+      transform: translate3d(0,0,0);
+      -webkit-transform: translate3d(0,0,0);
+      backface-visibility: hidden;
+      -webkit-backface-visibility: hidden;
+      perspective: 1000;
+      -webkit-perspective: 1000;
+    }
+
+    :host(.minimized) {
+      width: auto !important;
+      padding: 8px 10px;
+    }
+
+    .full-ui {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      align-items: flex-start;
+      width: 100%;
+      position: relative;
+    }
+
+    :host(.minimized) .full-ui {
+      display: none;
+    }
+
+    .mini-ui {
+      display: none;
+      align-items: center;
+      gap: 10px;
+    }
+
+    :host(.minimized) .mini-ui {
+      display: flex;
+    }
+
+    #bb-break-banner {
+      /* Position the break banner immediately below the floating host */
+      position: absolute;
+      top: calc(100% + 8px);
+      right: 0;
+      background: rgba(30,30,30,0.95);
+      padding: 12px 14px;
+      border-radius: 12px;
+      color: white;
+      text-align: center;
+      z-index: 2147483647;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+    }
+
+    #bb-break-banner .break-content {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 15px;
+    }
+
+    #bb-break-banner .break-title {
+      font-size: 18px;
+      font-weight: 700;
+      color: #fff;
+      margin-bottom: 6px;
+    }
+
+    #bb-break-banner #bb-break-text {
+      font-size: 13px;
+      opacity: 0.9;
+    }
+
+    /* prominent remaining time for active break */
+    #bb-break-banner #bb-break-remaining {
+      display: block;
+      font-size: 22px;
+      font-weight: 900;
+      color: #fff;
+      margin-top: 6px;
+      letter-spacing: 0.4px;
+    }
+
+    /* End break button removed per user request */
+
+    #bb-pre-break-banner {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(30,30,30,0.95);
+      padding: 20px 30px;
+      border-radius: 12px;
+      color: white;
+      text-align: center;
+      z-index: 2147483647;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+      animation: fadeIn 0.3s ease-out;
+    }
+
+    #bb-pre-break-banner .pre-break-title {
+      font-size: 20px;
+      margin-bottom: 15px;
+    }
+
+    #bb-pre-break-banner .pre-break-countdown {
+      font-size: 48px;
+      font-weight: bold;
+      color: #4CAF50;
+    }
+
+    #bb-end-break-banner {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background: rgba(30,30,30,0.95);
+      padding: 20px 30px;
+      border-radius: 12px;
+      color: white;
+      text-align: center;
+      z-index: 2147483647;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.2);
+      animation: fadeIn 0.3s ease-out;
+      transition: opacity 0.3s ease-out;
+    }
+
+    #bb-end-break-banner .end-break-title {
+      font-size: 24px;
+      margin-bottom: 10px;
+      color: #4CAF50;
+    }
+
+    #bb-end-break-banner .end-break-message {
+      font-size: 16px;
+      opacity: 0.9;
+    }
+
+    /* Floating break block styling to match the floating Blink UI */
+    #bb-break-banner {
+      position: absolute;
+      top: calc(100% + 8px);
+      right: 0;
+      width: 220px;
+      background: rgba(30,30,30,0.92);
+      color: #fff;
+      padding: 10px 12px;
+      border-radius: 12px;
+      z-index: 2147483647;
+      box-shadow: 0 6px 18px rgba(0,0,0,0.35);
+      font-family: Inter, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+    }
+
+    #bb-break-banner { transition: opacity 0.3s ease-out; }
+    #bb-break-banner .break-content { display: block; }
+    #bb-break-banner .mini-ui { display: none; }
+    #bb-break-banner.minimized { width: auto; padding: 8px; }
+    #bb-break-banner.minimized .break-content { display: none; }
+    #bb-break-banner.minimized .mini-ui { display: flex; align-items: center; gap: 8px; }
+
+    /* guided break: current step, breathing circle or step checklist */
+    #bb-break-banner .bb-guide { margin-top: 10px; font-size: 13px; }
+    #bb-break-banner .bb-guide[hidden], #bb-break-banner .bb-guide [hidden] { display: none; }
+    #bb-break-banner .bb-guide-step { font-weight: 700; }
+    #bb-break-banner .bb-guide-left { opacity: 0.75; font-size: 12px; margin-top: 2px; }
+    #bb-break-banner .bb-breath {
+      width: 64px; height: 64px; margin: 8px auto; border-radius: 50%;
+      background: radial-gradient(circle, #68d391, #38a169);
+      transform: scale(0.5); transition-property: transform; transition-timing-function: ease-in-out;
+    }
+    #bb-break-banner .bb-breath[data-size="full"] { transform: scale(1); }
+    #bb-break-banner .bb-guide-steps { text-align: left; margin: 8px 0 0; padding-left: 20px; font-size: 12px; }
+    #bb-break-banner .bb-guide-steps li { opacity: 0.7; }
+    #bb-break-banner .bb-guide-steps li.done { opacity: 0.5; text-decoration: line-through; }
+    #bb-break-banner .bb-guide-steps li[aria-current="step"] { opacity: 1; font-weight: 700; }
+
+    @keyframes fadeIn {
+      from { opacity: 0; transform: translate(-50%, -60%); }
+      to { opacity: 1; transform: translate(-50%, -50%); }
+    }
+
+    #bb-mini-timer {
+      font-size: 16px;
+      font-weight: 800;
+    }
+
+    #bb-title { font-weight:800; font-size:15px; line-height:1; }
+    #bb-timer { font-size:18px; font-weight:900; letter-spacing:0.4px; }
+    #bb-cat { font-size:13px; opacity:0.95; border-left:3px solid var(--category-color, transparent); padding-left:6px; }
+    #bb-session { font-size:13px; font-weight:700; }
+    #bb-schedule { font-size:12px; opacity:0.9; }
+    #bb-goal { display:flex; align-items:center; gap:6px; font-size:12px; }
+    #bb-goal[hidden] { display:none; }
+    #bb-goal .goal-ring { flex:none; }
+    #bb-goal.bb-goal-met .bb-goal-text { font-weight:700; }
+    #bb-mini-session { font-size:13px; font-weight:700; opacity:0.9; }
+    [hidden] { display:none !important; }
+    #bb-controls { display:flex; gap:8px; align-self: stretch; }
+    button { background:#2b6cb0; color:white; border:none; padding:8px 10px; border-radius:8px; cursor:pointer; display:flex; align-items:center; gap:6px; font-size:13px; }
+    button:active { transform: translateY(1px); }
+    .bb-timer-label { font-size:12px; opacity:0.92; }
+
+    .minimize-btn, .maximize-btn {
+      position: absolute;
+      top: 8px;
+      right: 8px;
+      padding: 6px !important;
+      background: transparent !important;
+      opacity: 0.8;
+      transition: opacity 0.18s ease;
+    }
+
+    .minimize-btn:hover, .maximize-btn:hover {
+      opacity: 1;
+    }
+
+    .maximize-btn { position: static !important; }
+
+    /* overlay + controls */
+    #break-buddy-overlay { position: fixed; top: 60px; right: 12px; z-index:2147483647; }
+    #break-buddy-overlay #bb-overlay-card { background:#fff; color:#111; padding:12px; border-radius:10px; box-shadow: 0 8px 24px rgba(0,0,0,0.2); width:240px; font-family: Inter, Arial, sans-serif;}
+    #break-buddy-overlay .bb-row { margin:8px 0; display:flex; justify-content:center; gap:8px; }
+    #break-buddy-overlay .bb-break-btn { padding:8px 10px; border-radius:8px; border:none; background:#38a169; color:#fff; cursor:pointer; font-weight:700; }
+    #break-buddy-overlay #bb-manual { align-items:center; }
+    #break-buddy-overlay #bb-manual input { width:56px; padding:6px; border:1px solid #718096; border-radius:6px; font-size:13px; }
+    #break-buddy-overlay #bb-manual input[aria-invalid="true"] { border-color:#c53030; }
+    #break-buddy-overlay .bb-row label { align-self:center; font-size:13px; }
+    #break-buddy-overlay #bb-break-type { padding:6px; border:1px solid #718096; border-radius:6px; font-size:13px; background:#fff; color:#111; }
+
+    #bb-timer.bb-budget-warn, #bb-mini-timer.bb-budget-warn { color:#f6ad55; }
+    #bb-timer.bb-budget-over, #bb-mini-timer.bb-budget-over { color:#fc8181; }
+    #bb-budget-overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.55); display:flex; align-items:center; justify-content:center; z-index:2147483647; }
+    #bb-budget-overlay .bb-budget-card { background:#fff; color:#111; padding:16px; border-radius:12px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); width:320px; font-family: Inter, Arial, sans-serif; }
+    #bb-budget-overlay .bb-row { margin:8px 0; display:flex; justify-content:center; gap:8px; text-align:center; }
+    #bb-budget-overlay button { padding:8px 12px; border-radius:8px; border:none; cursor:pointer; font-weight:700; }
+    #bb-budget-overlay #bb-budget-leave { background:#38a169; color:#fff; }
+    #bb-away { position: fixed; top: 12px; left: 50%; transform: translateX(-50%); background:#2d3748; color:#fff; padding:12px 14px; border-radius:10px; box-shadow: 0 8px 24px rgba(0,0,0,0.3); z-index:2147483647; font-family:Inter, Arial, sans-serif; font-size:14px; }
+    #bb-away .bb-away-actions { display:flex; gap:8px; margin-top:8px; justify-content:center; }
+    #bb-away button { padding:6px 10px; border-radius:8px; border:none; cursor:pointer; font-weight:700; background:#edf2f7; color:#1a202c; }
+    #bb-away button[data-answer="discard"] { background:transparent; color:#e2e8f0; text-decoration:underline; }
+    #bb-quick-toast { position: fixed; top: 12px; right: 12px; background:#f56565; color:#fff; padding:10px 12px; border-radius:10px; z-index:2147483647; font-family:Inter, Arial, sans-serif; }
+
+    /* keyboard focus stays visible whatever the page's own styles do */
+    button:focus-visible, input:focus-visible, #bb-title:focus-visible, #bb-break-banner:focus-visible {
+      outline: 2px solid #90cdf4;
+      outline-offset: 2px;
+    }
+    #bb-title:focus-visible { border-radius: 4px; }
+
+    /* read by screen readers only (announcer.js) */
+    .bb-sr-only {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
+      border: 0;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      :host, *, *::before, *::after {
+        transition: none !important;
+        animation: none !important;
+      }
+      button:active { transform: none; }
+    }
+  `;
+
+  // append the floating UI styles to a shadow root
+  function applyFloatingStyles(shadowRoot) {
+    const style = document.createElement("style");
+    style.textContent = FLOATING_CSS;
+    shadowRoot.appendChild(style);
+    return style;
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), FLOATING_CSS, applyFloatingStyles };
+})(typeof self !== "undefined" ? self : this);
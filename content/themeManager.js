@@ -0,0 +1,53 @@
+// content/themeManager.js
+// ThemeManager: applies the user's theme (options page) to the floating UI
+// host and its buttons. The theme arrives from sync storage on mount and
+// from `themeChanged` broadcasts after that.
+
+(function (root) {
+  // "#rrggbb" -> "rgba(r, g, b, alpha)"
+  function adjustAlpha(color, alpha) {
+    const hex = color.replace("#", "");
+    const r = parseInt(hex.substring(0, 2), 16);
+    const g = parseInt(hex.substring(2, 4), 16);
+    const b = parseInt(hex.substring(4, 6), 16);
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+
+  function createThemeManager({ getHost }) {
+    let theme = null;
+
+    function render() {
+      const host = getHost();
+      if (!host || !theme) return;
+      host.dataset.theme = theme.mode;
+      const custom = theme.mode === "custom" && theme.custom;
+      host.style.background = custom ? adjustAlpha(custom.bgColor, 0.92) : "";
+      host.style.color = custom ? custom.textColor : "";
+      const selector = custom ? "button:not(.minimize-btn):not(.maximize-btn)" : "button";
+      host.shadowRoot.querySelectorAll(selector).forEach(btn => {
+        btn.style.background = custom ? custom.accentColor : "";
+        btn.style.color = custom ? custom.textColor : "";
+      });
+      try { host.style.fontFamily = theme.fontStyle || ""; } catch (e) {}
+    }
+
+    function mount() {
+      chrome.storage.sync.get(["theme"], (res) => {
+        if (res.theme && !theme) theme = res.theme;
+        render();
+      });
+    }
+
+    return {
+      mount,
+      unmount() {},
+      destroy() {},
+      apply(t) {
+        theme = t || null;
+        render();
+      }
+    };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createThemeManager, adjustAlpha };
+})(typeof self !== "undefined" ? self : this);
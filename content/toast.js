@@ -0,0 +1,35 @@
+// content/toast.js
+// Toast: one short message at a time in the floating UI's shadow root.
+
+(function (root) {
+  const TOAST_ID = "bb-quick-toast";
+  const TOAST_MS = 6000;
+
+  function createToast({ getRoot }) {
+    let hideTimer = null;
+
+    function hide() {
+      if (hideTimer) clearTimeout(hideTimer);
+      hideTimer = null;
+      const shadow = getRoot();
+      const ex = shadow && shadow.querySelector("#" + TOAST_ID);
+      if (ex) ex.remove();
+    }
+
+    // messages while the floating UI is hidden are dropped
+    function show(text) {
+      hide();
+      const shadow = getRoot();
+      if (!shadow) return;
+      const t = document.createElement("div");
+      t.id = TOAST_ID;
+      t.innerText = text;
+      shadow.appendChild(t);
+      hideTimer = setTimeout(hide, TOAST_MS);
+    }
+
+    return { mount() {}, unmount: hide, destroy: hide, show, hide };
+  }
+
+  root.BlinkUI = { ...(root.BlinkUI || {}), createToast };
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,372 @@
+// dashboard.js - usage charts (daily stacked bars, weekly trend, goal days, drill-down)
+// Charts are plain SVG built in-page: no network or library dependencies.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_WEEKS = 12;
+
+// per-category colours come from the user's categoryMeta (see categoryRules.js)
+// and the team's (teamPolicy.js)
+let categoryMeta = null;
+
+function categoryColor(cat) {
+  return BlinkRules.categoryDisplay(cat, categoryMeta).color;
+}
+
+function localDateKey(ts = Date.now()) {
+  const d = new Date(ts);
+  const two = (n) => (n < 10 ? "0" + n : "" + n);
+  return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+}
+
+// list of date keys for the last `days` days, oldest first
+function lastDates(days) {
+  const dates = [];
+  const d = new Date();
+  d.setHours(12, 0, 0, 0); // midday avoids DST edge cases when stepping back
+  for (let i = days - 1; i >= 0; i--) dates.push(localDateKey(d.getTime() - i * DAY_MS));
+  return dates;
+}
+
+// Monday-based week key for a date key
+function weekStartKey(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const date = new Date(y, m - 1, d, 12);
+  const offset = (date.getDay() + 6) % 7;
+  return localDateKey(date.getTime() - offset * DAY_MS);
+}
+
+function formatDuration(ms) {
+  const mins = Math.round((ms || 0) / 60000);
+  if (mins < 60) return `${mins}m`;
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+function svgEl(tag, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  if (text != null) el.textContent = text;
+  return el;
+}
+
+// attach a native tooltip to an SVG element
+function withTitle(el, text) {
+  el.appendChild(svgEl("title", {}, text));
+  return el;
+}
+
+// promise wrapper around runtime messaging (resolves null on error)
+function sendRuntime(msg) {
+  return new Promise((resolve) => {
+    try {
+      chrome.runtime.sendMessage(msg, (resp) => {
+        if (chrome.runtime.lastError) return resolve(null);
+        resolve(resp);
+      });
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const rangeSelect = document.getElementById("rangeSelect");
+  const dailyChart = document.getElementById("dailyChart");
+  const legend = document.getElementById("legend");
+  const weeklyChart = document.getElementById("weeklyChart");
+  const drilldown = document.getElementById("drilldown");
+  const drilldownTitle = document.getElementById("drilldownTitle");
+  const topDomains = document.getElementById("topDomains");
+  const heatmapSection = document.getElementById("heatmapSection");
+  const heatmapTitle = document.getElementById("heatmapTitle");
+  const heatmap = document.getElementById("heatmap");
+  const goalSummary = document.getElementById("goalSummary");
+  const goalChart = document.getElementById("goalChart");
+  const breakSummary = document.getElementById("breakSummary");
+  const breakChart = document.getElementById("breakChart");
+  const msg = document.getElementById("msg");
+
+  // history for the trend window (which also covers the largest range option)
+  let days = {};
+  let dates = [];
+  let goal = null; // today's goal progress plus closed days (see goals.js)
+  let breakLog = []; // finished breaks (see background.js "Breaks")
+
+  applySavedTheme();
+
+  rangeSelect.addEventListener("change", () => {
+    drilldown.hidden = true;
+    render();
+  });
+
+  // team categories are merged in by the background (teamPolicy.js)
+  const metaResp = await sendRuntime({ action: "getCategoryMeta" });
+  ({ categoryMeta } = metaResp && metaResp.categoryMeta ? metaResp
+    : await chrome.storage.sync.get({ categoryMeta: BlinkRules.DEFAULT_CATEGORY_META }));
+
+  const trendDates = lastDates(TREND_WEEKS * 7);
+  const resp = await sendRuntime({ action: "getHistory", from: trendDates[0], to: trendDates[trendDates.length - 1] });
+  if (!resp) {
+    msg.innerText = "❌ Could not load usage history";
+    msg.className = "message error";
+    return;
+  }
+  days = resp.days || {};
+  const goalResp = await sendRuntime({ action: "getGoalProgress", history: true });
+  goal = goalResp && goalResp.goal;
+  const breakResp = await sendRuntime({ action: "getBreakLog", from: trendDates[0] });
+  breakLog = (breakResp && breakResp.log) || [];
+  render();
+  renderWeeklyTrend(trendDates);
+
+  function render() {
+    dates = lastDates(Number(rangeSelect.value) || 7);
+    renderDailyBars();
+    renderGoalDays();
+    renderBreakQuality();
+  }
+
+  // ------------------ Daily stacked bars ------------------
+  function renderDailyBars() {
+    dailyChart.innerHTML = "";
+    legend.innerHTML = "";
+    const width = 720, height = 240, pad = { top: 16, right: 8, bottom: 28, left: 44 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+
+    const totals = dates.map(d => Object.values((days[d] && days[d].categories) || {}).reduce((a, b) => a + b, 0));
+    const max = Math.max(60 * 1000, ...totals);
+    const categories = new Set();
+    dates.forEach(d => Object.keys((days[d] && days[d].categories) || {}).forEach(c => categories.add(c)));
+
+    const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "img", "aria-label": "Daily time by category" });
+    // y axis: baseline and max label
+    svg.appendChild(svgEl("line", { x1: pad.left, y1: pad.top + plotH, x2: width - pad.right, y2: pad.top + plotH, class: "chart-axis" }));
+    svg.appendChild(svgEl("text", { x: pad.left - 6, y: pad.top + 4, "text-anchor": "end", class: "chart-label" }, formatDuration(max)));
+    svg.appendChild(svgEl("text", { x: pad.left - 6, y: pad.top + plotH, "text-anchor": "end", class: "chart-label" }, "0"));
+
+    const slot = plotW / dates.length;
+    const barW = Math.max(4, slot * 0.7);
+    dates.forEach((date, i) => {
+      const x = pad.left + i * slot + (slot - barW) / 2;
+      let y = pad.top + plotH;
+      const cats = (days[date] && days[date].categories) || {};
+      for (const [cat, ms] of Object.entries(cats).sort((a, b) => b[1] - a[1])) {
+        const h = (ms / max) * plotH;
+        if (h <= 0) continue;
+        y -= h;
+        const rect = svgEl("rect", { x, y, width: barW, height: h, fill: categoryColor(cat), class: "chart-clickable" });
+        withTitle(rect, `${date} · ${cat}: ${formatDuration(ms)}`);
+        rect.addEventListener("click", () => showCategory(cat));
+        svg.appendChild(rect);
+      }
+      // label every day for short ranges, every few days for long ones
+      const every = dates.length > 14 ? 5 : 1;
+      if (i % every === 0 || i === dates.length - 1) {
+        svg.appendChild(svgEl("text", { x: x + barW / 2, y: height - 8, "text-anchor": "middle", class: "chart-label" }, date.slice(5)));
+      }
+    });
+    dailyChart.appendChild(svg);
+
+    if (categories.size === 0) {
+      legend.innerText = "No data yet.";
+      return;
+    }
+    for (const cat of categories) {
+      const item = document.createElement("button");
+      item.className = "legend-item";
+      item.innerHTML = `<span class="legend-swatch"></span>`;
+      item.querySelector(".legend-swatch").style.background = categoryColor(cat);
+      item.appendChild(document.createTextNode(cat));
+      item.addEventListener("click", () => showCategory(cat));
+      legend.appendChild(item);
+    }
+  }
+
+  // ------------------ Weekly trend line ------------------
+  function renderWeeklyTrend(allDates) {
+    weeklyChart.innerHTML = "";
+    const weeks = new Map();
+    for (const date of allDates) {
+      const key = weekStartKey(date);
+      const total = Object.values((days[date] && days[date].categories) || {}).reduce((a, b) => a + b, 0);
+      weeks.set(key, (weeks.get(key) || 0) + total);
+    }
+    const points = Array.from(weeks.entries());
+    const width = 720, height = 200, pad = { top: 16, right: 16, bottom: 28, left: 44 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    const max = Math.max(60 * 1000, ...points.map(p => p[1]));
+    const step = points.length > 1 ? plotW / (points.length - 1) : 0;
+    const coords = points.map(([, ms], i) => [pad.left + i * step, pad.top + plotH - (ms / max) * plotH]);
+
+    const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "img", "aria-label": "Weekly total time" });
+    svg.appendChild(svgEl("line", { x1: pad.left, y1: pad.top + plotH, x2: width - pad.right, y2: pad.top + plotH, class: "chart-axis" }));
+    svg.appendChild(svgEl("text", { x: pad.left - 6, y: pad.top + 4, "text-anchor": "end", class: "chart-label" }, formatDuration(max)));
+    svg.appendChild(svgEl("polyline", { points: coords.map(c => c.join(",")).join(" "), class: "chart-line" }));
+    points.forEach(([week, ms], i) => {
+      const [cx, cy] = coords[i];
+      svg.appendChild(withTitle(svgEl("circle", { cx, cy, r: 4, class: "chart-point" }), `Week of ${week}: ${formatDuration(ms)}`));
+      if (i % 2 === 0 || i === points.length - 1) {
+        svg.appendChild(svgEl("text", { x: cx, y: height - 8, "text-anchor": "middle", class: "chart-label" }, week.slice(5)));
+      }
+    });
+    weeklyChart.appendChild(svg);
+  }
+
+  // ------------------ Daily goal: one cell per day ------------------
+  // filled = met, red outline = missed, faint = rest day or no goal
+  function renderGoalDays() {
+    goalChart.innerHTML = "";
+    if (!goal || !goal.enabled) {
+      goalSummary.innerText = "No daily goal set. Set one in Settings → Daily Goal.";
+      return;
+    }
+    goalSummary.innerText = `🔥 Current streak: ${goal.streak} day${goal.streak === 1 ? "" : "s"} · best: ${goal.bestStreak}`;
+    const today = localDateKey();
+    const cell = 22, gap = 4, top = 4;
+    const width = Math.max(720, dates.length * (cell + gap)), height = top + cell + 22;
+    const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "img", "aria-label": "Daily goal results" });
+    const slot = width / dates.length;
+    dates.forEach((date, i) => {
+      const result = date === today
+        ? BlinkGoals.dayResult(goal.productiveMs, goal.targetMs)
+        : (goal.days || {})[date];
+      const x = i * slot + (slot - cell) / 2;
+      let cls = "goal-cell-rest";
+      let title = `${date}: no goal`;
+      if (result && result.targetMs > 0) {
+        cls = result.met ? "goal-cell-met" : date === today ? "goal-cell-rest" : "goal-cell-missed";
+        title = `${date}: ${BlinkGoals.formatDuration(result.productiveMs)} of ${BlinkGoals.formatDuration(result.targetMs)}` +
+          (result.met ? " — met" : date === today ? " so far" : " — missed");
+      }
+      svg.appendChild(withTitle(svgEl("rect", { x, y: top, width: cell, height: cell, rx: 4, class: cls }), title));
+      const every = dates.length > 14 ? 5 : 1;
+      if (i % every === 0 || i === dates.length - 1) {
+        svg.appendChild(svgEl("text", { x: x + cell / 2, y: height - 4, "text-anchor": "middle", class: "chart-label" }, date.slice(5)));
+      }
+    });
+    goalChart.appendChild(svg);
+  }
+
+  // ------------------ Break quality: one bar per activity ------------------
+  // segments: taken in full / ended early
+  function renderBreakQuality() {
+    breakChart.innerHTML = "";
+    const first = dates[0];
+    const { total, byType } = BlinkBreaks.breakQuality(breakLog.filter(e => localDateKey(e.startedAt) >= first));
+    if (total.count === 0) {
+      breakSummary.innerText = "No breaks taken in this range.";
+      return;
+    }
+    const pct = (n) => Math.round((n / total.count) * 100);
+    breakSummary.innerText = `${total.count} break${total.count === 1 ? "" : "s"} · ${pct(total.completed)}% taken in full · ` +
+      `${pct(total.guided)}% through every step · ${formatDuration(total.ms)} in total`;
+
+    const rowH = 26, labelW = 120, width = 720;
+    const plotW = width - labelW - 8;
+    const types = BlinkBreaks.TYPE_IDS.filter(id => byType[id].count > 0);
+    const max = Math.max(...types.map(id => byType[id].count));
+    const svg = svgEl("svg", { viewBox: `0 0 ${width} ${types.length * rowH}`, class: "chart-svg", role: "img", "aria-label": "Breaks by activity" });
+    types.forEach((id, i) => {
+      const { label, icon } = BlinkBreaks.TYPES[id];
+      const sums = byType[id];
+      const y = i * rowH;
+      svg.appendChild(svgEl("text", { x: labelW - 8, y: y + rowH / 2 + 4, "text-anchor": "end", class: "chart-label" }, `${icon} ${label}`));
+      const segments = [
+        ["break-completed", sums.completed, "taken in full"],
+        ["break-early", sums.count - sums.completed, "ended early"]
+      ];
+      const steps = `${sums.guided} of ${sums.count} through every step, ${formatDuration(sums.ms)} in total`;
+      let x = labelW;
+      for (const [cls, n, what] of segments) {
+        if (n <= 0) continue;
+        const w = (n / max) * plotW;
+        svg.appendChild(withTitle(svgEl("rect", { x, y: y + 4, width: w, height: rowH - 8, rx: 3, class: cls }), `${label}: ${n} ${what} (${steps})`));
+        x += w;
+      }
+    });
+    breakChart.appendChild(svg);
+  }
+
+  // ------------------ Drill-down: category -> domains -> heatmap ------------------
+  function showCategory(cat) {
+    const perDomain = {};
+    for (const date of dates) {
+      const domains = (days[date] && days[date].domains) || {};
+      for (const [domain, entry] of Object.entries(domains)) {
+        if ((entry.category || "other") !== cat) continue;
+        perDomain[domain] = (perDomain[domain] || 0) + (entry.time || 0);
+      }
+    }
+    const top = Object.entries(perDomain).sort((a, b) => b[1] - a[1]).slice(0, 10);
+
+    drilldown.hidden = false;
+    heatmapSection.hidden = true;
+    drilldownTitle.innerText = `Top domains — ${cat}`;
+    topDomains.innerHTML = "";
+    if (top.length === 0) {
+      topDomains.innerHTML = "<li>No domains recorded.</li>";
+      return;
+    }
+    for (const [domain, ms] of top) {
+      const li = document.createElement("li");
+      const btn = document.createElement("button");
+      btn.className = "link-button";
+      btn.innerText = `${domain} — ${formatDuration(ms)}`;
+      btn.addEventListener("click", () => showHeatmap(domain));
+      li.appendChild(btn);
+      topDomains.appendChild(li);
+    }
+    drilldown.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  // rows = days in range, columns = hour of day, opacity = share of busiest cell
+  function showHeatmap(domain) {
+    heatmapSection.hidden = false;
+    heatmapTitle.innerText = `Hourly heatmap — ${domain}`;
+    heatmap.innerHTML = "";
+    const rows = dates.map(date => {
+      const entry = days[date] && days[date].domains && days[date].domains[domain];
+      return { date, hours: (entry && Array.isArray(entry.hours)) ? entry.hours : new Array(24).fill(0) };
+    });
+    const max = Math.max(1, ...rows.map(r => Math.max(...r.hours)));
+    const cell = 22, labelW = 48, top = 18;
+    const width = labelW + 24 * cell, height = top + rows.length * cell;
+
+    const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart-svg", role: "img", "aria-label": `Hourly usage for ${domain}` });
+    for (let h = 0; h < 24; h += 3) {
+      svg.appendChild(svgEl("text", { x: labelW + h * cell + cell / 2, y: 12, "text-anchor": "middle", class: "chart-label" }, String(h)));
+    }
+    rows.forEach((row, r) => {
+      const y = top + r * cell;
+      svg.appendChild(svgEl("text", { x: labelW - 6, y: y + cell / 2 + 4, "text-anchor": "end", class: "chart-label" }, row.date.slice(5)));
+      row.hours.forEach((ms, h) => {
+        const rect = svgEl("rect", {
+          x: labelW + h * cell + 1, y: y + 1, width: cell - 2, height: cell - 2, rx: 3,
+          fill: categoryColor("productive"), "fill-opacity": ms > 0 ? (0.15 + 0.85 * ms / max).toFixed(2) : 0.04,
+          class: "heat-cell"
+        });
+        svg.appendChild(withTitle(rect, `${row.date} ${h}:00 — ${formatDuration(ms)}`));
+      });
+    });
+    heatmap.appendChild(svg);
+  }
+
+  // mirror the options page theme so the dashboard looks consistent
+  function applySavedTheme() {
+    chrome.storage.sync.get(["theme"], (res) => {
+      const theme = res.theme;
+      if (!theme) return;
+      document.body.dataset.theme = theme.mode;
+      if (theme.mode === "custom" && theme.custom) {
+        document.documentElement.style.setProperty("--bg-color", theme.custom.bgColor);
+        document.documentElement.style.setProperty("--accent-color", theme.custom.accentColor);
+        document.documentElement.style.setProperty("--text-color", theme.custom.textColor);
+      }
+      if (theme.fontStyle) document.documentElement.style.setProperty("--font-family", theme.fontStyle);
+    });
+  }
+});
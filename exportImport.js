@@ -0,0 +1,264 @@
+// exportImport.js
+// Versioned export bundles (JSON), CSV export and import validation /
+// migration / merge helpers used by the options page. Exposed as BlinkBundle.
+//
+// Bundle layout (version 2):
+//   { format: "blink-export", version: 2, exportedAt: ISO string,
+//     settings: { theme, categoryMap, categoryMeta, ... },
+//     usageHistory: { "YYYY-MM-DD": { domains: {...}, categories: {...} } } }
+// Version 1 bundles were flat ({ theme, categoryMap, domainStats }) with a
+// single cumulative domainStats map; they are migrated on import.
+//
+// Imported settings get the checks the options page applies when saving:
+// thresholds and category meta as for a team policy (teamPolicy.js, loaded
+// first), idle and pomodoro settings within the options page's input limits.
+
+(function (root) {
+  const BlinkTeam = root.BlinkTeam || require("./teamPolicy.js");
+  const FORMAT = "blink-export";
+  const CURRENT_VERSION = 2;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  // same limits as the options page inputs
+  const IDLE_LIMITS = { detectionSeconds: [15, 3600], awayPromptMinutes: [0, 480] };
+  const POMODORO_LIMITS = {
+    workMinutes: [1, 180],
+    shortBreakMinutes: [1, 60],
+    longBreakMinutes: [1, 120],
+    cyclesBeforeLongBreak: [1, 12]
+  };
+
+  function localDateKey(ts = Date.now()) {
+    const d = new Date(ts);
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+  }
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  function buildBundle(settings, usageHistory) {
+    return {
+      format: FORMAT,
+      version: CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      usageHistory: usageHistory || {}
+    };
+  }
+
+  function csvCell(value) {
+    const s = value == null ? "" : String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // one row per domain per day
+  function historyToCsv(usageHistory) {
+    const rows = [["date", "domain", "category", "minutes", "ms"]];
+    for (const date of Object.keys(usageHistory || {}).sort()) {
+      const domains = (usageHistory[date] && usageHistory[date].domains) || {};
+      for (const domain of Object.keys(domains).sort()) {
+        const entry = domains[domain] || {};
+        const ms = Math.round(entry.time || 0);
+        rows.push([date, domain, entry.category || "other", (ms / 60000).toFixed(1), ms]);
+      }
+    }
+    return rows.map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+  }
+
+  // migrations[n] turns a version n bundle into version n + 1
+  const MIGRATIONS = {
+    1(bundle) {
+      const { format, version, exportedAt, domainStats, ...settings } = bundle;
+      const date = exportedAt ? localDateKey(Date.parse(exportedAt) || Date.now()) : localDateKey();
+      const day = { domains: {}, categories: {} };
+      for (const [domain, entry] of Object.entries(isPlainObject(domainStats) ? domainStats : {})) {
+        const time = Number(entry && entry.time) || 0;
+        if (time <= 0) continue;
+        const category = (entry && entry.category) || "other";
+        day.domains[domain] = { time, category, lastActive: Number(entry.lastActive) || 0 };
+        day.categories[category] = (day.categories[category] || 0) + time;
+      }
+      return {
+        format: FORMAT,
+        version: 2,
+        exportedAt: exportedAt || new Date().toISOString(),
+        settings,
+        usageHistory: Object.keys(day.domains).length ? { [date]: day } : {}
+      };
+    }
+  };
+
+  function migrateBundle(bundle) {
+    let current = bundle;
+    while (current.version < CURRENT_VERSION) {
+      const migrate = MIGRATIONS[current.version];
+      if (!migrate) throw new Error(`No migration from version ${current.version}`);
+      current = migrate(current);
+    }
+    return current;
+  }
+
+  function validateCategoryMap(map, errors) {
+    if (!isPlainObject(map)) {
+      errors.push("categoryMap must be an object");
+      return;
+    }
+    for (const [cat, rules] of Object.entries(map)) {
+      if (!Array.isArray(rules) || rules.some(r => typeof r !== "string")) {
+        errors.push(`category "${cat}" must be a list of strings`);
+      }
+    }
+  }
+
+  // whole numbers within `limits`; other keys are dropped, `flags` are
+  // booleans. Returns the cleaned object (null if `value` is not one).
+  function validateNumbers(name, value, limits, errors, flags = []) {
+    if (!isPlainObject(value)) {
+      errors.push(`${name} must be an object`);
+      return null;
+    }
+    const clean = {};
+    for (const [key, [min, max]] of Object.entries(limits)) {
+      if (value[key] == null) continue;
+      const n = Number(value[key]);
+      if (Number.isInteger(n) && n >= min && n <= max) clean[key] = n;
+      else errors.push(`${name}.${key} must be a whole number from ${min} to ${max}`);
+    }
+    for (const key of flags) {
+      if (value[key] == null) continue;
+      if (typeof value[key] === "boolean") clean[key] = value[key];
+      else errors.push(`${name}.${key} must be true or false`);
+    }
+    return clean;
+  }
+
+  // check and clean the settings that go straight to sync storage
+  function validateSettings(settings, errors) {
+    if ("theme" in settings && !isPlainObject(settings.theme)) errors.push("theme must be an object");
+    if ("categoryMap" in settings) validateCategoryMap(settings.categoryMap, errors);
+    if ("categoryMeta" in settings) {
+      if (!isPlainObject(settings.categoryMeta)) errors.push("categoryMeta must be an object");
+      const { categoryMeta, errors: metaErrors } = BlinkTeam.normalizeCategoryMeta(settings.categoryMeta);
+      settings.categoryMeta = categoryMeta;
+      errors.push(...metaErrors.map(e => `categoryMeta: ${e}`));
+    }
+    if ("thresholds" in settings) {
+      if (!isPlainObject(settings.thresholds)) errors.push("thresholds must be an object");
+      const { thresholds, errors: thresholdErrors } = BlinkTeam.normalizeThresholds(settings.thresholds);
+      settings.thresholds = thresholds;
+      errors.push(...thresholdErrors.map(e => `thresholds.${e}`));
+    }
+    if ("idle" in settings) settings.idle = validateNumbers("idle", settings.idle, IDLE_LIMITS, errors, ["mediaActive"]);
+    if ("pomodoro" in settings) settings.pomodoro = validateNumbers("pomodoro", settings.pomodoro, POMODORO_LIMITS, errors);
+  }
+
+  function validateHistory(history, errors) {
+    if (!isPlainObject(history)) {
+      errors.push("usageHistory must be an object");
+      return;
+    }
+    for (const [date, day] of Object.entries(history)) {
+      if (!DATE_RE.test(date)) errors.push(`invalid history date "${date}"`);
+      if (!isPlainObject(day) || !isPlainObject(day.domains)) {
+        errors.push(`history day ${date} has no domains`);
+        continue;
+      }
+      for (const [domain, entry] of Object.entries(day.domains)) {
+        if (!isPlainObject(entry) || typeof entry.time !== "number" || entry.time < 0) {
+          errors.push(`history ${date} / ${domain} has an invalid time`);
+        }
+      }
+    }
+  }
+
+  // Parse + validate + migrate file text. Returns { bundle, errors }; the
+  // bundle is only set when there are no errors. Unknown settings keys
+  // (not in `knownSettings`) are dropped.
+  function parseBundle(text, knownSettings) {
+    const errors = [];
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      return { bundle: null, errors: ["File is not valid JSON"] };
+    }
+    if (!isPlainObject(raw) || raw.format !== FORMAT) {
+      return { bundle: null, errors: ["Not a Blink export file"] };
+    }
+    if (!Number.isInteger(raw.version) || raw.version < 1 || raw.version > CURRENT_VERSION) {
+      return { bundle: null, errors: [`Unsupported bundle version: ${raw.version}`] };
+    }
+    let bundle;
+    try {
+      bundle = migrateBundle(raw);
+    } catch (e) {
+      return { bundle: null, errors: [e.message] };
+    }
+    if (!isPlainObject(bundle.settings)) errors.push("settings must be an object");
+    const settings = {};
+    for (const [key, value] of Object.entries(bundle.settings || {})) {
+      if (!knownSettings || key in knownSettings) settings[key] = value;
+    }
+    validateSettings(settings, errors);
+    validateHistory(bundle.usageHistory || {}, errors);
+    if (errors.length) return { bundle: null, errors };
+    return { bundle: { ...bundle, settings, usageHistory: bundle.usageHistory || {} }, errors };
+  }
+
+  // merge: union of rules per category; existing priorities/meta are kept for
+  // categories that already exist
+  function mergeCategoryMaps(current, incoming) {
+    const merged = {};
+    for (const [cat, rules] of Object.entries(current || {})) merged[cat] = rules.slice();
+    for (const [cat, rules] of Object.entries(incoming || {})) {
+      const existing = merged[cat] || [];
+      merged[cat] = existing.concat(rules.filter(r => !existing.includes(r)));
+    }
+    return merged;
+  }
+
+  function mergeCategoryMeta(current, incoming) {
+    return { ...(incoming || {}), ...(current || {}) };
+  }
+
+  // human-readable list of what an import would change
+  function describeImport(currentSettings, bundle, categoryMode) {
+    const lines = [];
+    const incoming = bundle.settings;
+    if (incoming.categoryMap) {
+      const current = currentSettings.categoryMap || {};
+      const added = Object.keys(incoming.categoryMap).filter(c => !(c in current));
+      const changed = Object.keys(incoming.categoryMap).filter(c => c in current &&
+        JSON.stringify(incoming.categoryMap[c]) !== JSON.stringify(current[c]));
+      if (categoryMode === "replace") {
+        const removed = Object.keys(current).filter(c => !(c in incoming.categoryMap));
+        lines.push(`Categories replaced: ${Object.keys(incoming.categoryMap).length} imported` +
+          (removed.length ? `, removes ${removed.join(", ")}` : ""));
+      } else {
+        lines.push(`Categories merged: ${added.length} new${added.length ? ` (${added.join(", ")})` : ""}, ${changed.length} updated`);
+      }
+    }
+    const otherKeys = Object.keys(incoming).filter(k => k !== "categoryMap" && k !== "categoryMeta" &&
+      JSON.stringify(incoming[k]) !== JSON.stringify(currentSettings[k]));
+    if (otherKeys.length) lines.push(`Settings changed: ${otherKeys.join(", ")}`);
+    const days = Object.keys(bundle.usageHistory || {}).sort();
+    if (days.length) lines.push(`Usage history: ${days.length} day(s), ${days[0]} to ${days[days.length - 1]}`);
+    if (!lines.length) lines.push("Nothing to change.");
+    return lines;
+  }
+
+  root.BlinkBundle = {
+    FORMAT,
+    CURRENT_VERSION,
+    buildBundle,
+    historyToCsv,
+    migrateBundle,
+    parseBundle,
+    mergeCategoryMaps,
+    mergeCategoryMeta,
+    describeImport
+  };
+  // CommonJS for the Node tests: require("./exportImport.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkBundle;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,146 @@
+// goals.js
+// Daily productive-time goals shared by background.js (importScripts), the
+// content script, the popup, the dashboard and the options page. Exposed as
+// BlinkGoals.
+//
+// Settings (`goals` in sync storage):
+//   { enabled: true, minutes: 180, days: [1, 2, 3, 4, 5], recap: true, recapTime: "21:00" }
+// `days` are the weekdays with a goal (0 = Sunday). Other days are rest
+// days: they neither extend nor break a streak. Productive time is the
+// background's per-day productive total (time in categories of type
+// "productive", such as school and productive).
+//
+// Closed days (`goalHistory` in local storage, written at day rollover):
+//   { "YYYY-MM-DD": { productiveMs, targetMs, met } }
+// The target is stored with the day, so editing the goal later does not
+// rewrite past results.
+
+(function (root) {
+  const DEFAULT_GOALS = { enabled: true, minutes: 180, days: [1, 2, 3, 4, 5], recap: true, recapTime: "21:00" };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  function localDateKey(ts) {
+    const d = new Date(ts);
+    const two = (n) => (n < 10 ? "0" + n : "" + n);
+    return `${d.getFullYear()}-${two(d.getMonth() + 1)}-${two(d.getDate())}`;
+  }
+
+  // midday of a date key (stepping whole days from midday avoids DST edges)
+  function dateFromKey(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(y, m - 1, d, 12);
+  }
+
+  function normalizeGoals(goals) {
+    const g = { ...DEFAULT_GOALS, ...(goals || {}) };
+    g.days = Array.isArray(g.days) ? g.days : DEFAULT_GOALS.days;
+    g.minutes = Math.max(0, Number(g.minutes) || 0);
+    return g;
+  }
+
+  // today's target in ms for the day containing `ts` (0 = no goal that day)
+  function targetMsFor(goals, ts) {
+    const g = normalizeGoals(goals);
+    if (!g.enabled || !g.days.includes(new Date(ts).getDay())) return 0;
+    return g.minutes * 60 * 1000;
+  }
+
+  function dayResult(productiveMs, targetMs) {
+    return { productiveMs, targetMs, met: targetMs > 0 && productiveMs >= targetMs };
+  }
+
+  // { current, best } consecutive goal days met, up to and including `today`
+  // ({ date, productiveMs, targetMs }). Today only adds to the streak once
+  // met; not having met it yet does not break it. Days missing from the
+  // history use the current settings' target.
+  function streaks(history, today, goals) {
+    const dates = Object.keys(history || {}).filter(d => DATE_RE.test(d) && d < today.date).sort();
+    let run = 0;
+    let best = 0;
+    if (dates.length) {
+      for (let t = dateFromKey(dates[0]).getTime(); localDateKey(t) < today.date; t += DAY_MS) {
+        const date = localDateKey(t);
+        const result = history[date];
+        const targetMs = result ? result.targetMs : targetMsFor(goals, t);
+        if (!targetMs) continue; // rest day
+        run = result && result.met ? run + 1 : 0;
+        best = Math.max(best, run);
+      }
+    }
+    if (dayResult(today.productiveMs, today.targetMs).met) run += 1;
+    return { current: run, best: Math.max(best, run) };
+  }
+
+  // keep the last `days` days of history
+  function pruneGoalHistory(history, now, days) {
+    const cutoff = localDateKey(now - days * DAY_MS);
+    for (const date of Object.keys(history)) {
+      if (date < cutoff) delete history[date];
+    }
+    return history;
+  }
+
+  // next time (ms) after `now` that the clock shows "HH:MM"
+  function nextTimeOfDay(hhmm, now) {
+    const [h, m] = String(hhmm || DEFAULT_GOALS.recapTime).split(":").map(Number);
+    const d = new Date(now);
+    d.setHours(h || 0, m || 0, 0, 0);
+    if (d.getTime() <= now) d.setDate(d.getDate() + 1);
+    return d.getTime();
+  }
+
+  function formatDuration(ms) {
+    const mins = Math.floor((ms || 0) / 60000);
+    if (mins < 60) return `${mins}m`;
+    const h = Math.floor(mins / 60);
+    const m = mins % 60;
+    return m ? `${h}h ${m}m` : `${h}h`;
+  }
+
+  // { title, message } for the end-of-day recap; `day` is "today" or "yesterday"
+  function recapText(result, streak, day = "today") {
+    const progress = `${formatDuration(result.productiveMs)} of ${formatDuration(result.targetMs)} productive ${day}.`;
+    if (result.met) {
+      return {
+        title: "🎯 Daily goal met",
+        message: `${progress} 🔥 ${streak.current}-day streak` + (streak.current >= streak.best ? " (your best)." : ".")
+      };
+    }
+    const short = formatDuration(result.targetMs - result.productiveMs);
+    let message = `${progress} ${short} short.`;
+    if (day === "today" && streak.current > 0) message += ` Reach it before midnight to keep your ${streak.current}-day streak.`;
+    else if (day === "yesterday") message += " A new streak starts today.";
+    return { title: "Daily goal not met", message };
+  }
+
+  // SVG markup for a progress ring (ratio 0..1); inline attributes so it
+  // renders without any stylesheet
+  function progressRingSvg(ratio, { size = 40, stroke = 5, color = "#38a169", label = "" } = {}) {
+    const r = (size - stroke) / 2;
+    const c = 2 * Math.PI * r;
+    const filled = Math.max(0, Math.min(1, Number(ratio) || 0));
+    const mid = size / 2;
+    return `<svg class="goal-ring" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${label}">` +
+      `<circle cx="${mid}" cy="${mid}" r="${r}" fill="none" stroke="rgba(127,127,127,0.3)" stroke-width="${stroke}"></circle>` +
+      `<circle class="goal-ring-fill" cx="${mid}" cy="${mid}" r="${r}" fill="none" stroke="${color}" stroke-width="${stroke}" ` +
+      `stroke-linecap="round" stroke-dasharray="${c.toFixed(2)}" stroke-dashoffset="${(c * (1 - filled)).toFixed(2)}" ` +
+      `transform="rotate(-90 ${mid} ${mid})"></circle></svg>`;
+  }
+
+  root.BlinkGoals = {
+    DEFAULT_GOALS,
+    localDateKey,
+    normalizeGoals,
+    targetMsFor,
+    dayResult,
+    streaks,
+    pruneGoalHistory,
+    nextTimeOfDay,
+    formatDuration,
+    recapText,
+    progressRingSvg
+  };
+  // CommonJS for the Node tests: require("./goals.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkGoals;
+})(typeof self !== "undefined" ? self : this);
@@ -18,6 +18,51 @@ const DEFAULT_SETTINGS = {
     "school": ["classroom.google.com", "canvas.instructure.com", "google.com/drive", "docs.google.com"],
     "productive": ["notion.so", "github.com", "stackoverflow.com", "drive.google.com", "docs.google.com"]
   },
+  // Per-category priority, type, icon and colour (see categoryRules.js)
+  categoryMeta: BlinkRules.DEFAULT_CATEGORY_META,
+  // Reminder delivery: "page" | "native" | "both" (see background.js)
+  reminderDelivery: 'both',
+  // Floating timer toggle and per-site lists (see siteControls.js)
+  ...BlinkSites.DEFAULT_SITE_SETTINGS,
+  // Daily productive goal (see goals.js)
+  goals: BlinkGoals.DEFAULT_GOALS,
+  // Activity for each break (see breakTypes.js)
+  breakTypes: BlinkBreaks.DEFAULT_BREAK_TYPES,
+  // Media counts as activity, and when to ask about time away (see
+  // background.js DEFAULT_IDLE)
+  idle: {
+    detectionSeconds: 60,
+    mediaActive: true,
+    awayPromptMinutes: 15
+  },
+  // Reminder and activity thresholds (see background.js DEFAULT_THRESHOLDS)
+  thresholds: {
+    getBackMinutes: 15,
+    breakHours: [2, 3, 4],
+    inactivitySeconds: 60,
+    resetGapMinutes: 30
+  },
+  // Pomodoro lengths (see background.js DEFAULT_POMODORO)
+  pomodoro: {
+    workMinutes: 25,
+    shortBreakMinutes: 5,
+    longBreakMinutes: 15,
+    cyclesBeforeLongBreak: 4
+  },
+  // Named schedules (see background.js DEFAULT_SCHEDULE)
+  schedules: [],
+  // Daily budgets (see budgets.js)
+  budgets: BlinkBudgets.DEFAULT_BUDGETS,
+  // Daily reports to the user's server (see reportSink.js); the token is
+  // kept in local storage instead
+  reportSink: BlinkReports.DEFAULT_REPORT_SINK,
+  // Focus mode (see background.js DEFAULT_FOCUS)
+  focus: {
+    categories: ["social", "games"],
+    defaultMinutes: 25,
+    autoStartOnGetBack: false,
+    schedule: { enabled: false, days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" }
+  },
 };
 
 document.addEventListener("DOMContentLoaded", async () => {
@@ -29,13 +74,87 @@ document.addEventListener("DOMContentLoaded", async () => {
   const textColor = document.getElementById('textColor');
   const fontStyle = document.getElementById('fontStyle');
   const categoryList = document.querySelector('.category-list');
+  const testUrl = document.getElementById('testUrl');
+  const testResult = document.getElementById('testResult');
   const addCategory = document.getElementById('addCategory');
   const save = document.getElementById('save');
   const reset = document.getElementById('reset');
   const msg = document.getElementById('msg');
+  const exportJson = document.getElementById('exportJson');
+  const exportCsv = document.getElementById('exportCsv');
+  const importFile = document.getElementById('importFile');
+  const importPreview = document.getElementById('importPreview');
+  const importSummary = document.getElementById('importSummary');
+  const importHistory = document.getElementById('importHistory');
+  const applyImport = document.getElementById('applyImport');
+  const cancelImport = document.getElementById('cancelImport');
+  const reminderDelivery = document.getElementById('reminderDelivery');
+  const breakTypeMode = document.getElementById('breakTypeMode');
+  const breakType = document.getElementById('breakType');
+  const breakHistoryRange = document.getElementById('breakHistoryRange');
+  const breakHistorySummary = document.getElementById('breakHistorySummary');
+  const breakHistoryList = document.getElementById('breakHistoryList');
+  const hiddenDomains = document.getElementById('hiddenDomains');
+  const untrackedDomains = document.getElementById('untrackedDomains');
+  const thresholdInputs = {
+    getBackMinutes: document.getElementById('getBackMinutes'),
+    inactivitySeconds: document.getElementById('inactivitySeconds'),
+    resetGapMinutes: document.getElementById('resetGapMinutes')
+  };
+  const breakHours = document.getElementById('breakHours');
+  const idleDetectionSeconds = document.getElementById('idleDetectionSeconds');
+  const mediaActive = document.getElementById('mediaActive');
+  const awayPromptMinutes = document.getElementById('awayPromptMinutes');
+  const goalEnabled = document.getElementById('goalEnabled');
+  const goalMinutes = document.getElementById('goalMinutes');
+  const goalDays = document.getElementById('goalDays');
+  const goalRecap = document.getElementById('goalRecap');
+  const goalRecapTime = document.getElementById('goalRecapTime');
+  const pomodoroInputs = {
+    workMinutes: document.getElementById('workMinutes'),
+    shortBreakMinutes: document.getElementById('shortBreakMinutes'),
+    longBreakMinutes: document.getElementById('longBreakMinutes'),
+    cyclesBeforeLongBreak: document.getElementById('cyclesBeforeLongBreak')
+  };
+  const focusCategories = document.getElementById('focusCategories');
+  const focusMinutes = document.getElementById('focusMinutes');
+  const focusAutoStart = document.getElementById('focusAutoStart');
+  const focusScheduleEnabled = document.getElementById('focusScheduleEnabled');
+  const focusDays = document.getElementById('focusDays');
+  const focusStart = document.getElementById('focusStart');
+  const focusEnd = document.getElementById('focusEnd');
+  const scheduleList = document.getElementById('scheduleList');
+  const addSchedule = document.getElementById('addSchedule');
+  const budgetList = document.getElementById('budgetList');
+  const budgetCategoryNames = document.getElementById('budgetCategoryNames');
+  const addBudget = document.getElementById('addBudget');
+  const budgetDayStart = document.getElementById('budgetDayStart');
+  const budgetGrace = document.getElementById('budgetGrace');
+  const shortcutList = document.getElementById('shortcutList');
+  const editShortcuts = document.getElementById('editShortcuts');
+  const reportEnabled = document.getElementById('reportEnabled');
+  const reportUrl = document.getElementById('reportUrl');
+  const reportToken = document.getElementById('reportToken');
+  const reportStatus = document.getElementById('reportStatus');
+  const sendReportNow = document.getElementById('sendReportNow');
+  const teamStatus = document.getElementById('teamStatus');
+  const teamCategoryList = document.getElementById('teamCategoryList');
+  const teamFile = document.getElementById('teamFile');
+  const removeTeamFile = document.getElementById('removeTeamFile');
 
   // Load current settings
   const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+
+  // Team policy from the administrator (managed storage) and/or an imported
+  // team file (see teamPolicy.js); shown read-only below
+  let managedPolicy = {};
+  try {
+    managedPolicy = await chrome.storage.managed.get(null);
+  } catch (e) {
+    // no managed storage outside Chrome policy
+  }
+  const { [BlinkTeam.TEAM_FILE_KEY]: teamFilePolicy } = await chrome.storage.local.get({ [BlinkTeam.TEAM_FILE_KEY]: null });
+  const team = BlinkTeam.combinePolicies(managedPolicy, teamFilePolicy);
   
   // Apply theme settings to UI
   themeMode.value = settings.theme.mode;
@@ -57,20 +176,31 @@ document.addEventListener("DOMContentLoaded", async () => {
   });
 
   // Category Management
-  function createCategoryElement(name = '', domains = []) {
+  function createCategoryElement(name = '', domains = [], priority = 0, display = null) {
     const template = document.getElementById('category-template');
     const element = template.content.cloneNode(true);
     const container = element.querySelector('.category-item');
     const nameInput = element.querySelector('.category-name');
     const domainList = element.querySelector('.domain-list');
+    const priorityInput = element.querySelector('.category-priority');
+    const typeSelect = element.querySelector('.category-type');
+    const iconInput = element.querySelector('.category-icon');
+    const colorInput = element.querySelector('.category-color');
     const deleteBtn = element.querySelector('.delete-category');
 
     nameInput.value = name;
     domainList.value = domains.join('\n');
+    priorityInput.value = priority;
+    // new categories start neutral with a palette colour
+    display = display || BlinkRules.categoryDisplay(name || `category-${categoryList.children.length}`, {});
+    typeSelect.value = display.type;
+    iconInput.value = display.icon;
+    colorInput.value = display.color;
 
     deleteBtn.addEventListener('click', () => {
       if (confirm('Delete this category?')) {
         container.remove();
+        renderFocusCategories();
       }
     });
 
@@ -79,30 +209,528 @@ document.addEventListener("DOMContentLoaded", async () => {
 
   // Add existing categories
   Object.entries(settings.categoryMap).forEach(([name, domains]) => {
-    categoryList.appendChild(createCategoryElement(name, domains));
+    categoryList.appendChild(createCategoryElement(name, domains,
+      BlinkRules.categoryPriority(name, settings.categoryMeta), BlinkRules.categoryDisplay(name, settings.categoryMeta)));
   });
 
+  // Read the category editor into { categoryMap, categoryMeta, invalid }
+  // where `invalid` lists rules the engine could not parse
+  function collectCategories() {
+    const categoryMap = {};
+    const categoryMeta = {};
+    const invalid = [];
+    categoryList.querySelectorAll('.category-item').forEach(item => {
+      const name = item.querySelector('.category-name').value.trim();
+      const domains = item.querySelector('.domain-list')
+        .value.split('\n')
+        .map(d => d.trim())
+        .filter(d => d);
+      domains.forEach(d => { if (!BlinkRules.parseRule(d)) invalid.push(`${name || 'unnamed'}: ${d}`); });
+      if (name && domains.length > 0) {
+        categoryMap[name] = domains;
+        categoryMeta[name] = {
+          priority: parseInt(item.querySelector('.category-priority').value) || 0,
+          type: item.querySelector('.category-type').value,
+          icon: item.querySelector('.category-icon').value.trim(),
+          color: item.querySelector('.category-color').value
+        };
+      }
+    });
+    return { categoryMap, categoryMeta, invalid };
+  }
+
+  // Show which category/rule wins for the URL typed in the tester
+  function updateRuleTester() {
+    const url = testUrl.value.trim();
+    if (!url) {
+      testResult.innerText = '';
+      return;
+    }
+    const fullUrl = /^[a-z]+:\/\//i.test(url) ? url : 'https://' + url;
+    const { categoryMap, categoryMeta } = collectCategories();
+    // same tiers as the background: your rules, the team's, the defaults
+    const layers = BlinkTeam.categoryLayers(categoryMap, team.categoryMap, DEFAULT_SETTINGS.categoryMap);
+    const meta = BlinkTeam.effectiveMeta(categoryMeta, team.categoryMeta);
+    const best = BlinkTeam.resolveLayered(fullUrl, layers, meta);
+    if (!best.rule) {
+      testResult.innerText = '→ other (no rule matched)';
+      return;
+    }
+    const rest = BlinkRules.matchAll(fullUrl, BlinkTeam.mergedMap(layers), meta)
+      .filter(m => m.category !== best.category || m.rule.pattern !== best.rule.pattern);
+    const tierLabels = { user: 'your rule', team: 'team rule', default: 'default rule' };
+    let text = `→ ${best.category} (${tierLabels[best.tier]} "${best.rule.pattern}", priority ${best.priority})`;
+    if (rest.length) text += ` · also matched: ${rest.map(m => `${m.category} "${m.rule.pattern}"`).join(', ')}`;
+    testResult.innerText = text;
+  }
+  testUrl.addEventListener('input', updateRuleTester);
+  categoryList.addEventListener('input', updateRuleTester);
+
   // Add new category button
   addCategory.addEventListener('click', () => {
     categoryList.appendChild(createCategoryElement());
   });
 
+  reminderDelivery.value = settings.reminderDelivery;
+  for (const id of BlinkBreaks.TYPE_IDS) {
+    const { icon, label, hint } = BlinkBreaks.TYPES[id];
+    const option = document.createElement('option');
+    option.value = id;
+    option.innerText = `${icon} ${label} — ${hint}`;
+    breakType.appendChild(option);
+  }
+  const breakTypes = BlinkBreaks.normalizeBreakTypeSettings(settings.breakTypes);
+  breakTypeMode.value = breakTypes.mode;
+  breakType.value = breakTypes.type;
+  hiddenDomains.value = settings.hiddenDomains.join('\n');
+  untrackedDomains.value = settings.untrackedDomains.join('\n');
+
+  // Team categories: listed read-only; the file can be replaced or removed,
+  // managed values only by the administrator
+  function renderTeam() {
+    const names = Object.keys(team.categoryMap);
+    const locked = Object.keys(team.thresholds);
+    if (!team.source) {
+      teamStatus.innerText = 'No team policy. Import a team file from your team, or your administrator can set one through Chrome policy.';
+    } else {
+      const from = { managed: 'set by your administrator', file: 'from an imported team file', both: 'set by your administrator and an imported team file' }[team.source];
+      teamStatus.innerText = `${team.teamName ? `Team "${team.teamName}"` : 'Team policy'} ${from}: ` +
+        `${names.length} categor${names.length === 1 ? 'y' : 'ies'}` +
+        (locked.length ? `, ${locked.length} locked threshold${locked.length === 1 ? '' : 's'}.` : '.');
+    }
+    teamCategoryList.innerHTML = '';
+    names.forEach(name => {
+      const display = BlinkRules.categoryDisplay(name, BlinkTeam.effectiveMeta(null, team.categoryMeta));
+      const li = document.createElement('li');
+      li.className = 'locked-item';
+      li.title = team.managedCategories.includes(name) ? 'Set by your administrator' : 'From the team file';
+      li.style.setProperty('--category-color', display.color);
+      const label = document.createElement('strong');
+      label.innerText = `🔒 ${display.icon} ${name}`;
+      const rules = document.createElement('span');
+      rules.innerText = team.categoryMap[name].join(', ');
+      li.append(label, rules);
+      teamCategoryList.appendChild(li);
+    });
+    removeTeamFile.hidden = !teamFilePolicy;
+  }
+  renderTeam();
+
+  teamFile.addEventListener('change', async () => {
+    const file = teamFile.files && teamFile.files[0];
+    teamFile.value = '';
+    if (!file) return;
+    const { policy, errors } = BlinkTeam.parseTeamFile(await file.text());
+    if (!policy) {
+      showMessage(`❌ Team file not imported: ${errors.join('; ')}`, false);
+      return;
+    }
+    await chrome.storage.local.set({ [BlinkTeam.TEAM_FILE_KEY]: policy });
+    showMessage('✅ Team file imported — reloading…', true);
+    setTimeout(() => location.reload(), 800);
+  });
+
+  removeTeamFile.addEventListener('click', async () => {
+    if (!confirm('Remove the team file? Its categories and locked thresholds no longer apply.')) return;
+    await chrome.storage.local.remove(BlinkTeam.TEAM_FILE_KEY);
+    showMessage('✅ Team file removed — reloading…', true);
+    setTimeout(() => location.reload(), 800);
+  });
+
+  // Threshold settings: the ones the team sets show the team's value and
+  // are locked; saving keeps the user's own value for when the team drops it
+  const thresholds = { ...DEFAULT_SETTINGS.thresholds, ...settings.thresholds };
+  const shown = BlinkTeam.effectiveThresholds(DEFAULT_SETTINGS.thresholds, settings.thresholds, team.thresholds);
+  Object.entries(thresholdInputs).forEach(([key, input]) => { input.value = shown[key]; });
+  breakHours.value = shown.breakHours.join(', ');
+  Object.entries({ ...thresholdInputs, breakHours }).forEach(([key, input]) => {
+    if (!(key in team.thresholds)) return;
+    input.disabled = true;
+    input.classList.add('locked-input');
+    input.title = 'Set by your team';
+  });
+
+  // Idle settings
+  const idle = { ...DEFAULT_SETTINGS.idle, ...settings.idle };
+  idleDetectionSeconds.value = idle.detectionSeconds;
+  mediaActive.checked = !!idle.mediaActive;
+  awayPromptMinutes.value = idle.awayPromptMinutes;
+
+  // Read the idle inputs into { idle, errors }
+  function collectIdle() {
+    const errors = [];
+    const seconds = Number(idleDetectionSeconds.value);
+    const minSeconds = Number(idleDetectionSeconds.min);
+    const maxSeconds = Number(idleDetectionSeconds.max);
+    if (idleDetectionSeconds.value.trim() === '' || !Number.isInteger(seconds) || seconds < minSeconds || seconds > maxSeconds) {
+      errors.push(`Idle detection must be a whole number of seconds from ${minSeconds} to ${maxSeconds}`);
+    }
+    const minutes = Number(awayPromptMinutes.value);
+    const max = Number(awayPromptMinutes.max);
+    if (awayPromptMinutes.value.trim() === '' || !Number.isInteger(minutes) || minutes < 0 || minutes > max) {
+      errors.push(`Away prompt must be a whole number of minutes from 0 to ${max}`);
+    }
+    if (errors.length) return { idle: null, errors };
+    return { idle: { detectionSeconds: seconds, mediaActive: mediaActive.checked, awayPromptMinutes: minutes }, errors: [] };
+  }
+
+  // Read the threshold inputs into { thresholds, errors }; unlike the
+  // pomodoro lengths, out-of-range values are rejected rather than clamped
+  function collectThresholds() {
+    const errors = [];
+    const result = {};
+    const labels = { getBackMinutes: 'Get back to work', inactivitySeconds: 'Inactivity', resetGapMinutes: 'Timer restart' };
+    Object.entries(thresholdInputs).forEach(([key, input]) => {
+      if (input.disabled) {
+        result[key] = thresholds[key];
+        return;
+      }
+      const value = Number(input.value);
+      const min = Number(input.min);
+      const max = Number(input.max);
+      if (input.value.trim() === '' || !Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${labels[key]} must be a whole number from ${min} to ${max}`);
+      } else {
+        result[key] = value;
+      }
+    });
+    const hours = breakHours.value.split(',').map(h => h.trim()).filter(h => h).map(Number);
+    if (breakHours.disabled) {
+      result.breakHours = thresholds.breakHours;
+    } else if (!hours.length || hours.some(h => isNaN(h) || h < 0.25 || h > 12)) {
+      errors.push('Break reminders must be a list of hours from 0.25 to 12');
+    } else {
+      result.breakHours = Array.from(new Set(hours)).sort((a, b) => a - b);
+    }
+    return { thresholds: result, errors };
+  }
+
+  // Goal settings
+  const goals = BlinkGoals.normalizeGoals(settings.goals);
+  goalEnabled.checked = !!goals.enabled;
+  goalMinutes.value = goals.minutes;
+  goalDays.querySelectorAll('input').forEach(cb => {
+    cb.checked = goals.days.includes(Number(cb.value));
+  });
+  goalRecap.checked = !!goals.recap;
+  goalRecapTime.value = goals.recapTime;
+
+  // Read the goal inputs into { goals, errors }
+  function collectGoals() {
+    const errors = [];
+    const minutes = Number(goalMinutes.value);
+    const min = Number(goalMinutes.min);
+    const max = Number(goalMinutes.max);
+    if (goalMinutes.value.trim() === '' || !Number.isInteger(minutes) || minutes < min || minutes > max) {
+      errors.push(`Daily goal must be a whole number of minutes from ${min} to ${max}`);
+    }
+    const days = Array.from(goalDays.querySelectorAll('input:checked')).map(cb => Number(cb.value));
+    if (goalEnabled.checked && !days.length) errors.push('Pick at least one goal day');
+    return {
+      goals: {
+        enabled: goalEnabled.checked,
+        minutes,
+        days,
+        recap: goalRecap.checked,
+        recapTime: goalRecapTime.value || BlinkGoals.DEFAULT_GOALS.recapTime
+      },
+      errors
+    };
+  }
+
+  // Pomodoro settings
+  const pomodoro = { ...DEFAULT_SETTINGS.pomodoro, ...settings.pomodoro };
+  Object.entries(pomodoroInputs).forEach(([key, input]) => { input.value = pomodoro[key]; });
+
+  // Focus mode settings
+  const focus = { ...DEFAULT_SETTINGS.focus, ...settings.focus };
+  const schedule = { ...DEFAULT_SETTINGS.focus.schedule, ...(focus.schedule || {}) };
+  const selectedFocusCategories = new Set(focus.categories || []);
+  focusMinutes.value = focus.defaultMinutes;
+  focusAutoStart.checked = !!focus.autoStartOnGetBack;
+  focusScheduleEnabled.checked = !!schedule.enabled;
+  focusStart.value = schedule.start;
+  focusEnd.value = schedule.end;
+  focusDays.querySelectorAll('input').forEach(cb => {
+    cb.checked = schedule.days.includes(Number(cb.value));
+  });
+
+  // one checkbox per category currently in the editor (kept in sync with renames)
+  function renderFocusCategories() {
+    focusCategories.querySelectorAll('input:checked').forEach(cb => selectedFocusCategories.add(cb.value));
+    focusCategories.querySelectorAll('input:not(:checked)').forEach(cb => selectedFocusCategories.delete(cb.value));
+    focusCategories.innerHTML = '';
+    categoryNames().forEach(name => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = name;
+      cb.checked = selectedFocusCategories.has(name);
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(' ' + name));
+      focusCategories.appendChild(label);
+    });
+  }
+  renderFocusCategories();
+  categoryList.addEventListener('change', (e) => {
+    if (e.target.classList.contains('category-name')) {
+      renderFocusCategories();
+      renderBudgetCategoryNames();
+      scheduleList.querySelectorAll('.schedule-item').forEach(renderScheduleCategories);
+    }
+  });
+
+  // Schedule settings
+  // the editor's categories, then the team's that the editor does not have
+  function categoryNames() {
+    const names = Array.from(categoryList.querySelectorAll('.category-name'))
+      .map(input => input.value.trim())
+      .filter(name => name);
+    return Array.from(new Set(names.concat(Object.keys(team.categoryMap))));
+  }
+
+  // checkbox per category for a schedule's "distracting" list, keeping ticks across renames
+  function renderScheduleCategories(item, selected) {
+    const box = item.querySelector('.schedule-distracting');
+    const ticked = new Set(selected || Array.from(box.querySelectorAll('input:checked')).map(cb => cb.value));
+    box.innerHTML = '';
+    categoryNames().forEach(name => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.value = name;
+      cb.checked = ticked.has(name);
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(' ' + name));
+      box.appendChild(label);
+    });
+  }
+
+  function createScheduleElement(schedule = {}) {
+    const element = document.getElementById('schedule-template').content.cloneNode(true);
+    const item = element.querySelector('.schedule-item');
+    const override = item.querySelector('.schedule-override');
+    const distracting = item.querySelector('.schedule-distracting');
+    item.querySelector('.schedule-name').value = schedule.name || '';
+    item.querySelector('.schedule-enabled').checked = schedule.enabled !== false;
+    item.querySelectorAll('.schedule-days input').forEach(cb => {
+      cb.checked = (schedule.days || [1, 2, 3, 4, 5]).includes(Number(cb.value));
+    });
+    item.querySelector('.schedule-start').value = schedule.start || '09:00';
+    item.querySelector('.schedule-end').value = schedule.end || '17:00';
+    item.querySelector('.schedule-getback').checked = schedule.getBackNudges !== false;
+    item.querySelector('.schedule-breaks').checked = schedule.breakReminders !== false;
+    override.checked = Array.isArray(schedule.distracting);
+    distracting.hidden = !override.checked;
+    override.addEventListener('change', () => { distracting.hidden = !override.checked; });
+    renderScheduleCategories(item, schedule.distracting || []);
+    item.querySelector('.delete-schedule').addEventListener('click', () => {
+      if (confirm('Delete this schedule?')) item.remove();
+    });
+    return element;
+  }
+
+  (Array.isArray(settings.schedules) ? settings.schedules : []).forEach(schedule => {
+    scheduleList.appendChild(createScheduleElement(schedule));
+  });
+  addSchedule.addEventListener('click', () => scheduleList.appendChild(createScheduleElement()));
+
+  // Read the schedule editor into { schedules, errors }
+  function collectSchedules() {
+    const errors = [];
+    const names = new Set();
+    const schedules = Array.from(scheduleList.querySelectorAll('.schedule-item')).map(item => {
+      const override = item.querySelector('.schedule-override').checked;
+      const schedule = {
+        name: item.querySelector('.schedule-name').value.trim(),
+        enabled: item.querySelector('.schedule-enabled').checked,
+        days: Array.from(item.querySelectorAll('.schedule-days input:checked')).map(cb => Number(cb.value)),
+        start: item.querySelector('.schedule-start').value,
+        end: item.querySelector('.schedule-end').value,
+        distracting: override
+          ? Array.from(item.querySelectorAll('.schedule-distracting input:checked')).map(cb => cb.value)
+          : null,
+        getBackNudges: item.querySelector('.schedule-getback').checked,
+        breakReminders: item.querySelector('.schedule-breaks').checked
+      };
+      const label = schedule.name || 'unnamed schedule';
+      if (!schedule.name) errors.push('every schedule needs a name');
+      else if (names.has(schedule.name)) errors.push(`duplicate schedule name "${schedule.name}"`);
+      names.add(schedule.name);
+      if (!schedule.days.length) errors.push(`${label}: pick at least one day`);
+      if (!schedule.start || !schedule.end || schedule.start === schedule.end) errors.push(`${label}: start and end times must differ`);
+      return schedule;
+    });
+    return { schedules, errors };
+  }
+
+  // Budget settings
+  const budgets = BlinkBudgets.normalizeBudgets(settings.budgets);
+  for (let h = 0; h < 24; h++) {
+    const opt = document.createElement('option');
+    opt.value = h;
+    opt.textContent = `${h < 10 ? '0' + h : h}:00`;
+    budgetDayStart.appendChild(opt);
+  }
+  budgetDayStart.value = budgets.dayStartHour;
+  budgetGrace.value = budgets.graceMinutes;
+
+  function createBudgetElement(limit = { kind: 'domain', target: '', minutes: 30 }) {
+    const element = document.getElementById('budget-template').content.cloneNode(true);
+    const row = element.querySelector('.budget-item');
+    const kind = element.querySelector('.budget-kind');
+    const target = element.querySelector('.budget-target');
+    kind.value = limit.kind;
+    target.value = limit.target;
+    element.querySelector('.budget-minutes').value = limit.minutes;
+    // category budgets suggest the categories from the editor above
+    const syncKind = () => {
+      if (kind.value === 'category') target.setAttribute('list', 'budgetCategoryNames');
+      else target.removeAttribute('list');
+      target.placeholder = kind.value === 'category' ? 'social' : 'reddit.com';
+    };
+    kind.addEventListener('change', syncKind);
+    syncKind();
+    element.querySelector('.delete-budget').addEventListener('click', () => row.remove());
+    return element;
+  }
+
+  function renderBudgetCategoryNames() {
+    budgetCategoryNames.innerHTML = '';
+    categoryNames().forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      budgetCategoryNames.appendChild(opt);
+    });
+  }
+
+  budgets.limits.forEach(limit => budgetList.appendChild(createBudgetElement(limit)));
+  renderBudgetCategoryNames();
+  addBudget.addEventListener('click', () => budgetList.appendChild(createBudgetElement()));
+
+  // Report sink settings
+  const reportSink = BlinkReports.normalizeSinkSettings(settings.reportSink);
+  reportEnabled.checked = reportSink.enabled;
+  reportUrl.value = reportSink.url;
+  reportToken.value = (await chrome.storage.local.get({ reportSinkToken: '' })).reportSinkToken;
+
+  // Read the report inputs into { reportSink, errors }; the URL is only
+  // required while reports are on
+  function collectReportSink() {
+    const sink = BlinkReports.normalizeSinkSettings({ enabled: reportEnabled.checked, url: reportUrl.value });
+    const urlError = sink.url || sink.enabled ? BlinkReports.validateSinkUrl(sink.url) : null;
+    return { reportSink: sink, errors: urlError ? [urlError] : [] };
+  }
+
+  async function renderReportStatus() {
+    const resp = await sendRuntime({ action: 'getReportSinkState' });
+    if (!resp) return;
+    const { queued, state } = resp;
+    const parts = [];
+    if (state.lastSentAt) parts.push(`Last sent ${new Date(state.lastSentAt).toLocaleString()}`);
+    if (queued) parts.push(`${queued} day${queued === 1 ? '' : 's'} waiting`);
+    if (state.lastError) parts.push(`last attempt failed (${state.lastError})`);
+    if (state.nextAttemptAt) parts.push(`next try ${new Date(state.nextAttemptAt).toLocaleTimeString()}`);
+    reportStatus.innerText = parts.join(' · ');
+  }
+  renderReportStatus();
+
+  // Break history: breaks per day, average length and what happened to the
+  // reminders (see breakHistory.js breakStats), newest day first
+  async function renderBreakHistory() {
+    const resp = await sendRuntime({ action: 'getBreakStats', days: Number(breakHistoryRange.value) });
+    if (!resp) return;
+    const { stats } = resp;
+    const { formatDuration } = BlinkGoals;
+    const { reminders } = stats;
+    const parts = [`${stats.count} break${stats.count === 1 ? '' : 's'}`];
+    if (stats.count) parts.push(`average ${formatDuration(stats.averageMs)}`, `${stats.endedEarly} ended early`);
+    if (reminders.shown) {
+      parts.push(`${reminders.shown} reminder${reminders.shown === 1 ? '' : 's'}: ${reminders.taken} taken, ` +
+        `${reminders.snoozed} snoozed, ${reminders.dismissed} dismissed, ${reminders.ignored} ignored`);
+    }
+    if (stats.dismissedRate != null) parts.push(`${Math.round(stats.dismissedRate * 100)}% of reminders dismissed`);
+    breakHistorySummary.innerText = parts.join(' · ');
+    breakHistoryList.innerHTML = '';
+    for (const day of stats.days.slice().reverse()) {
+      const li = document.createElement('li');
+      const date = document.createElement('span');
+      date.innerText = day.date;
+      const value = document.createElement('span');
+      value.innerText = day.count
+        ? `${day.count} break${day.count === 1 ? '' : 's'} · avg ${formatDuration(day.averageMs)}`
+        : 'No breaks';
+      li.append(date, value);
+      breakHistoryList.appendChild(li);
+    }
+  }
+  breakHistoryRange.addEventListener('change', renderBreakHistory);
+  renderBreakHistory();
+
+  // sends the saved settings, so unsaved edits have to be saved first
+  sendReportNow.addEventListener('click', async () => {
+    const saved = BlinkReports.normalizeSinkSettings((await chrome.storage.sync.get({ reportSink: DEFAULT_SETTINGS.reportSink })).reportSink);
+    const { reportSinkToken: savedToken } = await chrome.storage.local.get({ reportSinkToken: '' });
+    const { reportSink: current } = collectReportSink();
+    if (current.enabled !== saved.enabled || current.url !== saved.url || reportToken.value.trim() !== savedToken) {
+      showMessage('❌ Save your settings before sending a report', false);
+      return;
+    }
+    sendReportNow.disabled = true;
+    const resp = await sendRuntime({ action: 'sendReportNow' });
+    sendReportNow.disabled = false;
+    if (resp && resp.ok) showMessage(`✅ Sent ${resp.sent} day${resp.sent === 1 ? '' : 's'}`, true);
+    else showMessage(`❌ Report not sent: ${resp ? resp.error : 'Blink is not responding'}`, false);
+    renderReportStatus();
+  });
+
+  // Read the budget editor into { budgets, errors }
+  function collectBudgets(categoryNames) {
+    const limits = Array.from(budgetList.querySelectorAll('.budget-item')).map(row => ({
+      kind: row.querySelector('.budget-kind').value,
+      target: row.querySelector('.budget-target').value.trim(),
+      minutes: Number(row.querySelector('.budget-minutes').value)
+    }));
+    const errors = BlinkBudgets.validateLimits(limits, categoryNames);
+    const grace = Number(budgetGrace.value);
+    if (budgetGrace.value.trim() === '' || !Number.isInteger(grace) || grace < 0 || grace > 60) {
+      errors.push('Grace period must be a whole number from 0 to 60');
+    }
+    return {
+      budgets: { dayStartHour: Number(budgetDayStart.value) || 0, graceMinutes: grace, limits },
+      errors
+    };
+  }
+
 
   // Save all settings
   save.addEventListener('click', async () => {
     try {
-      // Collect categories
-      const categoryMap = {};
-      categoryList.querySelectorAll('.category-item').forEach(item => {
-        const name = item.querySelector('.category-name').value.trim();
-        const domains = item.querySelector('.domain-list')
-          .value.split('\n')
-          .map(d => d.trim())
-          .filter(d => d);
-        if (name && domains.length > 0) {
-          categoryMap[name] = domains;
-        }
-      });
+      // Collect categories (reject rules the engine cannot parse)
+      const { categoryMap, categoryMeta, invalid } = collectCategories();
+      if (invalid.length) {
+        msg.innerText = `❌ Invalid rule(s): ${invalid.join('; ')}`;
+        msg.className = "message error";
+        return;
+      }
+      const { thresholds: newThresholds, errors: thresholdErrors } = collectThresholds();
+      const { budgets: newBudgets, errors: budgetErrors } = collectBudgets(Object.keys(categoryMap).concat(Object.keys(team.categoryMap), 'other'));
+      const { schedules: newSchedules, errors: scheduleErrors } = collectSchedules();
+      const { goals: newGoals, errors: goalErrors } = collectGoals();
+      const { reportSink: newReportSink, errors: reportErrors } = collectReportSink();
+      const { idle: newIdle, errors: idleErrors } = collectIdle();
+      const hidden = BlinkSites.parseDomainList(hiddenDomains.value);
+      const untracked = BlinkSites.parseDomainList(untrackedDomains.value);
+      const invalidDomains = hidden.invalid.concat(untracked.invalid);
+      const errors = thresholdErrors.concat(idleErrors, goalErrors, scheduleErrors, budgetErrors, reportErrors);
+      if (invalidDomains.length) errors.push(`Invalid domain(s): ${invalidDomains.join(', ')}`);
+      if (errors.length) {
+        msg.innerText = `❌ ${errors.join('; ')}`;
+        msg.className = "message error";
+        return;
+      }
 
       // Build settings object
       const newSettings = {
@@ -119,7 +747,37 @@ document.addEventListener("DOMContentLoaded", async () => {
 
       // Save to storage (include categoryMap)
       newSettings.categoryMap = categoryMap;
+      newSettings.categoryMeta = categoryMeta;
+      newSettings.reminderDelivery = reminderDelivery.value;
+      newSettings.breakTypes = BlinkBreaks.normalizeBreakTypeSettings({ mode: breakTypeMode.value, type: breakType.value });
+      newSettings.hiddenDomains = hidden.domains;
+      newSettings.untrackedDomains = untracked.domains;
+      newSettings.thresholds = newThresholds;
+      newSettings.idle = newIdle;
+      newSettings.goals = newGoals;
+      newSettings.schedules = newSchedules;
+      newSettings.budgets = newBudgets;
+      newSettings.reportSink = newReportSink;
+      newSettings.pomodoro = {};
+      Object.entries(pomodoroInputs).forEach(([key, input]) => {
+        const value = parseInt(input.value);
+        const min = Number(input.min) || 1;
+        const max = Number(input.max) || 180;
+        newSettings.pomodoro[key] = isNaN(value) ? DEFAULT_SETTINGS.pomodoro[key] : Math.min(max, Math.max(min, value));
+      });
+      newSettings.focus = {
+        categories: Array.from(focusCategories.querySelectorAll('input:checked')).map(cb => cb.value),
+        defaultMinutes: Math.min(480, Math.max(5, parseInt(focusMinutes.value) || DEFAULT_SETTINGS.focus.defaultMinutes)),
+        autoStartOnGetBack: focusAutoStart.checked,
+        schedule: {
+          enabled: focusScheduleEnabled.checked,
+          days: Array.from(focusDays.querySelectorAll('input:checked')).map(cb => Number(cb.value)),
+          start: focusStart.value || DEFAULT_SETTINGS.focus.schedule.start,
+          end: focusEnd.value || DEFAULT_SETTINGS.focus.schedule.end
+        }
+      };
       await chrome.storage.sync.set(newSettings);
+      await chrome.storage.local.set({ reportSinkToken: reportToken.value.trim() });
       
       // Update UI
       msg.innerText = "✅ Settings saved successfully!";
@@ -152,6 +810,141 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // ------------------ Backup & Sharing ------------------
+  function showMessage(text, ok) {
+    msg.innerText = text;
+    msg.className = ok ? "message success" : "message error";
+    if (ok) setTimeout(() => msg.innerText = "", 2500);
+  }
+
+  // promise wrapper around runtime messaging (resolves null on error)
+  function sendRuntime(m) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(m, (resp) => {
+        if (chrome.runtime.lastError) return resolve(null);
+        resolve(resp);
+      });
+    });
+  }
+
+  async function loadAllHistory() {
+    const resp = await sendRuntime({ action: 'getHistory', from: '0000-01-01' });
+    return (resp && resp.days) || {};
+  }
+
+  function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const stamp = () => new Date().toISOString().slice(0, 10);
+
+  // exports use the saved settings, not unsaved edits on this page
+  exportJson.addEventListener('click', async () => {
+    const saved = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    const bundle = BlinkBundle.buildBundle(saved, await loadAllHistory());
+    download(`blink-export-${stamp()}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+  });
+
+  exportCsv.addEventListener('click', async () => {
+    download(`blink-usage-${stamp()}.csv`, BlinkBundle.historyToCsv(await loadAllHistory()), 'text/csv');
+  });
+
+  let pendingImport = null;
+
+  function categoryMode() {
+    const checked = document.querySelector('input[name="categoryMode"]:checked');
+    return checked ? checked.value : 'merge';
+  }
+
+  async function renderImportPreview() {
+    if (!pendingImport) return;
+    const saved = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    const bundle = importHistory.checked ? pendingImport : { ...pendingImport, usageHistory: {} };
+    importSummary.innerHTML = '';
+    BlinkBundle.describeImport(saved, bundle, categoryMode()).forEach(line => {
+      const li = document.createElement('li');
+      li.innerText = line;
+      importSummary.appendChild(li);
+    });
+    importPreview.hidden = false;
+  }
+
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files && importFile.files[0];
+    importFile.value = '';
+    if (!file) return;
+    const { bundle, errors } = BlinkBundle.parseBundle(await file.text(), DEFAULT_SETTINGS);
+    if (!bundle) {
+      pendingImport = null;
+      importPreview.hidden = true;
+      showMessage(`❌ Import failed: ${errors.join('; ')}`, false);
+      return;
+    }
+    pendingImport = bundle;
+    renderImportPreview();
+  });
+
+  document.querySelectorAll('input[name="categoryMode"]').forEach(r => r.addEventListener('change', renderImportPreview));
+  importHistory.addEventListener('change', renderImportPreview);
+
+  cancelImport.addEventListener('click', () => {
+    pendingImport = null;
+    importPreview.hidden = true;
+  });
+
+  applyImport.addEventListener('click', async () => {
+    if (!pendingImport) return;
+    try {
+      const saved = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+      const incoming = { ...pendingImport.settings };
+      if (incoming.categoryMap && categoryMode() === 'merge') {
+        incoming.categoryMap = BlinkBundle.mergeCategoryMaps(saved.categoryMap, incoming.categoryMap);
+        incoming.categoryMeta = BlinkBundle.mergeCategoryMeta(saved.categoryMeta, incoming.categoryMeta);
+      }
+      await chrome.storage.sync.set(incoming);
+      if (importHistory.checked && Object.keys(pendingImport.usageHistory).length) {
+        const resp = await sendRuntime({ action: 'importUsageHistory', history: pendingImport.usageHistory, mode: 'merge' });
+        if (!resp || !resp.ok) throw new Error('history import failed');
+      }
+      pendingImport = null;
+      showMessage("✅ Import complete — reloading…", true);
+      setTimeout(() => location.reload(), 800);
+    } catch (e) {
+      showMessage("❌ Error applying import", false);
+    }
+  });
+
+  // Keyboard shortcuts: Chrome owns the bindings, so only list them here
+  async function renderShortcuts() {
+    if (!chrome.commands) return;
+    const commands = await chrome.commands.getAll();
+    shortcutList.innerHTML = '';
+    commands.forEach(command => {
+      const li = document.createElement('li');
+      const label = document.createElement('span');
+      label.innerText = command.description || command.name;
+      const keys = document.createElement(command.shortcut ? 'kbd' : 'span');
+      keys.className = command.shortcut ? 'shortcut-keys' : 'shortcut-keys shortcut-unset';
+      keys.innerText = command.shortcut || 'Not set';
+      li.append(label, keys);
+      shortcutList.appendChild(li);
+    });
+  }
+
+  // chrome:// pages can't be linked to, only opened through the tabs API
+  editShortcuts.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  window.addEventListener('focus', renderShortcuts);
+  renderShortcuts();
+
   // Apply theme function
   function applyTheme() {
     const mode = themeMode.value;
@@ -6,25 +6,96 @@ document.addEventListener("DOMContentLoaded", () => {
   const start20 = document.getElementById("startBreak20");
   const resetShown = document.getElementById("resetShown");
   const summary = document.getElementById("summary");
+  const focusStatus = document.getElementById("focusStatus");
+  const startFocus = document.getElementById("startFocus");
+  const stopFocus = document.getElementById("stopFocus");
+  const sessionStatus = document.getElementById("sessionStatus");
+  const startSession = document.getElementById("startSession");
+  const pauseSession = document.getElementById("pauseSession");
+  const skipSession = document.getElementById("skipSession");
+  const stopSession = document.getElementById("stopSession");
+  const siteControls = document.getElementById("siteControls");
+  const siteName = document.getElementById("siteName");
+  const hideOnSite = document.getElementById("hideOnSite");
+  const untrackSite = document.getElementById("untrackSite");
+  const pauseStatus = document.getElementById("pauseStatus");
+  const pause30 = document.getElementById("pause30");
+  const pauseTomorrow = document.getElementById("pauseTomorrow");
+  const resumeBlink = document.getElementById("resumeBlink");
+  const goalStatus = document.getElementById("goalStatus");
+  const breakStats = document.getElementById("breakStats");
 
-  // load settings (we only store whether floating is enabled)
-  chrome.storage.sync.get({ floatingEnabled: true }, (res) => {
-    enableToggle.checked = !!res.floatingEnabled;
-  });
+  // toggle and per-site lists (see siteControls.js); content scripts follow
+  // the storage change, so there is nothing to send to the tabs
+  let siteSettings = BlinkSites.DEFAULT_SITE_SETTINGS;
+  let siteDomain = null; // the active tab's site, if it is a web page
 
-  enableToggle.addEventListener("change", (e) => {
-    chrome.storage.sync.set({ floatingEnabled: enableToggle.checked });
-    // If turned off, ask content scripts to remove UI
-    chrome.tabs.query({}, (tabs) => {
-      for (const t of tabs) {
-        chrome.tabs.sendMessage(t.id, { action: enableToggle.checked ? "enableFloating" : "disableFloating" }, (resp) => {
-          // swallow errors when a tab doesn't have a receiver (reduces console noise)
-          if (chrome.runtime.lastError) return;
-        });
-      }
+  function renderSite() {
+    enableToggle.checked = siteSettings.floatingEnabled !== false;
+    siteControls.hidden = !siteDomain;
+    if (!siteDomain) return;
+    siteName.innerText = siteDomain;
+    hideOnSite.checked = BlinkSites.domainListed(siteSettings.hiddenDomains, siteDomain);
+    untrackSite.checked = BlinkSites.domainListed(siteSettings.untrackedDomains, siteDomain);
+    // an untracked site never shows the timer
+    hideOnSite.disabled = untrackSite.checked;
+  }
+
+  chrome.storage.sync.get(BlinkSites.DEFAULT_SITE_SETTINGS, (res) => {
+    siteSettings = res;
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      const url = tabs && tabs[0] && tabs[0].url;
+      siteDomain = url && /^https?:/.test(url) ? BlinkSites.normalizeDomain(url) || null : null;
+      renderSite();
     });
   });
 
+  function saveSiteSettings(changes) {
+    siteSettings = { ...siteSettings, ...changes };
+    chrome.storage.sync.set(changes);
+    renderSite();
+  }
+
+  enableToggle.addEventListener("change", () => {
+    saveSiteSettings({ floatingEnabled: enableToggle.checked });
+  });
+
+  hideOnSite.addEventListener("change", () => {
+    saveSiteSettings({ hiddenDomains: BlinkSites.toggleDomain(siteSettings.hiddenDomains, siteDomain, hideOnSite.checked) });
+  });
+
+  untrackSite.addEventListener("change", () => {
+    saveSiteSettings({ untrackedDomains: BlinkSites.toggleDomain(siteSettings.untrackedDomains, siteDomain, untrackSite.checked) });
+  });
+
+  // pause: the background stops tracking and reminders until `pausedUntil`
+  function renderPause(pausedUntil) {
+    const paused = pausedUntil > Date.now();
+    pause30.style.display = paused ? "none" : "";
+    pauseTomorrow.style.display = paused ? "none" : "";
+    resumeBlink.style.display = paused ? "" : "none";
+    if (!paused) {
+      pauseStatus.innerText = "Tracking";
+      return;
+    }
+    const end = new Date(pausedUntil);
+    const sameDay = end.toDateString() === new Date().toDateString();
+    pauseStatus.innerText = sameDay
+      ? `Paused until ${end.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+      : "Paused until tomorrow";
+  }
+
+  function pauseAction(msg) {
+    sendRuntimeSafe(msg, (resp) => {
+      if (resp && resp.ok) renderPause(resp.pausedUntil);
+    });
+  }
+
+  sendRuntimeSafe({ action: "getPauseState" }, (resp) => renderPause((resp && resp.pausedUntil) || 0));
+  pause30.addEventListener("click", () => pauseAction({ action: "pauseBlink", minutes: 30 }));
+  pauseTomorrow.addEventListener("click", () => pauseAction({ action: "pauseBlink", until: "tomorrow" }));
+  resumeBlink.addEventListener("click", () => pauseAction({ action: "resumeBlink" }));
+
   start10.addEventListener("click", () => startBreak(10));
   start20.addEventListener("click", () => startBreak(20));
 
@@ -56,25 +127,154 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
-  // Summarizer removed: the extension no longer provides an external summarization feature.
-  // The UI button (if present) is intentionally left non-functional or removed from HTML.
+  // pomodoro: the background owns the session, the popup only shows/controls it
+  const PHASE_LABELS = { work: "Work", shortBreak: "Short break", longBreak: "Long break" };
+  let session = null;
+
+  function renderSession() {
+    const running = !!(session && session.phase !== "idle");
+    startSession.style.display = running ? "none" : "";
+    pauseSession.style.display = running ? "" : "none";
+    skipSession.style.display = running ? "" : "none";
+    stopSession.style.display = running ? "" : "none";
+    if (!running) {
+      sessionStatus.innerText = "Not running";
+      return;
+    }
+    const remainingMs = session.paused ? session.remainingMs : session.phaseEndsAt - Date.now();
+    const mins = Math.max(0, Math.ceil(remainingMs / 60000));
+    pauseSession.innerText = session.paused ? "Resume" : "Pause";
+    sessionStatus.innerText = `${PHASE_LABELS[session.phase] || session.phase} — ${mins} min left` +
+      ` (cycle ${session.cycle + (session.phase === "work" ? 1 : 0)})` + (session.paused ? " · paused" : "");
+  }
+
+  function sessionAction(action) {
+    sendRuntimeSafe({ action }, (resp) => {
+      if (resp && resp.ok) {
+        session = resp.session;
+        renderSession();
+      }
+    });
+  }
+
+  sendRuntimeSafe({ action: "getSessionState" }, (resp) => {
+    session = resp && resp.session;
+    renderSession();
+  });
+  startSession.addEventListener("click", () => sessionAction("startSession"));
+  pauseSession.addEventListener("click", () => sessionAction(session && session.paused ? "resumeSession" : "pauseSession"));
+  skipSession.addEventListener("click", () => sessionAction("skipSessionPhase"));
+  stopSession.addEventListener("click", () => sessionAction("stopSession"));
+
+  // focus mode: blocks distracting categories (see background.js "Focus mode")
+  function renderFocus(focus) {
+    const active = !!(focus && focus.active);
+    startFocus.style.display = active ? "none" : "";
+    stopFocus.style.display = active ? "" : "none";
+    if (!active) {
+      focusStatus.innerText = "Off";
+      return;
+    }
+    const mins = Math.max(0, Math.ceil((focus.endsAt - Date.now()) / 60000));
+    const snoozed = focus.snoozeUntil > Date.now() ? " (snoozed)" : "";
+    focusStatus.innerText = `On — ${mins} min left${snoozed}`;
+  }
+
+  sendRuntimeSafe({ action: "getFocusState" }, (resp) => renderFocus(resp && resp.focus));
+
+  startFocus.addEventListener("click", () => {
+    sendRuntimeSafe({ action: "startFocus", source: "popup" }, (resp) => {
+      if (resp && resp.ok) renderFocus(resp.focus);
+    });
+  });
+
+  stopFocus.addEventListener("click", () => {
+    sendRuntimeSafe({ action: "stopFocus" }, (resp) => {
+      if (resp && resp.ok) renderFocus(resp.focus);
+    });
+  });
 
-  // load quick summary
-  sendRuntimeSafe({ action: "getSummary" }, (resp) => {
-    if (!resp) return;
-    const ds = resp.domainStats || {};
-    // compute totals per category
-    const catTotals = {};
-    for (const [domain, entry] of Object.entries(ds)) {
-      const c = entry.category || "other";
-      catTotals[c] = (catTotals[c] || 0) + (entry.time || 0);
+  // daily goal: progress ring, streak and best streak (see goals.js)
+  function renderGoal(goal) {
+    goalStatus.innerHTML = "";
+    if (!goal || !goal.enabled) {
+      goalStatus.innerText = "No daily goal set (Settings → Daily Goal).";
+      return;
     }
-    let html = "<ul>";
-    for (const [cat, ms] of Object.entries(catTotals)) {
-      html += `<li>${cat}: ${Math.round(ms/60000)} min</li>`;
+    const text = document.createElement("div");
+    text.className = "goal-text";
+    if (goal.targetMs > 0) {
+      const { formatDuration } = BlinkGoals;
+      const label = `${formatDuration(goal.productiveMs)} of ${formatDuration(goal.targetMs)} productive today`;
+      goalStatus.innerHTML = BlinkGoals.progressRingSvg(goal.productiveMs / goal.targetMs, { size: 56, stroke: 7, label });
+      text.innerText = goal.met ? `🎯 Goal met — ${label}` : label;
+    } else {
+      text.innerText = "Rest day — no goal today.";
     }
-    html += "</ul>";
-    summary.innerHTML = html || "No data yet.";
+    const streak = document.createElement("div");
+    streak.className = "type-totals";
+    streak.innerText = `🔥 ${goal.streak}-day streak · best ${goal.bestStreak}`;
+    text.appendChild(streak);
+    goalStatus.appendChild(text);
+  }
+
+  sendRuntimeSafe({ action: "getGoalProgress" }, (resp) => renderGoal(resp && resp.goal));
+
+  // breaks today and over the week, and how many reminders were dismissed
+  // (see breakHistory.js breakStats)
+  sendRuntimeSafe({ action: "getBreakStats", days: 7 }, (resp) => {
+    const stats = resp && resp.stats;
+    if (!stats) return;
+    const { formatDuration } = BlinkGoals;
+    const today = stats.days[stats.days.length - 1];
+    const lines = [`Breaks today: ${today.count}` + (today.count ? ` · avg ${formatDuration(today.averageMs)}` : "")];
+    if (stats.count) lines.push(`Last 7 days: ${stats.count} · avg ${formatDuration(stats.averageMs)}`);
+    const { reminders } = stats;
+    if (reminders.shown) lines.push(`Reminders dismissed: ${reminders.dismissed} of ${reminders.shown}`);
+    breakStats.innerText = lines.join("\n");
+  });
+
+  // Summarizer removed: the extension no longer provides an external summarization feature.
+  // The UI button (if present) is intentionally left non-functional or removed from HTML.
+
+  // load quick summary (today's usage), using each category's icon, colour
+  // and type from the user's categoryMeta (team categories merged in by the
+  // background, see teamPolicy.js)
+  function renderSummary(categoryMeta) {
+    sendRuntimeSafe({ action: "getSummary" }, (resp) => {
+      if (!resp) return;
+      // background returns per-category totals for the requested day
+      const catTotals = resp.categoryTotals || {};
+      const entries = Object.entries(catTotals).sort((a, b) => b[1] - a[1]);
+      if (entries.length === 0) {
+        summary.innerHTML = "No data yet.";
+        return;
+      }
+      const byType = { productive: 0, neutral: 0, distracting: 0 };
+      const list = document.createElement("ul");
+      list.className = "category-summary";
+      for (const [cat, ms] of entries) {
+        const display = BlinkRules.categoryDisplay(cat, categoryMeta);
+        byType[display.type] += ms;
+        const li = document.createElement("li");
+        li.style.setProperty("--category-color", display.color);
+        li.textContent = `${display.icon} ${cat}: ${Math.round(ms/60000)} min`;
+        list.appendChild(li);
+      }
+      const totals = document.createElement("div");
+      totals.className = "type-totals";
+      totals.textContent = Object.entries(byType)
+        .filter(([, ms]) => ms > 0)
+        .map(([type, ms]) => `${type} ${Math.round(ms/60000)} min`)
+        .join(" · ");
+      summary.innerHTML = "";
+      summary.appendChild(totals);
+      summary.appendChild(list);
+    });
+  }
+  sendRuntimeSafe({ action: "getCategoryMeta" }, (resp) => {
+    if (resp && resp.categoryMeta) return renderSummary(resp.categoryMeta);
+    chrome.storage.sync.get({ categoryMeta: BlinkRules.DEFAULT_CATEGORY_META }, ({ categoryMeta }) => renderSummary(categoryMeta));
   });
 
 });
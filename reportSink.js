@@ -0,0 +1,89 @@
+// reportSink.js
+// Report sink helpers shared by background.js (importScripts) and the
+// options page. Exposed as BlinkReports.
+//
+// When enabled, the background POSTs one report per closed day (domain and
+// category totals from usageHistory, the same numbers getSummary returns) to
+// a user-configured URL:
+//   { format: "blink-report", version: 1, sentAt, reports: [dayReport, ...] }
+// Reports wait in a queue in chrome.storage.local until the server accepts
+// them (any 2xx), so days are not lost while offline; failed attempts back
+// off from one minute up to six hours. See docs/APIs.md "Report sink".
+
+(function (root) {
+  const FORMAT = "blink-report";
+  const CURRENT_VERSION = 1;
+  const DEFAULT_REPORT_SINK = { enabled: false, url: "" };
+  const QUEUE_MAX_DAYS = 30; // oldest days are dropped beyond this
+  const RETRY_BASE_MS = 60 * 1000;
+  const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+  // plain http only to this machine; anything else must use https so the
+  // token and usage data are not sent in the clear
+  const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+  function normalizeSinkSettings(raw) {
+    const s = { ...DEFAULT_REPORT_SINK, ...(raw && typeof raw === "object" ? raw : {}) };
+    return { enabled: !!s.enabled, url: typeof s.url === "string" ? s.url.trim() : "" };
+  }
+
+  // null when the URL can receive reports, else the reason it cannot
+  function validateSinkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return "Report URL is not a valid URL";
+    }
+    if (parsed.protocol === "https:") return null;
+    if (parsed.protocol === "http:" && LOOPBACK_HOSTS.includes(parsed.hostname)) return null;
+    return "Report URL must use https (plain http only for localhost)";
+  }
+
+  // one day's report from a usageHistory day bucket; `final` is false for a
+  // day still in progress
+  function buildDayReport(date, day, final = true) {
+    const domainStats = {};
+    let totalMs = 0;
+    for (const [domain, entry] of Object.entries((day && day.domains) || {})) {
+      const time = entry.time || 0;
+      if (time <= 0) continue;
+      domainStats[domain] = { time, category: entry.category || "other" };
+      totalMs += time;
+    }
+    return { date, final, totalMs, categoryTotals: { ...((day && day.categories) || {}) }, domainStats };
+  }
+
+  function buildPayload(reports, now = Date.now()) {
+    return { format: FORMAT, version: CURRENT_VERSION, sentAt: new Date(now).toISOString(), reports };
+  }
+
+  // add reports to the queue, one per date (a newer report replaces an
+  // older one), oldest first, at most QUEUE_MAX_DAYS
+  function enqueueReports(queue, reports) {
+    const byDate = new Map((queue || []).map(r => [r.date, r]));
+    for (const r of reports) byDate.set(r.date, r);
+    return Array.from(byDate.values())
+      .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))
+      .slice(-QUEUE_MAX_DAYS);
+  }
+
+  // wait before retry number `attempts` (1 after the first failure)
+  function retryDelayMs(attempts) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  root.BlinkReports = {
+    FORMAT,
+    CURRENT_VERSION,
+    DEFAULT_REPORT_SINK,
+    QUEUE_MAX_DAYS,
+    normalizeSinkSettings,
+    validateSinkUrl,
+    buildDayReport,
+    buildPayload,
+    enqueueReports,
+    retryDelayMs
+  };
+  // CommonJS for the Node tests: require("./reportSink.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkReports;
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,111 @@
+// siteControls.js
+// Global and per-site switches shared by background.js (importScripts), the
+// content script, the popup and the options page. Exposed as BlinkSites.
+//
+// Settings (sync storage):
+//   floatingEnabled: true         - the popup's floating timer toggle
+//   hiddenDomains: ["a.com"]      - no floating UI on these sites (still tracked)
+//   untrackedDomains: ["b.com"]   - not tracked at all: no time recorded, no
+//                                   streaks or budget status, no floating UI
+// Pause (`pausedUntil` in local storage, this browser only): until that time
+// nothing is tracked, no reminders fire and the floating UI is hidden in
+// every tab. 0 = not paused. Focus mode and budget blocks are not paused;
+// they have their own snooze.
+// Listed domains are stored without "www." and cover their subdomains.
+
+(function (root) {
+  const DEFAULT_SITE_SETTINGS = { floatingEnabled: true, hiddenDomains: [], untrackedDomains: [] };
+  const PAUSE_KEY = "pausedUntil";
+  const DEFAULT_PAUSE_MINUTES = 30;
+
+  function stripWww(host) {
+    return host.startsWith("www.") ? host.slice(4) : host;
+  }
+
+  // "https://www.Example.com/x" or "example.com" -> "example.com"; "" if invalid
+  function normalizeDomain(input) {
+    let s = String(input || "").trim().toLowerCase();
+    if (!s) return "";
+    if (s.includes("://")) {
+      try {
+        s = new URL(s).hostname;
+      } catch (e) {
+        return "";
+      }
+    }
+    s = stripWww(s.split(/[/:?#]/)[0].replace(/\.$/, ""));
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(s) ? s : "";
+  }
+
+  // is `hostname` (or a parent domain of it) on the list?
+  function domainListed(list, hostname) {
+    const host = normalizeDomain(hostname);
+    if (!host || !Array.isArray(list)) return false;
+    return list.some(d => host === d || host.endsWith("." + d));
+  }
+
+  // the list with `domain` added (on) or removed (off, including any parent
+  // entry that covers it)
+  function toggleDomain(list, domain, on) {
+    const d = normalizeDomain(domain);
+    const current = Array.isArray(list) ? list : [];
+    if (!d) return current.slice();
+    if (on) return current.includes(d) ? current.slice() : current.concat(d);
+    return current.filter(entry => !(d === entry || d.endsWith("." + entry)));
+  }
+
+  // parse a textarea (one domain per line) into { domains, invalid }
+  function parseDomainList(text) {
+    const domains = [];
+    const invalid = [];
+    for (const line of String(text || "").split(/\n/)) {
+      if (!line.trim()) continue;
+      const d = normalizeDomain(line);
+      if (!d) invalid.push(line.trim());
+      else if (!domains.includes(d)) domains.push(d);
+    }
+    return { domains, invalid };
+  }
+
+  function isPaused(pausedUntil, now = Date.now()) {
+    return (Number(pausedUntil) || 0) > now;
+  }
+
+  // end of a pause started at `now`: a number of minutes or "tomorrow"
+  // (the next local midnight)
+  function pauseEnd(option, now = Date.now()) {
+    if (option === "tomorrow") {
+      const d = new Date(now);
+      d.setHours(24, 0, 0, 0);
+      return d.getTime();
+    }
+    return now + Math.max(1, Number(option) || DEFAULT_PAUSE_MINUTES) * 60 * 1000;
+  }
+
+  // `settings` = the sync settings above plus `pausedUntil`
+  function trackingAllowed(settings, hostname, now = Date.now()) {
+    const s = { ...DEFAULT_SITE_SETTINGS, ...(settings || {}) };
+    return !isPaused(s.pausedUntil, now) && !domainListed(s.untrackedDomains, hostname);
+  }
+
+  function floatingVisible(settings, hostname, now = Date.now()) {
+    const s = { ...DEFAULT_SITE_SETTINGS, ...(settings || {}) };
+    return s.floatingEnabled !== false && trackingAllowed(s, hostname, now) && !domainListed(s.hiddenDomains, hostname);
+  }
+
+  root.BlinkSites = {
+    DEFAULT_SITE_SETTINGS,
+    PAUSE_KEY,
+    DEFAULT_PAUSE_MINUTES,
+    normalizeDomain,
+    domainListed,
+    toggleDomain,
+    parseDomainList,
+    isPaused,
+    pauseEnd,
+    trackingAllowed,
+    floatingVisible
+  };
+  // CommonJS for the Node tests: require("./siteControls.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkSites;
+})(typeof self !== "undefined" ? self : this);
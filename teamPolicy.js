@@ -0,0 +1,246 @@
+// teamPolicy.js
+// Team-wide categories and thresholds shared by background.js
+// (importScripts) and the options page. Exposed as BlinkTeam; needs
+// BlinkRules loaded first (Node requires it).
+//
+// A team policy comes from either or both of:
+//   - chrome.storage.managed, set by an administrator (enterprise policy, see
+//     managed_schema.json): { teamName, categoryMap, categoryMeta, thresholds }
+//   - a team file imported on the options page, kept in local storage
+//     (`teamPolicy`):
+//       { format: "blink-team", version: 1, teamName, categoryMap,
+//         categoryMeta, thresholds }
+// Managed values win over the file, category by category and threshold by
+// threshold.
+//
+// Categories resolve in tiers: the user's own rules, then the team's, then
+// the built-in defaults. The first tier with a matching rule decides; inside
+// a tier the usual priority / specificity order applies (categoryRules.js).
+// The user tier is every stored rule that is not one of the defaults the
+// options page starts with, so deleting a default rule still removes it.
+// Team thresholds are locked: they override the user's values.
+
+(function (root) {
+  const BlinkRules = root.BlinkRules || require("./categoryRules.js");
+  const TEAM_FILE_KEY = "teamPolicy";
+  const FORMAT = "blink-team";
+  const CURRENT_VERSION = 1;
+  const TIERS = ["user", "team", "default"];
+  // same limits as the options page inputs
+  const THRESHOLD_LIMITS = {
+    getBackMinutes: [1, 240],
+    inactivitySeconds: [10, 3600],
+    resetGapMinutes: [1, 1440]
+  };
+  const BREAK_HOURS_LIMITS = [0.25, 12];
+  const EMPTY_POLICY = {
+    source: null, teamName: "", categoryMap: {}, categoryMeta: {}, thresholds: {}, managedThresholds: [], managedCategories: []
+  };
+
+  function isPlainObject(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v);
+  }
+
+  // Keep the valid category meta (priority, type, icon, colour). Returns
+  // { categoryMeta, errors }.
+  function normalizeCategoryMeta(raw) {
+    const errors = [];
+    const categoryMeta = {};
+    for (const [cat, meta] of Object.entries(isPlainObject(raw) ? raw : {})) {
+      if (!isPlainObject(meta)) {
+        errors.push(`categoryMeta "${cat}" must be an object`);
+        continue;
+      }
+      const clean = {};
+      if (meta.priority != null) {
+        if (Number.isFinite(Number(meta.priority))) clean.priority = Number(meta.priority);
+        else errors.push(`${cat}: priority must be a number`);
+      }
+      if (meta.type != null) {
+        if (BlinkRules.CATEGORY_TYPES.includes(meta.type)) clean.type = meta.type;
+        else errors.push(`${cat}: type must be one of ${BlinkRules.CATEGORY_TYPES.join(", ")}`);
+      }
+      if (typeof meta.icon === "string" && meta.icon.trim()) clean.icon = meta.icon.trim().slice(0, 4);
+      if (meta.color != null) {
+        if (/^#[0-9a-f]{6}$/i.test(meta.color)) clean.color = meta.color;
+        else errors.push(`${cat}: color must be #rrggbb`);
+      }
+      categoryMeta[cat.trim()] = clean;
+    }
+    return { categoryMeta, errors };
+  }
+
+  // Keep the thresholds within THRESHOLD_LIMITS / BREAK_HOURS_LIMITS; keys
+  // that are not set are left out. Returns { thresholds, errors }.
+  function normalizeThresholds(raw) {
+    const errors = [];
+    const result = {};
+    const thresholds = isPlainObject(raw) ? raw : {};
+    for (const [key, [min, max]] of Object.entries(THRESHOLD_LIMITS)) {
+      if (thresholds[key] == null) continue;
+      const value = Number(thresholds[key]);
+      if (Number.isInteger(value) && value >= min && value <= max) result[key] = value;
+      else errors.push(`${key} must be a whole number from ${min} to ${max}`);
+    }
+    if (thresholds.breakHours != null) {
+      const [min, max] = BREAK_HOURS_LIMITS;
+      const hours = Array.isArray(thresholds.breakHours) ? thresholds.breakHours.map(Number) : [];
+      if (hours.length && hours.every(h => h >= min && h <= max)) {
+        result.breakHours = Array.from(new Set(hours)).sort((a, b) => a - b);
+      } else {
+        errors.push(`breakHours must be a list of hours from ${min} to ${max}`);
+      }
+    }
+    return { thresholds: result, errors };
+  }
+
+  // Keep the valid parts of a raw policy (managed storage or a file).
+  // Returns { policy: { teamName, categoryMap, categoryMeta, thresholds }, errors }.
+  function normalizeTeamPolicy(raw) {
+    const errors = [];
+    const policy = { teamName: "", categoryMap: {}, categoryMeta: {}, thresholds: {} };
+    if (!isPlainObject(raw)) return { policy, errors: raw == null ? [] : ["team policy must be an object"] };
+    if (typeof raw.teamName === "string") policy.teamName = raw.teamName.trim().slice(0, 60);
+
+    if (raw.categoryMap != null && !isPlainObject(raw.categoryMap)) errors.push("categoryMap must be an object");
+    for (const [cat, list] of Object.entries(isPlainObject(raw.categoryMap) ? raw.categoryMap : {})) {
+      const name = cat.trim();
+      if (!name || name === "other") {
+        errors.push(`invalid category name "${cat}"`);
+        continue;
+      }
+      if (!Array.isArray(list)) {
+        errors.push(`category "${name}" must be a list of rules`);
+        continue;
+      }
+      const valid = [];
+      for (const pattern of list) {
+        if (typeof pattern === "string" && BlinkRules.parseRule(pattern)) valid.push(pattern.trim());
+        else errors.push(`${name}: invalid rule ${JSON.stringify(pattern)}`);
+      }
+      if (valid.length) policy.categoryMap[name] = valid;
+    }
+
+    const meta = normalizeCategoryMeta(raw.categoryMeta);
+    policy.categoryMeta = meta.categoryMeta;
+    const thresholds = normalizeThresholds(raw.thresholds);
+    policy.thresholds = thresholds.thresholds;
+    errors.push(...meta.errors, ...thresholds.errors);
+    return { policy, errors };
+  }
+
+  // Parse an imported team file. Returns { policy, errors }; the policy is
+  // only set when the whole file is valid.
+  function parseTeamFile(text) {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (e) {
+      return { policy: null, errors: ["File is not valid JSON"] };
+    }
+    if (!isPlainObject(raw) || raw.format !== FORMAT) return { policy: null, errors: ["Not a Blink team file"] };
+    if (raw.version !== CURRENT_VERSION) return { policy: null, errors: [`Unsupported team file version: ${raw.version}`] };
+    const { policy, errors } = normalizeTeamPolicy(raw);
+    if (errors.length) return { policy: null, errors };
+    if (!Object.keys(policy.categoryMap).length && !Object.keys(policy.thresholds).length) {
+      return { policy: null, errors: ["The team file has no categories or thresholds"] };
+    }
+    return { policy, errors };
+  }
+
+  // One policy from managed storage (raw) and the imported file (already
+  // normalized). `source` is "managed", "file", "both" or null.
+  function combinePolicies(managedRaw, file) {
+    const managed = normalizeTeamPolicy(managedRaw).policy;
+    const fromFile = file ? normalizeTeamPolicy(file).policy : null;
+    const hasManaged = Object.keys(managed.categoryMap).length > 0 || Object.keys(managed.thresholds).length > 0;
+    if (!hasManaged && !fromFile) return { ...EMPTY_POLICY };
+    const base = fromFile || EMPTY_POLICY;
+    return {
+      source: hasManaged && fromFile ? "both" : hasManaged ? "managed" : "file",
+      teamName: managed.teamName || base.teamName,
+      categoryMap: { ...base.categoryMap, ...managed.categoryMap },
+      categoryMeta: { ...base.categoryMeta, ...managed.categoryMeta },
+      thresholds: { ...base.thresholds, ...managed.thresholds },
+      // which thresholds the administrator set (the rest came from the file)
+      managedThresholds: Object.keys(managed.thresholds),
+      managedCategories: Object.keys(managed.categoryMap)
+    };
+  }
+
+  // [{ tier, map }] in resolution order. `storedMap` is the user's saved
+  // categoryMap (null if never saved, i.e. the defaults).
+  function categoryLayers(storedMap, teamMap, defaultMap) {
+    const user = {};
+    const kept = {};
+    if (!isPlainObject(storedMap)) {
+      Object.assign(kept, defaultMap);
+    } else {
+      for (const [cat, list] of Object.entries(storedMap)) {
+        const defaults = (defaultMap && defaultMap[cat]) || [];
+        const own = (list || []).filter(p => !defaults.includes(p));
+        const builtIn = (list || []).filter(p => defaults.includes(p));
+        if (own.length) user[cat] = own;
+        if (builtIn.length) kept[cat] = builtIn;
+      }
+    }
+    return [
+      { tier: "user", map: user },
+      { tier: "team", map: isPlainObject(teamMap) ? teamMap : {} },
+      { tier: "default", map: kept }
+    ];
+  }
+
+  // { category, rule, priority, tier } for a URL; tier null for "other"
+  function resolveLayered(url, layers, categoryMeta) {
+    for (const { tier, map } of layers) {
+      const best = BlinkRules.matchAll(url, map, categoryMeta)[0];
+      if (best) return { category: best.category, rule: best.rule, priority: best.priority, tier };
+    }
+    return { category: "other", rule: null, priority: 0, tier: null };
+  }
+
+  // every rule of every tier, per category (category names, blocking rules)
+  function mergedMap(layers) {
+    const merged = {};
+    for (const { map } of layers) {
+      for (const [cat, list] of Object.entries(map)) {
+        merged[cat] = Array.from(new Set((merged[cat] || []).concat(list)));
+      }
+    }
+    return merged;
+  }
+
+  // category meta: the user's saved meta, then the team's, then the defaults
+  function effectiveMeta(storedMeta, teamMeta) {
+    const merged = { ...BlinkRules.DEFAULT_CATEGORY_META };
+    for (const [cat, meta] of Object.entries(teamMeta || {})) merged[cat] = { ...(merged[cat] || {}), ...meta };
+    return { ...merged, ...(isPlainObject(storedMeta) ? storedMeta : {}) };
+  }
+
+  // team thresholds are locked, so they override the user's
+  function effectiveThresholds(defaults, userThresholds, teamThresholds) {
+    return { ...defaults, ...(userThresholds || {}), ...(teamThresholds || {}) };
+  }
+
+  root.BlinkTeam = {
+    TEAM_FILE_KEY,
+    FORMAT,
+    CURRENT_VERSION,
+    TIERS,
+    THRESHOLD_LIMITS,
+    BREAK_HOURS_LIMITS,
+    normalizeCategoryMeta,
+    normalizeThresholds,
+    normalizeTeamPolicy,
+    parseTeamFile,
+    combinePolicies,
+    categoryLayers,
+    resolveLayered,
+    mergedMap,
+    effectiveMeta,
+    effectiveThresholds
+  };
+  // CommonJS for the Node tests: require("./teamPolicy.js")
+  if (typeof module === "object" && module.exports) module.exports = root.BlinkTeam;
+})(typeof self !== "undefined" ? self : this);
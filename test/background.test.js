@@ -0,0 +1,176 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { WINDOW_ID_NONE } = require("./helpers/chrome");
+const { loadBackground } = require("./helpers/load");
+const { setup, ask, dateKey, todayTimes } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+
+test("time is credited to the active tab's domain and split on tab switch", async () => {
+  const { clock, browser } = await setup();
+  browser.openTab("https://github.com/org/repo");
+  await clock.advance(2 * MIN);
+  browser.openTab("https://www.reddit.com/r/all");
+  await clock.advance(3 * MIN);
+  await ask(browser, { action: "getSummary" });
+  assert.deepEqual(todayTimes(browser), { "github.com": 2 * MIN, "www.reddit.com": 3 * MIN });
+});
+
+test("local files and browser pages are credited to their own entries", async () => {
+  const { clock, browser } = await setup({ sync: { reminderDelivery: "page" } });
+  browser.openTab("file:///home/me/notes.pdf");
+  await clock.advance(3 * MIN);
+  browser.openTab("chrome://settings/");
+  await clock.advance(2 * MIN);
+  browser.openTab("https://example.com/report.pdf");
+  await clock.advance(MIN);
+  assert.deepEqual(todayTimes(browser), { "(local files)": 3 * MIN, "(browser pages)": 2 * MIN, "example.com": MIN });
+  const day = browser.storage.local.usageHistory[dateKey(clock.now())];
+  assert.equal(day.domains["(local files)"].category, "other");
+});
+
+test("overlapping category rules resolve to the highest priority", async () => {
+  const { clock, browser } = await setup();
+  const tab = browser.openTab("https://docs.google.com/document/d/1");
+  await clock.advance(1000);
+  const sent = browser.messagesTo(tab.id).filter(m => m.action === "activeCategory");
+  assert.equal(sent[sent.length - 1].category, "school");
+});
+
+test("idle, locked and unfocused time is not counted", async () => {
+  const { clock, browser } = await setup();
+  browser.openTab("https://github.com/");
+  await clock.advance(MIN);
+  await browser.setIdleState("idle");
+  await clock.advance(10 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(MIN);
+  await browser.focusWindow(WINDOW_ID_NONE);
+  await clock.advance(10 * MIN);
+  await browser.focusWindow(1);
+  await clock.advance(MIN);
+  assert.deepEqual(todayTimes(browser), { "github.com": 3 * MIN });
+});
+
+test("after an activity ping time stops at the inactivity threshold", async () => {
+  const { clock, browser } = await setup({ sync: { thresholds: { inactivitySeconds: 60 } } });
+  const tab = browser.openTab("https://github.com/");
+  const content = browser.createChrome("content", { tabId: tab.id });
+  await clock.advance(30 * 1000);
+  content.runtime.sendMessage({ action: "activityPing" }, () => {});
+  await clock.advance(10 * MIN);
+  // 30s before the ping + 60s after it
+  assert.deepEqual(todayTimes(browser), { "github.com": 90 * 1000 });
+});
+
+test("getDomainTime includes the open segment", async () => {
+  const { clock, browser } = await setup();
+  browser.openTab("https://github.com/");
+  await clock.advance(20 * 1000);
+  assert.deepEqual(todayTimes(browser), {}); // nothing credited before the first check
+  const resp = await ask(browser, { action: "getDomainTime", domain: "github.com" });
+  assert.equal(resp.time, 20 * 1000);
+});
+
+test("a break reminder fires after the first break threshold of productive time", async () => {
+  const { clock, browser } = await setup({ sync: { thresholds: { breakHours: [1, 2] }, reminderDelivery: "both" } });
+  const tab = browser.openTab("https://github.com/");
+  await clock.advance(59 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "showBreak").length, 0);
+  await clock.advance(2 * MIN);
+  const reminders = browser.messagesTo(tab.id).filter(m => m.action === "showBreak");
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].thresholdMs, 60 * MIN);
+  assert.ok(browser.notifications.has("blink-break-reminder"));
+  // not repeated for the same threshold
+  await clock.advance(10 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "showBreak").length, 1);
+});
+
+test("a malformed stored threshold falls back to its default", async () => {
+  const { clock, browser } = await setup({ sync: { thresholds: { breakHours: "1", getBackMinutes: -3 }, reminderDelivery: "page" } });
+  const tab = browser.openTab("https://github.com/");
+  await clock.advance(2 * 60 * MIN + MIN);
+  const reminders = browser.messagesTo(tab.id).filter(m => m.action === "showBreak");
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].thresholdMs, 2 * 60 * MIN);
+});
+
+test("a get-back nudge fires after a distracting streak", async () => {
+  const { clock, browser } = await setup({ sync: { thresholds: { getBackMinutes: 10 }, reminderDelivery: "page" } });
+  const tab = browser.openTab("https://www.reddit.com/");
+  await clock.advance(9 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "getBackToWork").length, 0);
+  await clock.advance(2 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "getBackToWork").length, 1);
+  assert.equal(browser.notifications.size, 0);
+});
+
+test("a restarted service worker keeps the tracked tab and streaks", async () => {
+  const { clock, browser, bg } = await setup();
+  browser.openTab("https://github.com/");
+  await clock.advance(5 * MIN);
+  const streakStart = bg.get("productiveSessionStart");
+  assert.ok(streakStart);
+  bg.stop();
+  await clock.advance(2 * MIN); // alarms fire with no worker running
+  const bg2 = await loadBackground(browser);
+  assert.equal(bg2.get("tracker").domain, "github.com");
+  assert.equal(bg2.get("productiveSessionStart"), streakStart);
+  await clock.advance(MIN);
+  assert.deepEqual(todayTimes(browser), { "github.com": 8 * MIN });
+  const summary = await ask(browser, { action: "getSummary" });
+  assert.equal(summary.productiveAccumulated, 8 * MIN);
+});
+
+test("a browser restart on a new day closes yesterday and lets its break thresholds fire again", async () => {
+  const { clock, browser, bg } = await setup({ sync: { thresholds: { breakHours: [2] }, reminderDelivery: "page" } });
+  const tab = browser.openTab("https://github.com/");
+  const yesterday = dateKey(clock.now());
+  await clock.advance(2 * 60 * MIN + MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "showBreak").length, 1);
+
+  // the browser closes for the night: the session is gone
+  bg.stop();
+  for (const key of Object.keys(browser.storage.session)) delete browser.storage.session[key];
+  await clock.advance(22 * 60 * MIN);
+  const bg2 = await loadBackground(browser);
+  assert.equal(bg2.get("productiveAccumulated"), 0);
+  assert.equal(browser.storage.local.lastShownBreakThreshold, 0);
+  assert.ok(browser.storage.local.goalHistory[yesterday]);
+
+  await clock.advance(2 * 60 * MIN + MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "showBreak").length, 2);
+});
+
+test("an extension or Chrome update keeps today's productive time; a fresh install resets it", async () => {
+  const { clock, browser, bg } = await setup();
+  browser.openTab("https://github.com/");
+  await clock.advance(5 * MIN);
+  const streakStart = bg.get("productiveSessionStart");
+  await browser.fireBackground("runtime.onInstalled", { reason: "update", previousVersion: "1.9" });
+  await clock.advance(0);
+  assert.equal(bg.get("productiveSessionStart"), streakStart);
+  assert.equal(bg.get("productiveAccumulated"), 5 * MIN);
+  assert.equal((await ask(browser, { action: "getSummary" })).productiveAccumulated, 5 * MIN);
+  await browser.fireBackground("runtime.onInstalled", { reason: "chrome_update" });
+  await clock.advance(0);
+  assert.equal((await ask(browser, { action: "getSummary" })).productiveAccumulated, 5 * MIN);
+
+  await browser.fireBackground("runtime.onInstalled", { reason: "install" });
+  await clock.advance(0);
+  assert.equal(bg.get("productiveSessionStart"), null);
+  assert.equal(bg.get("productiveAccumulated"), 0);
+});
+
+test("a worker that wakes after missed events picks up the active tab", async () => {
+  const { clock, browser, bg } = await setup();
+  browser.openTab("https://github.com/");
+  await clock.advance(MIN);
+  bg.stop();
+  // the user switched tabs while no worker was running
+  const tab = browser.openTab("https://www.reddit.com/");
+  const bg2 = await loadBackground(browser);
+  assert.equal(bg2.get("tracker").tabId, tab.id);
+  assert.equal(bg2.get("tracker").category, "social");
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkBreakHistory = require("../breakHistory.js");
+const { setup, sendToTab, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+test("break stats per day, average length and reminder answers", () => {
+  const at = (date, h) => new Date(`${date}T${String(h).padStart(2, "0")}:00:00`).getTime();
+  const breaks = [
+    { startedAt: at("2026-10-16", 10), actualMs: 10 * MIN, endedEarly: false, trigger: "threshold" },
+    { startedAt: at("2026-10-17", 10), actualMs: 4 * MIN, endedEarly: true, trigger: "manual" },
+    { startedAt: at("2026-10-17", 15), actualMs: 20 * MIN, endedEarly: false, trigger: "popup" },
+    { startedAt: at("2026-10-01", 15), actualMs: 20 * MIN, endedEarly: false } // out of range
+  ];
+  const now = at("2026-10-17", 16);
+  const reminders = [
+    { shownAt: at("2026-10-16", 9), outcome: "taken" },
+    { shownAt: at("2026-10-16", 12), outcome: "dismissed" },
+    { shownAt: at("2026-10-17", 12), outcome: null }, // never answered
+    { shownAt: now - 5 * MIN, outcome: null } // still open
+  ];
+  const stats = BlinkBreakHistory.breakStats(breaks, reminders, ["2026-10-16", "2026-10-17"], { now });
+  assert.deepEqual(stats.days, [
+    { date: "2026-10-16", count: 1, ms: 10 * MIN, averageMs: 10 * MIN },
+    { date: "2026-10-17", count: 2, ms: 24 * MIN, averageMs: 12 * MIN }
+  ]);
+  assert.equal(stats.count, 3);
+  assert.equal(stats.averageMs, Math.round(34 * MIN / 3));
+  assert.equal(stats.endedEarly, 1);
+  assert.deepEqual({ ...stats.byTrigger }, { threshold: 1, manual: 1, popup: 1 });
+  assert.deepEqual(stats.reminders, { shown: 4, open: 1, taken: 1, snoozed: 0, dismissed: 1, ignored: 1 });
+  assert.equal(stats.dismissedRate, 1 / 3);
+  assert.equal(BlinkBreakHistory.breakStats([], [], ["2026-10-17"]).dismissedRate, null);
+});
+
+test("a break started from a reminder is logged with the threshold trigger", async () => {
+  const { clock, browser, send } = await setup({ sync: { thresholds: { breakHours: [1] }, reminderDelivery: "native" } });
+  browser.openTab("https://github.com/");
+  await clock.advance(HOUR + MIN);
+  const [reminder] = browser.storage.local.reminderLog;
+  assert.equal(reminder.kind, "break");
+  assert.equal(reminder.thresholdMs, HOUR);
+  assert.equal(reminder.outcome, null);
+
+  await browser.fireBackground("notifications.onButtonClicked", "blink-break-reminder", 0);
+  await clock.advance(0);
+  const started = browser.storage.local.breakState;
+  assert.equal(started.trigger, "threshold");
+  assert.equal(started.reminderId, reminder.id);
+  assert.equal(browser.storage.local.reminderLog[0].outcome, "taken");
+
+  await clock.advance(3000 + 4 * MIN);
+  await send({ action: "endBreakGlobal" });
+  const [entry] = browser.storage.local.breakLog;
+  assert.equal(entry.trigger, "threshold");
+  assert.equal(entry.reminderId, reminder.id);
+  assert.equal(entry.plannedMs, 10 * MIN);
+  assert.equal(entry.actualMs, 4 * MIN);
+  assert.equal(entry.endedEarly, true);
+
+  const { stats } = await send({ action: "getBreakStats", days: 7 });
+  assert.equal(stats.days.length, 7);
+  assert.equal(stats.days[6].count, 1);
+  assert.equal(stats.days[6].averageMs, 4 * MIN);
+  assert.equal(stats.reminders.taken, 1);
+});
+
+test("a break started from a get-back reminder answers that reminder, not an open break reminder", async () => {
+  const { clock, browser, send } = await setup({ sync: { thresholds: { breakHours: [1], getBackMinutes: 10 }, reminderDelivery: "native" } });
+  const tab = browser.openTab("https://github.com/");
+  await clock.advance(HOUR + MIN);
+  browser.navigate(tab.id, "https://www.reddit.com/");
+  await clock.advance(11 * MIN);
+  const [breakReminder, getBack] = browser.storage.local.reminderLog;
+  assert.equal(breakReminder.kind, "break");
+  assert.equal(getBack.kind, "getBack");
+
+  await browser.fireBackground("notifications.onButtonClicked", "blink-getback-reminder", 0);
+  await clock.advance(0);
+  assert.equal(browser.storage.local.breakState.reminderId, getBack.id);
+  const [first, second] = browser.storage.local.reminderLog;
+  assert.equal(first.outcome, null);
+  assert.equal(second.outcome, "taken");
+
+  const { stats } = await send({ action: "getBreakStats", days: 1 });
+  assert.deepEqual({ ...stats.reminders }, { shown: 2, open: 1, taken: 1, snoozed: 0, dismissed: 0, ignored: 0 });
+});
+
+test("a break picked in a reminder's chooser answers that reminder", async (t) => {
+  const { clock, browser, send } = await setup({ sync: { thresholds: { breakHours: [1, 1.1] }, reminderDelivery: "page" } });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  await clock.advance(HOUR + 7 * MIN);
+  const [older, newer] = browser.storage.local.reminderLog;
+  assert.equal(newer.outcome, null);
+
+  // the chooser for the older of two open break reminders
+  await sendToTab(browser, page.tab.id, { action: "showBreak", reminderId: older.id });
+  page.$('.bb-break-btn[data-min="10"]').click();
+  await clock.advance(0);
+  const [a, b] = browser.storage.local.reminderLog;
+  assert.equal(a.outcome, "taken");
+  assert.equal(b.outcome, null);
+  assert.equal(browser.storage.local.breakState.reminderId, older.id);
+  assert.equal(browser.storage.local.breakState.trigger, "threshold");
+
+  // triggers the chooser cannot send are recorded as manual
+  await send({ action: "endBreakGlobal" });
+  const { breakState } = await send({ action: "startBreakGlobal", durationMs: 5 * MIN, trigger: "shortcut" });
+  assert.equal(breakState.trigger, "manual");
+});
+
+test("snoozing, closing and cancelling reminders are recorded", async (t) => {
+  const { clock, browser, send } = await setup({ sync: { thresholds: { breakHours: [1, 2, 3] }, reminderDelivery: "both" } });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  const { tab } = page;
+
+  // the notification's snooze button
+  await clock.advance(HOUR + MIN);
+  await browser.fireBackground("notifications.onButtonClicked", "blink-break-reminder", 1);
+  await clock.advance(0);
+  assert.equal(browser.storage.local.reminderLog[0].outcome, "snoozed");
+
+  // closing the notification
+  await clock.advance(HOUR);
+  assert.equal(browser.storage.local.reminderLog.length, 2);
+  await browser.fireBackground("notifications.onClosed", "blink-break-reminder", true);
+  await clock.advance(0);
+  assert.equal(browser.storage.local.reminderLog[1].outcome, "dismissed");
+
+  // cancelling the in-page chooser the reminder opened
+  await clock.advance(HOUR);
+  const third = browser.storage.local.reminderLog[2];
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "showBreak").pop().reminderId, third.id);
+  assert.ok(page.$("#break-buddy-overlay"));
+  page.$("#bb-cancel").click();
+  await clock.advance(0);
+  assert.equal(browser.storage.local.reminderLog[2].outcome, "dismissed");
+  assert.equal(browser.storage.local.breakLog, undefined);
+
+  const { stats } = await send({ action: "getBreakStats", days: 1 });
+  assert.deepEqual({ ...stats.reminders }, { shown: 3, open: 0, taken: 0, snoozed: 1, dismissed: 2, ignored: 0 });
+  assert.equal(stats.dismissedRate, 2 / 3);
+});
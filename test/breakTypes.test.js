@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkBreaks = require("../breakTypes.js");
+const { setup, openPage } = require("./helpers/fixtures");
+
+const SEC = 1000;
+const MIN = 60 * SEC;
+
+test("the next break type follows the mode", () => {
+  const { nextBreakType, TYPE_IDS } = BlinkBreaks;
+  assert.equal(nextBreakType({ mode: "choose", type: "walk" }, "eyes"), "walk");
+  assert.equal(nextBreakType({ mode: "rotate", type: "stretch" }, undefined), "stretch");
+  assert.equal(nextBreakType({ mode: "rotate" }, "eyes"), "stretch");
+  assert.equal(nextBreakType({ mode: "rotate" }, TYPE_IDS[TYPE_IDS.length - 1]), TYPE_IDS[0]);
+  // random never repeats the last type
+  for (const r of [0, 0.5, 0.999]) assert.notEqual(nextBreakType({ mode: "random" }, "eyes", () => r), "eyes");
+  // bad settings fall back to the defaults
+  assert.deepEqual(BlinkBreaks.normalizeBreakTypeSettings({ mode: "sometimes", type: "nap" }), BlinkBreaks.DEFAULT_BREAK_TYPES);
+});
+
+test("the guide walks through the steps and repeats them", () => {
+  const { guideAt, cycleMs } = BlinkBreaks;
+  assert.equal(cycleMs("breathing"), 16 * SEC);
+  let g = guideAt("breathing", 0);
+  assert.equal(g.step.phase, "in");
+  assert.equal(g.stepRemainingMs, 4 * SEC);
+  g = guideAt("breathing", 9 * SEC);
+  assert.equal(g.index, 2);
+  assert.equal(g.step.text, "Breathe out");
+  assert.equal(g.stepRemainingMs, 3 * SEC);
+  assert.equal(g.rounds, 0);
+  g = guideAt("breathing", 33 * SEC);
+  assert.equal(g.index, 0);
+  assert.equal(g.rounds, 2);
+  assert.equal(guideAt("eyes", 25 * SEC).step.text, "Blink slowly ten times");
+});
+
+test("break quality sums the log per type", () => {
+  const { total, byType } = BlinkBreaks.breakQuality([
+    { type: "eyes", actualMs: MIN, endedEarly: false, guideRounds: 1 },
+    { type: "eyes", actualMs: 20 * SEC, endedEarly: true, guideRounds: 0 },
+    { type: "walk", actualMs: 10 * MIN, endedEarly: false, guideRounds: 1 },
+    { actualMs: MIN, endedEarly: false } // logged before break types
+  ]);
+  assert.deepEqual(total, { count: 3, completed: 2, guided: 2, ms: 11 * MIN + 20 * SEC });
+  assert.deepEqual(byType.eyes, { count: 2, completed: 1, guided: 1, ms: MIN + 20 * SEC });
+  assert.equal(byType.breathing.count, 0);
+});
+
+test("breaks rotate through the types and finished breaks are logged", async () => {
+  const { clock, browser, send } = await setup();
+  const first = (await send({ action: "startBreakGlobal", durationMs: 5 * MIN })).breakState;
+  assert.equal(first.type, "eyes");
+  // past the pre-countdown, a minute in, paused for a minute, then ended
+  await clock.advance(3 * SEC + MIN);
+  await send({ action: "pauseBreak" });
+  await clock.advance(MIN);
+  await send({ action: "resumeBreak" });
+  await send({ action: "endBreakGlobal" });
+
+  assert.equal((await send({ action: "getNextBreakType" })).type, "stretch");
+  const second = (await send({ action: "startBreakGlobal", durationMs: 5 * MIN })).breakState;
+  assert.equal(second.type, "stretch");
+  await clock.advance(3 * SEC + 5 * MIN); // the end alarm finishes it
+
+  // the chooser's pick wins over the rotation
+  const third = (await send({ action: "startBreakGlobal", durationMs: 5 * MIN, breakType: "breathing" })).breakState;
+  assert.equal(third.type, "breathing");
+
+  const log = browser.storage.local.breakLog;
+  assert.equal(log.length, 2);
+  assert.equal(log[0].type, "eyes");
+  assert.equal(log[0].trigger, "manual");
+  assert.equal(log[0].plannedMs, 5 * MIN);
+  assert.equal(log[0].actualMs, MIN);
+  assert.equal(log[0].endedEarly, true);
+  assert.equal(log[0].guideRounds, 1);
+  assert.equal(log[1].type, "stretch");
+  assert.equal(log[1].actualMs, 5 * MIN);
+  assert.equal(log[1].endedEarly, false);
+  assert.equal((await send({ action: "getBreakLog" })).log.length, 2);
+});
+
+test("the chooser preselects the next type and the banner guides through it", async (t) => {
+  const { clock, browser, send } = await setup({ sync: { breakTypes: { mode: "choose", type: "breathing" } } });
+  const page = await openPage(browser, "https://docs.google.com/document/d/1");
+  t.after(() => page.close());
+
+  page.$("#bb-break").click();
+  await clock.advance(0);
+  const select = page.$("#bb-break-type");
+  assert.equal(select.value, "breathing");
+  select.value = "stretch";
+  page.$('.bb-break-btn[data-min="10"]').click();
+  await clock.advance(0);
+  assert.equal(browser.storage.local.breakState.type, "stretch");
+
+  // 35 s in: the second stretch, the first one checked off
+  await clock.advance(3 * SEC + 35 * SEC);
+  assert.equal(page.$(".break-title").textContent, "🙆 Stretch");
+  assert.equal(page.$(".bb-guide-step").textContent, "Shrug your shoulders up, back and down");
+  assert.equal(page.$(".bb-guide-left").textContent, "25s");
+  const steps = page.$(".bb-guide-steps").querySelectorAll("li");
+  assert.ok(steps[0].classList.contains("done"));
+  assert.equal(steps[1].getAttribute("aria-current"), "step");
+  assert.equal(page.$(".bb-breath").hidden, true);
+
+  await send({ action: "endBreakGlobal" });
+  await clock.advance(5000);
+  await send({ action: "startBreakGlobal", durationMs: 10 * MIN });
+  // breathing: the circle grows while breathing in and stays large on hold
+  await clock.advance(3 * SEC + SEC);
+  assert.equal(page.$(".bb-guide-step").textContent, "Breathe in");
+  assert.equal(page.$(".bb-guide-step").getAttribute("aria-live"), "off");
+  assert.equal(page.$(".bb-breath").dataset.size, "full");
+  await clock.advance(4 * SEC);
+  assert.equal(page.$(".bb-guide-step").textContent, "Hold");
+  assert.equal(page.$(".bb-breath").dataset.size, "full");
+  await clock.advance(4 * SEC);
+  assert.equal(page.$(".bb-breath").dataset.size, "small");
+});
@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkBudgets = require("../budgets.js");
+
+const MIN = 60 * 1000;
+
+function hours(entries) {
+  const h = new Array(24).fill(0);
+  for (const [hour, ms] of Object.entries(entries)) h[hour] = ms;
+  return h;
+}
+
+test("budget days start at dayStartHour", () => {
+  const at = (h, m = 0) => new Date(2026, 9, 19, h, m).getTime();
+  assert.equal(BlinkBudgets.budgetDayStart(at(10), 0), at(0));
+  assert.equal(BlinkBudgets.budgetDayStart(at(10), 4), at(4));
+  // before 04:00 still belongs to the previous budget day
+  assert.equal(BlinkBudgets.budgetDayStart(at(3, 30), 4), new Date(2026, 9, 18, 4).getTime());
+  assert.equal(BlinkBudgets.nextBudgetDayStart(at(10), 4), new Date(2026, 9, 20, 4).getTime());
+});
+
+test("usageSince only counts hour slots from the start of the budget day", () => {
+  const history = {
+    "2026-10-18": { domains: { "reddit.com": { time: 40 * MIN, category: "social", hours: hours({ 23: 40 * MIN }) } } },
+    "2026-10-19": { domains: { "reddit.com": { time: 30 * MIN, category: "social", hours: hours({ 2: 10 * MIN, 9: 20 * MIN }) } } }
+  };
+  const usage = BlinkBudgets.usageSince(history, new Date(2026, 9, 19, 4).getTime());
+  assert.equal(usage.domains["reddit.com"].time, 20 * MIN);
+  assert.equal(usage.categories.social, 20 * MIN);
+});
+
+test("stages escalate with the grace period", () => {
+  const budgets = { graceMinutes: 5, limits: [{ kind: "domain", target: "reddit.com", minutes: 30 }] };
+  const stageAt = (used) => {
+    const usage = BlinkBudgets.addPending({ domains: {}, categories: {} }, "old.reddit.com", "social", used);
+    return BlinkBudgets.statusFor("old.reddit.com", "social", usage, budgets).stage;
+  };
+  assert.equal(stageAt(10 * MIN), "ok");
+  assert.equal(stageAt(24 * MIN), "warn");
+  assert.equal(stageAt(30 * MIN), "exceeded");
+  assert.equal(stageAt(35 * MIN), "overlay");
+  assert.equal(stageAt(40 * MIN), "blocked");
+  assert.equal(BlinkBudgets.statusFor("example.com", "other", { domains: {}, categories: {} }, budgets), null);
+});
+
+test("the most pressing limit wins and blocked limits are listed", () => {
+  const budgets = {
+    graceMinutes: 0,
+    limits: [{ kind: "category", target: "social", minutes: 60 }, { kind: "domain", target: "x.com", minutes: 10 }]
+  };
+  const usage = BlinkBudgets.addPending({ domains: {}, categories: {} }, "x.com", "social", 15 * MIN);
+  const status = BlinkBudgets.statusFor("x.com", "social", usage, budgets);
+  assert.equal(status.key, "domain:x.com");
+  assert.equal(status.remainingMs, -5 * MIN);
+  assert.deepEqual(BlinkBudgets.blockedLimits(usage, budgets).map(s => s.key), ["domain:x.com"]);
+});
+
+test("validateLimits reports bad rows", () => {
+  const errors = BlinkBudgets.validateLimits([
+    { kind: "domain", target: "reddit.com", minutes: 30 },
+    { kind: "domain", target: "reddit.com", minutes: 20 },
+    { kind: "domain", target: "bad host!", minutes: 20 },
+    { kind: "category", target: "nope", minutes: 0 }
+  ], ["social"]);
+  assert.deepEqual(errors, [
+    "duplicate budget for reddit.com",
+    'invalid domain rule "bad host!"',
+    'unknown category "nope"',
+    "budget for nope must be 1-1440 minutes"
+  ]);
+});
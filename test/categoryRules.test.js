@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkRules = require("../categoryRules.js");
+
+const resolve = (url, map, meta) => BlinkRules.resolveCategory(url, map, meta).category;
+
+test("host rules match the domain and its subdomains on a dot boundary", () => {
+  const map = { productive: ["github.com"] };
+  assert.equal(resolve("https://github.com/org/repo", map), "productive");
+  assert.equal(resolve("https://gist.github.com/x", map), "productive");
+  assert.equal(resolve("https://www.github.com/", map), "productive");
+  assert.equal(resolve("https://notgithub.com/", map), "other");
+  assert.equal(resolve("https://github.com.evil.io/", map), "other");
+});
+
+test("exact, wildcard, path and regex rules", () => {
+  const map = {
+    exact: ["=example.com"],
+    wild: ["*.wild.dev"],
+    path: ["site.org/docs"],
+    regex: ["/^https:\\/\\/[a-z]+\\.test\\.net\\/app/i"]
+  };
+  assert.equal(resolve("https://www.example.com/", map), "exact");
+  assert.equal(resolve("https://sub.example.com/", map), "other");
+  assert.equal(resolve("https://a.wild.dev/", map), "wild");
+  assert.equal(resolve("https://wild.dev/", map), "other");
+  assert.equal(resolve("https://site.org/docs/intro", map), "path");
+  assert.equal(resolve("https://site.org/blog", map), "other");
+  assert.equal(resolve("https://Foo.test.net/APP/1", map), "regex");
+  assert.equal(BlinkRules.parseRule("/(/"), null);
+  assert.equal(BlinkRules.parseRule("bad host!"), null);
+});
+
+test("overlapping patterns: priority first, then specificity, then order", () => {
+  // docs.google.com is in both; school has the higher default priority
+  const map = { productive: ["google.com", "docs.google.com"], school: ["docs.google.com"] };
+  assert.equal(resolve("https://docs.google.com/document/d/1", map), "school");
+  assert.equal(resolve("https://mail.google.com/", map), "productive");
+
+  // equal priority: the more specific rule wins regardless of order
+  const meta = { a: { priority: 0 }, b: { priority: 0 } };
+  const tie = { a: ["youtube.com"], b: ["youtube.com/feed"] };
+  assert.equal(resolve("https://youtube.com/feed/trending", tie, meta), "b");
+  assert.equal(resolve("https://youtube.com/watch?v=1", tie, meta), "a");
+
+  // same rule in two categories: the first listed wins
+  assert.equal(resolve("https://x.com/", { first: ["x.com"], second: ["x.com"] }, meta), "first");
+
+  // a user priority overrides the defaults
+  assert.equal(resolve("https://docs.google.com/", map, { productive: { priority: 20 } }), "productive");
+});
+
+test("category types and display fall back sensibly", () => {
+  assert.equal(BlinkRules.categoryType("school"), "productive");
+  assert.equal(BlinkRules.categoryType("other"), "distracting");
+  assert.equal(BlinkRules.categoryType("hobby", { hobby: {} }), "neutral");
+  assert.equal(BlinkRules.categoryType("social", { social: { type: "neutral" } }), "neutral");
+
+  const custom = BlinkRules.categoryDisplay("hobby", { hobby: { icon: "🎸", color: "nope" } });
+  assert.equal(custom.icon, "🎸");
+  assert.match(custom.color, /^#[0-9a-f]{6}$/i);
+  assert.deepEqual(BlinkRules.categoryDisplay(null), { name: "other", type: "distracting", icon: "🔍", color: "#718096" });
+});
+
+test("DNR regex filters match the same URLs as the rules", () => {
+  for (const [pattern, hit, miss] of [
+    ["reddit.com", "https://old.reddit.com/r/x", "https://notreddit.com/"],
+    ["=example.com", "https://www.example.com/a", "https://a.example.com/"],
+    ["*.wild.dev", "https://a.wild.dev/", "https://wild.dev/"],
+    ["site.org/docs", "https://site.org/docs/x", "https://site.org/blog"]
+  ]) {
+    const re = new RegExp(BlinkRules.ruleToRegexFilter(BlinkRules.parseRule(pattern)), "i");
+    assert.ok(re.test(hit), `${pattern} should match ${hit}`);
+    assert.ok(!re.test(miss), `${pattern} should not match ${miss}`);
+  }
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./helpers/load");
+const { setup: setupBrowser, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+const { commands } = JSON.parse(fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8"));
+
+// with the manifest's commands registered
+const setup = (options = {}) => setupBrowser({ commands, ...options });
+
+test("every command has a handler and Chrome's limit of four suggested keys holds", async () => {
+  const { bg } = await setup();
+  const handlers = Object.keys(bg.get("COMMAND_HANDLERS"));
+  const names = Object.keys(commands).filter(name => name !== "_execute_action");
+  assert.deepEqual(names.sort(), handlers.sort());
+  assert.ok(Object.values(commands).filter(c => c.suggested_key).length <= 4);
+});
+
+test("break and focus shortcuts start and stop them", async () => {
+  const { clock, browser } = await setup();
+  browser.openTab("https://github.com/");
+  await browser.pressShortcut("start-break");
+  const started = browser.storage.local.breakState;
+  assert.equal(started.active, true);
+  assert.equal(started.trigger, "shortcut");
+  assert.equal(started.durationMs, 10 * MIN);
+  await clock.advance(MIN);
+  await browser.pressShortcut("end-break");
+  assert.equal(browser.storage.local.breakState.active, false);
+  assert.equal(browser.storage.local.breakState.endedEarly, true);
+
+  await browser.pressShortcut("toggle-focus");
+  assert.equal(browser.storage.local.focusState.active, true);
+  assert.equal(browser.storage.local.focusState.source, "shortcut");
+  await browser.pressShortcut("toggle-focus");
+  assert.equal(browser.storage.local.focusState.active, false);
+});
+
+test("the dashboard shortcut opens the dashboard", async () => {
+  const { browser } = await setup();
+  await browser.pressShortcut("open-dashboard");
+  assert.ok(browser.tabs.some(t => t.url === "chrome-extension://blink-test/dashboard.html" && t.active));
+});
+
+test("timer shortcuts hide the timer everywhere and minimize it in the active tab", async (t) => {
+  const { clock, browser } = await setup();
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+
+  await browser.pressShortcut("toggle-minimized");
+  await clock.advance(0);
+  assert.ok(page.host().classList.contains("minimized"));
+  assert.equal(browser.storage.sync.timerMinimized, true);
+  await browser.pressShortcut("toggle-minimized");
+  await clock.advance(0);
+  assert.ok(!page.host().classList.contains("minimized"));
+
+  await browser.pressShortcut("toggle-floating");
+  assert.equal(browser.storage.sync.floatingEnabled, false);
+  assert.equal(page.host(), null);
+  await browser.pressShortcut("toggle-floating");
+  assert.ok(page.host());
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { text } = require("./helpers/load");
+const { setup, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+
+// keep the user active on the page for `ms`
+async function stayActive(page, clock, ms, every = 10 * 1000) {
+  for (let t = 0; t < ms; t += every) {
+    page.activity();
+    await clock.advance(Math.min(every, ms - t));
+  }
+}
+
+test("the floating UI lives in a shadow root and leaves the page alone", async (t) => {
+  const { browser } = await setup();
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  assert.ok(page.shadow(), "shadow root attached");
+  assert.equal(text(page.$("#bb-timer")), "0m");
+  assert.ok(page.shadow().querySelector("style"), "styles are scoped to the shadow root");
+  assert.equal(page.document.querySelector("#bb-timer"), null);
+  assert.equal(page.document.querySelector("main").textContent, "page");
+});
+
+test("the category comes from the background", async (t) => {
+  const { browser } = await setup();
+  const page = await openPage(browser, "https://docs.google.com/document/d/1");
+  t.after(() => page.close());
+  assert.equal(text(page.$("#bb-cat .category-text")), "📚 School");
+  assert.equal(page.$("#bb-cat").dataset.type, "productive");
+});
+
+test("the timer counts while the user is active and stops when inactive or hidden", async (t) => {
+  const { clock, browser } = await setup({ sync: { thresholds: { inactivitySeconds: 60 } } });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+
+  await stayActive(page, clock, 2 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "2m");
+  assert.equal(text(page.$("#bb-mini-timer")), "2m");
+
+  // no activity: the counter stops one inactivity period after the last
+  // event (at 2m50s), not 5 minutes later
+  await clock.advance(5 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "2m");
+
+  page.setHidden(true);
+  await stayActive(page, clock, 3 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "2m");
+
+  page.setHidden(false);
+  await stayActive(page, clock, MIN);
+  assert.equal(text(page.$("#bb-timer")), "3m");
+});
+
+test("activity pings keep the background tracker crediting the tab", async (t) => {
+  const { clock, browser } = await setup({ sync: { thresholds: { inactivitySeconds: 60 } } });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  await stayActive(page, clock, 4 * MIN);
+  await clock.advance(10 * MIN);
+  const resp = await page.chrome.runtime.sendMessage({ action: "getDomainTime", domain: "github.com" });
+  // four active minutes plus one inactivity period after the last ping
+  assert.ok(resp.time >= 4 * MIN && resp.time <= 5 * MIN + 1000, `got ${resp.time}`);
+});
+
+test("a daily budget turns the timer into a countdown", async (t) => {
+  const { clock, browser } = await setup({
+    sync: { budgets: { graceMinutes: 5, limits: [{ kind: "domain", target: "reddit.com", minutes: 10 }] } }
+  });
+  const page = await openPage(browser, "https://www.reddit.com/");
+  t.after(() => page.close());
+  assert.equal(text(page.$("#bb-timer")), "10m left");
+  await stayActive(page, clock, 9 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "1m left");
+  assert.ok(page.$("#bb-timer").classList.contains("bb-budget-warn"));
+});
+
+test("a break started from the page counts down in every tab", async (t) => {
+  const { clock, browser } = await setup();
+  const first = await openPage(browser, "https://github.com/");
+  const second = await openPage(browser, "https://notion.so/");
+  t.after(() => { first.close(); second.close(); });
+
+  first.$("#bb-break").click();
+  first.shadow().querySelector('.bb-break-btn[data-min="10"]').click();
+  await clock.advance(0);
+  const { startsAt } = browser.storage.local.breakState;
+  await clock.advance(startsAt - clock.now() + 65 * 1000);
+  for (const page of [first, second]) {
+    const remaining = page.shadow().querySelector("#bb-break-remaining");
+    assert.ok(remaining, "banner shown");
+    assert.equal(text(remaining), "8:55");
+  }
+});
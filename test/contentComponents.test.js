@@ -0,0 +1,180 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { text } = require("./helpers/load");
+const fixtures = require("./helpers/fixtures");
+const { sendToTab } = fixtures;
+
+// every test starts on a Google Doc
+async function setup(storage = {}) {
+  const { clock, browser, send } = await fixtures.setup(storage);
+  const page = await fixtures.openPage(browser, "https://docs.google.com/document/d/1");
+  return { clock, browser, send, tab: page.tab, page };
+}
+
+test("formatSeconds", async (t) => {
+  const { page } = await setup();
+  t.after(() => page.close());
+  const { formatSeconds } = page.window.BlinkUI;
+  assert.equal(formatSeconds(0), "0:00");
+  assert.equal(formatSeconds(65), "1:05");
+  assert.equal(formatSeconds(3 * 3600 + 7), "3:00:07");
+  assert.equal(formatSeconds(-1), "0s");
+  assert.equal(formatSeconds(NaN), "0s");
+});
+
+test("disableFloating unmounts the UI and enableFloating brings it back", async (t) => {
+  const { clock, browser, tab, page } = await setup();
+  t.after(() => page.close());
+  const timersMounted = clock.pending();
+
+  await sendToTab(browser, tab.id, { action: "disableFloating" });
+  assert.equal(page.host(), null);
+  assert.ok(clock.pending() < timersMounted, "UI timers stopped");
+
+  // state that arrives while hidden is kept, not rendered
+  await sendToTab(browser, tab.id, { action: "activeCategory", category: "social" });
+  await sendToTab(browser, tab.id, { action: "getBackToWork" });
+  await clock.advance(1000);
+  assert.equal(page.host(), null);
+
+  await sendToTab(browser, tab.id, { action: "enableFloating" });
+  assert.ok(page.host());
+  assert.equal(text(page.$("#bb-cat .category-text")), "📱 Social");
+  // the toast was dropped, not queued
+  assert.equal(page.$("#bb-quick-toast"), null);
+  await sendToTab(browser, tab.id, { action: "enableFloating" });
+  assert.equal(page.document.querySelectorAll("#break-buddy-floating").length, 1);
+});
+
+test("a break running while the UI is hidden shows up on enable", async (t) => {
+  const { clock, browser, send, tab, page } = await setup();
+  t.after(() => page.close());
+  await sendToTab(browser, tab.id, { action: "disableFloating" });
+  await send({ action: "startBreakGlobal", durationMs: 10 * 60 * 1000, trigger: "manual" });
+  await clock.advance(10 * 1000);
+  assert.equal(page.host(), null);
+  await sendToTab(browser, tab.id, { action: "enableFloating" });
+  assert.ok(page.$("#bb-break-banner"), "banner rendered on mount");
+});
+
+test("the custom theme is applied to the host and buttons", async (t) => {
+  const { browser, tab, page } = await setup();
+  t.after(() => page.close());
+  const theme = { mode: "custom", fontStyle: "Georgia", custom: { bgColor: "#102030", textColor: "#ffffff", accentColor: "#ff0000" } };
+  await sendToTab(browser, tab.id, { action: "themeChanged", theme });
+  assert.equal(page.host().dataset.theme, "custom");
+  assert.equal(page.host().style.background, "rgba(16, 32, 48, 0.92)");
+  assert.equal(page.$("#bb-break").style.background, "rgb(255, 0, 0)");
+  assert.equal(page.$(".minimize-btn").style.background, "");
+});
+
+test("an orphaned script (extension reloaded) tears itself down", async (t) => {
+  const { clock, page } = await setup();
+  t.after(() => page.close());
+  const before = clock.pending();
+  page.chrome.runtime.id = undefined;
+  await clock.advance(10 * 1000);
+  assert.equal(page.host(), null);
+  assert.ok(clock.pending() < before);
+});
+
+function key(page, target, k, options = {}) {
+  target.dispatchEvent(new page.window.KeyboardEvent("keydown", { key: k, bubbles: true, ...options }));
+}
+
+test("the break chooser is a keyboard dialog with an inline manual entry", async (t) => {
+  const { clock, browser, page } = await setup();
+  t.after(() => page.close());
+  const shadow = page.shadow();
+  page.$("#bb-break").focus();
+  page.$("#bb-break").click();
+  const card = page.$("#bb-overlay-card");
+  assert.equal(card.getAttribute("role"), "dialog");
+  assert.equal(shadow.activeElement, page.$('.bb-break-btn[data-min="10"]'));
+
+  // Tab wraps inside the dialog to the activity list; the hidden manual
+  // form is skipped
+  page.$("#bb-cancel").focus();
+  key(page, page.$("#bb-cancel"), "Tab");
+  assert.equal(shadow.activeElement, page.$("#bb-break-type"));
+
+  // Escape closes it and gives focus back to the Break button
+  key(page, shadow.activeElement, "Escape");
+  assert.equal(page.$("#break-buddy-overlay"), null);
+  assert.equal(shadow.activeElement, page.$("#bb-break"));
+
+  page.$("#bb-break").click();
+  page.$('.bb-break-btn[data-min="manual"]').click();
+  const input = page.$("#bb-manual-min");
+  assert.equal(page.$("#bb-manual").hidden, false);
+  assert.equal(shadow.activeElement, input);
+  input.value = "0";
+  page.$("#bb-manual").dispatchEvent(new page.window.Event("submit", { cancelable: true }));
+  assert.equal(input.getAttribute("aria-invalid"), "true");
+  input.value = "60";
+  page.$("#bb-manual").dispatchEvent(new page.window.Event("submit", { cancelable: true }));
+  await clock.advance(0);
+  assert.equal(browser.storage.local.breakState.durationMs, 45 * 60 * 1000);
+  assert.equal(page.$("#break-buddy-overlay"), null);
+});
+
+test("breaks and the get-back nudge are announced once; countdowns are silent timers", async (t) => {
+  const { clock, browser, send, tab, page } = await setup();
+  t.after(() => page.close());
+  const live = page.$("#bb-live");
+  assert.equal(live.getAttribute("aria-live"), "polite");
+  assert.equal(page.$("#bb-timer").getAttribute("role"), "timer");
+  assert.equal(page.$(".minimize-btn").getAttribute("aria-label"), "Minimize Blink timer");
+
+  await send({ action: "startBreakGlobal", durationMs: 10 * 60 * 1000, trigger: "manual" });
+  await clock.advance(0);
+  assert.equal(live.textContent, "Break started: 10 minutes of eye rest.");
+  // ticking does not touch the live region
+  await clock.advance(5000);
+  assert.equal(page.$("#bb-break-remaining").getAttribute("role"), "timer");
+  assert.equal(live.textContent, "");
+
+  await send({ action: "endBreakGlobal" });
+  await clock.advance(0);
+  assert.equal(live.textContent, "Break ended. Back to work.");
+
+  await sendToTab(browser, tab.id, { action: "getBackToWork" });
+  assert.equal(live.textContent, "Get back to work. Looks like a distraction.");
+  await clock.advance(6000);
+  await sendToTab(browser, tab.id, { action: "getBackToWork" });
+  assert.equal(live.textContent, "", "not repeated right away");
+});
+
+test("the arrow keys move the timer from its title and save the position", async (t) => {
+  const { clock, browser, page } = await setup();
+  t.after(() => page.close());
+  const host = page.host();
+  // jsdom has no layout: report the box where its styles put it
+  host.getBoundingClientRect = () => ({ left: parseFloat(host.style.left) || 0, top: parseFloat(host.style.top) || 0, width: 190, height: 120 });
+  const title = page.$("#bb-title");
+  assert.equal(title.tabIndex, 0);
+  title.focus();
+  key(page, title, "ArrowDown", { shiftKey: true });
+  key(page, title, "ArrowRight");
+  assert.equal(host.style.top, "62px");
+  assert.equal(host.style.left, "16px");
+  assert.equal(host.style.right, "auto");
+  assert.equal(browser.storage.sync.floatPos, undefined, "saved once the keys settle");
+  await clock.advance(500);
+  assert.deepEqual(browser.storage.sync.floatPos, { x: 16, y: 62 });
+
+  // arrow keys on the buttons are left alone
+  key(page, page.$("#bb-break"), "ArrowDown");
+  assert.equal(host.style.top, "62px");
+});
+
+test("with reduced motion the ended break is removed without the fade", async (t) => {
+  const { clock, send, page } = await setup();
+  t.after(() => page.close());
+  page.window.matchMedia = (query) => ({ matches: query === "(prefers-reduced-motion: reduce)" });
+  await send({ action: "startBreakGlobal", durationMs: 10 * 60 * 1000, trigger: "manual" });
+  await clock.advance(5000);
+  await send({ action: "endBreakGlobal" });
+  await clock.advance(2000);
+  assert.equal(page.$("#bb-break-banner"), null);
+});
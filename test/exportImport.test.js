@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkBundle = require("../exportImport.js");
+
+test("version 1 bundles migrate to per-day history", () => {
+  const v1 = {
+    format: "blink-export",
+    version: 1,
+    exportedAt: new Date(2026, 9, 19, 12).toISOString(),
+    theme: { mode: "dark" },
+    domainStats: { "github.com": { time: 60000, category: "productive" }, "empty.com": { time: 0 } }
+  };
+  const { bundle, errors } = BlinkBundle.parseBundle(JSON.stringify(v1), { theme: true });
+  assert.deepEqual(errors, []);
+  assert.equal(bundle.version, BlinkBundle.CURRENT_VERSION);
+  assert.deepEqual(bundle.settings, { theme: { mode: "dark" } });
+  const day = bundle.usageHistory["2026-10-19"];
+  assert.deepEqual(Object.keys(day.domains), ["github.com"]);
+  assert.equal(day.categories.productive, 60000);
+});
+
+test("invalid files are rejected with readable errors", () => {
+  assert.deepEqual(BlinkBundle.parseBundle("{", {}).errors, ["File is not valid JSON"]);
+  assert.deepEqual(BlinkBundle.parseBundle('{"format":"other"}', {}).errors, ["Not a Blink export file"]);
+  assert.deepEqual(BlinkBundle.parseBundle('{"format":"blink-export","version":9}', {}).errors, ["Unsupported bundle version: 9"]);
+  const bad = { format: "blink-export", version: 2, settings: { categoryMap: { a: "x" } }, usageHistory: { nope: {} } };
+  assert.deepEqual(BlinkBundle.parseBundle(JSON.stringify(bad), { categoryMap: true }).errors, [
+    'category "a" must be a list of strings',
+    'invalid history date "nope"',
+    "history day nope has no domains"
+  ]);
+});
+
+test("imported thresholds, idle, pomodoro and category meta get the save checks", () => {
+  const known = { thresholds: true, idle: true, pomodoro: true, categoryMeta: true };
+  const bad = {
+    format: "blink-export",
+    version: 2,
+    settings: {
+      thresholds: { breakHours: "2", inactivitySeconds: 5 },
+      idle: { detectionSeconds: 60, mediaActive: "yes" },
+      pomodoro: { workMinutes: 0 },
+      categoryMeta: { work: { type: "fun" } }
+    },
+    usageHistory: {}
+  };
+  assert.deepEqual(BlinkBundle.parseBundle(JSON.stringify(bad), known).errors, [
+    "categoryMeta: work: type must be one of productive, neutral, distracting",
+    "thresholds.inactivitySeconds must be a whole number from 10 to 3600",
+    "thresholds.breakHours must be a list of hours from 0.25 to 12",
+    "idle.mediaActive must be true or false",
+    "pomodoro.workMinutes must be a whole number from 1 to 180"
+  ]);
+
+  const good = { ...bad, settings: { thresholds: { breakHours: [3, "1.5"], getBackMinutes: "20", extra: 1 }, idle: { mediaActive: false } } };
+  const { bundle, errors } = BlinkBundle.parseBundle(JSON.stringify(good), known);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(bundle.settings.thresholds, { getBackMinutes: 20, breakHours: [1.5, 3] });
+  assert.deepEqual(bundle.settings.idle, { mediaActive: false });
+});
+
+test("CSV export quotes cells that need it", () => {
+  const csv = BlinkBundle.historyToCsv({
+    "2026-10-19": { domains: { "a.com": { time: 90000, category: 'say "hi", bye' } } }
+  });
+  assert.equal(csv, 'date,domain,category,minutes,ms\n2026-10-19,a.com,"say ""hi"", bye",1.5,90000\n');
+});
+
+test("merging categories keeps existing rules and meta", () => {
+  assert.deepEqual(
+    BlinkBundle.mergeCategoryMaps({ work: ["a.com"] }, { work: ["a.com", "b.com"], fun: ["c.com"] }),
+    { work: ["a.com", "b.com"], fun: ["c.com"] }
+  );
+  assert.deepEqual(
+    BlinkBundle.mergeCategoryMeta({ work: { priority: 3 } }, { work: { priority: 1 }, fun: { priority: 0 } }),
+    { work: { priority: 3 }, fun: { priority: 0 } }
+  );
+});
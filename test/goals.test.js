@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkGoals = require("../goals.js");
+const { text } = require("./helpers/load");
+const { setup, ask, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+const WEEKDAYS = { enabled: true, minutes: 60, days: [1, 2, 3, 4, 5] };
+
+test("targets apply on goal days only", () => {
+  const monday = new Date(2026, 9, 19, 10).getTime();
+  const sunday = new Date(2026, 9, 18, 10).getTime();
+  assert.equal(BlinkGoals.targetMsFor(WEEKDAYS, monday), 60 * MIN);
+  assert.equal(BlinkGoals.targetMsFor(WEEKDAYS, sunday), 0);
+  assert.equal(BlinkGoals.targetMsFor({ ...WEEKDAYS, enabled: false }, monday), 0);
+});
+
+test("streaks skip rest days and do not break on an unfinished today", () => {
+  const met = { productiveMs: 70 * MIN, targetMs: 60 * MIN, met: true };
+  const missed = { productiveMs: 10 * MIN, targetMs: 60 * MIN, met: false };
+  const history = {
+    "2026-10-12": met, // Mon
+    "2026-10-13": missed,
+    "2026-10-14": met,
+    "2026-10-15": met,
+    "2026-10-16": met // Fri; the weekend has no goal
+  };
+  const today = { date: "2026-10-19", productiveMs: 20 * MIN, targetMs: 60 * MIN };
+  assert.deepEqual(BlinkGoals.streaks(history, today, WEEKDAYS), { current: 3, best: 3 });
+  assert.deepEqual(BlinkGoals.streaks(history, { ...today, productiveMs: 60 * MIN }, WEEKDAYS), { current: 4, best: 4 });
+  // a goal day with no record at all breaks the streak
+  const gap = { ...history };
+  delete gap["2026-10-15"];
+  assert.deepEqual(BlinkGoals.streaks(gap, today, WEEKDAYS), { current: 1, best: 1 });
+});
+
+test("the recap says whether the goal was met", () => {
+  const recap = BlinkGoals.recapText({ productiveMs: 75 * MIN, targetMs: 60 * MIN, met: true }, { current: 3, best: 5 });
+  assert.equal(recap.title, "🎯 Daily goal met");
+  assert.equal(recap.message, "1h 15m of 1h productive today. 🔥 3-day streak.");
+  const missed = BlinkGoals.recapText({ productiveMs: 40 * MIN, targetMs: 60 * MIN, met: false }, { current: 2, best: 2 });
+  assert.equal(missed.title, "Daily goal not met");
+  assert.match(missed.message, /20m short\. Reach it before midnight to keep your 2-day streak\./);
+});
+
+test("the day closes into goalHistory at midnight and yesterday's recap follows", async () => {
+  const { clock, browser } = await setup({
+    start: new Date(2026, 9, 19, 23, 30).getTime(),
+    sync: { goals: { ...WEEKDAYS, minutes: 20 } }
+  });
+  browser.openTab("https://github.com/");
+  await clock.advance(40 * MIN);
+  const day = browser.storage.local.goalHistory["2026-10-19"];
+  assert.equal(day.met, true);
+  assert.equal(day.targetMs, 20 * MIN);
+  assert.ok(day.productiveMs >= 29 * MIN && day.productiveMs <= 30 * MIN, `got ${day.productiveMs}`);
+
+  const recap = browser.notifications.get("blink-goal-recap");
+  assert.equal(recap.title, "🎯 Daily goal met");
+  assert.match(recap.message, /productive yesterday\. 🔥 1-day streak/);
+  assert.equal(browser.storage.local.goalRecapShown, "2026-10-19");
+
+  const { goal } = await ask(browser, { action: "getGoalProgress" });
+  assert.equal(goal.streak, 1);
+  assert.ok(goal.productiveMs >= 10 * MIN);
+});
+
+test("the recap goes out at the recap time, once", async () => {
+  const { clock, browser } = await setup({
+    start: new Date(2026, 9, 19, 20, 30).getTime(),
+    sync: { goals: { ...WEEKDAYS, minutes: 15, recapTime: "21:00" }, reminderDelivery: "page" }
+  });
+  const tab = browser.openTab("https://github.com/");
+  await clock.advance(31 * MIN);
+  const recaps = browser.messagesTo(tab.id).filter(m => m.action === "goalRecap");
+  assert.equal(recaps.length, 1);
+  assert.equal(recaps[0].recap.title, "🎯 Daily goal met");
+  assert.equal(browser.notifications.has("blink-goal-recap"), false);
+  await clock.advance(10 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "goalRecap").length, 1);
+});
+
+test("the floating UI shows the goal ring and updates as productive time builds", async (t) => {
+  const { clock, browser } = await setup({
+    start: new Date(2026, 9, 19, 9).getTime(),
+    sync: { goals: { ...WEEKDAYS, minutes: 30 }, thresholds: { inactivitySeconds: 600 } }
+  });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  assert.equal(page.$("#bb-goal").hidden, false);
+  assert.equal(text(page.$("#bb-goal .bb-goal-text")), "0m / 30m");
+  assert.ok(page.$("#bb-goal svg.goal-ring"));
+
+  page.activity();
+  await clock.advance(5 * MIN);
+  assert.equal(text(page.$("#bb-goal .bb-goal-text")), "5m / 30m");
+});
@@ -0,0 +1,382 @@
+// test/helpers/chrome.js
+// In-memory fake of the chrome.* APIs Blink uses. One fake "browser" holds
+// the shared state (storage, tabs, windows, alarms, idle, DNR rules,
+// notifications, keyboard shortcuts) and hands out a `chrome` object per context: the service
+// worker, a content script in a tab, or an extension page. Messages are routed
+// between contexts the way Chrome does it:
+//   runtime.sendMessage  -> background + extension pages (never the sender)
+//   tabs.sendMessage     -> content scripts in that tab
+// Callbacks get chrome.runtime.lastError for a missing receiver or a listener
+// that did not answer; without a callback the call returns a promise.
+
+const NO_RECEIVER = "Could not establish connection. Receiving end does not exist.";
+const PORT_CLOSED = "The message port closed before a response was received.";
+const WINDOW_ID_NONE = -1;
+
+const clone = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => { listeners.push(fn); },
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i !== -1) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn),
+    dispatch: (...args) => Promise.all(listeners.slice().map(fn => fn(...args)))
+  };
+}
+
+// wrap an implementation so it takes an optional trailing callback (with
+// lastError on failure) or returns a promise
+function api(chromeObj, impl) {
+  return (...args) => {
+    const cb = typeof args[args.length - 1] === "function" ? args.pop() : null;
+    const result = Promise.resolve().then(() => impl(...args));
+    if (!cb) return result;
+    result.then(
+      (value) => cb(value),
+      (err) => {
+        chromeObj.runtime.lastError = { message: err.message };
+        try {
+          cb();
+        } finally {
+          chromeObj.runtime.lastError = undefined;
+        }
+      }
+    );
+    return undefined;
+  };
+}
+
+// deliver to runtime.onMessage listeners; resolves with the first response
+function deliver(listeners, message, sender) {
+  return new Promise((resolve, reject) => {
+    if (!listeners.length) return reject(new Error(NO_RECEIVER));
+    let answered = false;
+    let pending = false;
+    const sendResponse = (response) => {
+      if (answered) return;
+      answered = true;
+      resolve(clone(response));
+    };
+    for (const fn of listeners) {
+      if (fn(clone(message), sender, sendResponse) === true) pending = true;
+    }
+    if (!answered && !pending) reject(new Error(PORT_CLOSED));
+  });
+}
+
+// `commands`: the manifest's `commands` entries, e.g. { "start-break": { suggested_key: ... } }
+function createBrowser({ clock, local = {}, sync = {}, session = {}, managed = {}, commands = {} } = {}) {
+  const storage = { local: clone(local), sync: clone(sync), session: clone(session), managed: clone(managed) };
+  const contexts = []; // { kind, tabId, chrome }
+  const tabs = [];
+  const alarms = new Map(); // name -> { alarm, timer }
+  const dynamicRules = [];
+  const notifications = new Map();
+  const sentToTabs = []; // { tabId, message } for every tabs.sendMessage
+  let nextTabId = 1;
+  let focusedWindowId = 1;
+  let lastFocusedWindowId = 1;
+  let idleState = "active";
+
+  const eachChrome = (fn) => contexts.forEach(c => fn(c.chrome));
+  const background = () => contexts.find(c => c.kind === "background");
+  const fireBackground = (path, ...args) => {
+    const bg = background();
+    if (!bg) return Promise.resolve();
+    return path.split(".").reduce((o, k) => o[k], bg.chrome).dispatch(...args);
+  };
+
+  function storageArea(chromeObj, name) {
+    const area = storage[name];
+    const write = (changes) => {
+      if (!Object.keys(changes).length) return;
+      eachChrome(c => c.storage.onChanged.dispatch(clone(changes), name));
+    };
+    return {
+      get: api(chromeObj, (keys) => {
+        const out = {};
+        if (keys == null) Object.assign(out, area);
+        else if (typeof keys === "string") { if (keys in area) out[keys] = area[keys]; }
+        else if (Array.isArray(keys)) keys.forEach(k => { if (k in area) out[k] = area[k]; });
+        else for (const [k, dflt] of Object.entries(keys)) out[k] = k in area ? area[k] : dflt;
+        return clone(out);
+      }),
+      set: api(chromeObj, (items) => {
+        if (name === "managed") throw new Error("managed storage is read-only");
+        const changes = {};
+        for (const [k, v] of Object.entries(clone(items))) {
+          if (JSON.stringify(area[k]) === JSON.stringify(v)) continue;
+          changes[k] = { oldValue: area[k], newValue: v };
+          area[k] = v;
+        }
+        write(changes);
+      }),
+      remove: api(chromeObj, (keys) => {
+        const changes = {};
+        for (const k of [].concat(keys)) {
+          if (!(k in area)) continue;
+          changes[k] = { oldValue: area[k] };
+          delete area[k];
+        }
+        write(changes);
+      }),
+      clear: api(chromeObj, () => {
+        const changes = {};
+        for (const k of Object.keys(area)) {
+          changes[k] = { oldValue: area[k] };
+          delete area[k];
+        }
+        write(changes);
+      })
+    };
+  }
+
+  function queryTabs(q = {}) {
+    return tabs.filter(t =>
+      (q.active === undefined || t.active === q.active) &&
+      (q.windowId === undefined || t.windowId === q.windowId) &&
+      (!q.lastFocusedWindow || t.windowId === lastFocusedWindowId) &&
+      (!q.currentWindow || t.windowId === lastFocusedWindowId) &&
+      (q.url === undefined || t.url === q.url));
+  }
+
+  function findTab(tabId) {
+    const tab = tabs.find(t => t.id === tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  }
+
+  function scheduleAlarm(name, info) {
+    clearAlarm(name);
+    const delay = info.when != null
+      ? info.when - clock.now()
+      : (info.delayInMinutes != null ? info.delayInMinutes : info.periodInMinutes || 0) * 60000;
+    const alarm = { name, scheduledTime: clock.now() + Math.max(0, delay) };
+    if (info.periodInMinutes) alarm.periodInMinutes = info.periodInMinutes;
+    const fire = () => {
+      if (alarm.periodInMinutes) {
+        alarm.scheduledTime += alarm.periodInMinutes * 60000;
+        entry.timer = clock.setTimeout(fire, alarm.periodInMinutes * 60000);
+      } else {
+        alarms.delete(name);
+      }
+      fireBackground("alarms.onAlarm", { ...alarm });
+    };
+    const entry = { alarm, timer: clock.setTimeout(fire, Math.max(0, delay)) };
+    alarms.set(name, entry);
+  }
+
+  function clearAlarm(name) {
+    const entry = alarms.get(name);
+    if (!entry) return false;
+    clock.clearTimeout(entry.timer);
+    alarms.delete(name);
+    return true;
+  }
+
+  function createChrome(kind = "background", { tabId = null } = {}) {
+    const chromeObj = { runtime: { lastError: undefined } };
+    const self = { kind, tabId, chrome: chromeObj };
+    const senderFor = () => {
+      if (kind !== "content") return { id: "blink-test", url: `chrome-extension://blink-test/${kind}.html` };
+      const tab = tabs.find(t => t.id === tabId);
+      return { id: "blink-test", tab: clone(tab), url: tab && tab.url };
+    };
+
+    Object.assign(chromeObj.runtime, {
+      id: "blink-test",
+      getURL: (path) => `chrome-extension://blink-test/${String(path).replace(/^\//, "")}`,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onMessage: createEvent(),
+      openOptionsPage: api(chromeObj, () => browser.openTab(chromeObj.runtime.getURL("options.html"))),
+      sendMessage: api(chromeObj, (message) => {
+        const listeners = contexts
+          .filter(c => c !== self && c.kind !== "content")
+          .flatMap(c => c.chrome.runtime.onMessage.listeners);
+        return deliver(listeners, message, senderFor());
+      })
+    });
+
+    chromeObj.storage = { onChanged: createEvent() };
+    for (const name of Object.keys(storage)) chromeObj.storage[name] = storageArea(chromeObj, name);
+
+    chromeObj.tabs = {
+      onActivated: createEvent(),
+      onUpdated: createEvent(),
+      onRemoved: createEvent(),
+      query: api(chromeObj, (q) => clone(queryTabs(q))),
+      get: api(chromeObj, (id) => clone(findTab(id))),
+      create: api(chromeObj, ({ url, active = true }) => clone(browser.openTab(url, { active }))),
+      update: api(chromeObj, (id, props) => {
+        findTab(id);
+        if (props.url) browser.navigate(id, props.url);
+        if (props.active) browser.activateTab(id);
+        return clone(findTab(id));
+      }),
+      sendMessage: api(chromeObj, (id, message) => {
+        sentToTabs.push({ tabId: id, message: clone(message) });
+        const listeners = contexts
+          .filter(c => c.kind === "content" && c.tabId === id)
+          .flatMap(c => c.chrome.runtime.onMessage.listeners);
+        return deliver(listeners, message, { id: "blink-test" });
+      })
+    };
+
+    chromeObj.windows = {
+      WINDOW_ID_NONE,
+      onFocusChanged: createEvent(),
+      getLastFocused: api(chromeObj, () => ({ id: lastFocusedWindowId, focused: focusedWindowId !== WINDOW_ID_NONE }))
+    };
+
+    chromeObj.idle = {
+      onStateChanged: createEvent(),
+      detectionInterval: 60,
+      setDetectionInterval: (seconds) => { chromeObj.idle.detectionInterval = seconds; },
+      queryState: api(chromeObj, () => idleState)
+    };
+
+    chromeObj.alarms = {
+      onAlarm: createEvent(),
+      // async like clear(), so clear-then-create keeps Chrome's call order
+      create: api(chromeObj, (name, info) => {
+        if (typeof name !== "string") { info = name; name = ""; }
+        scheduleAlarm(name, info || {});
+      }),
+      get: api(chromeObj, (name) => {
+        const entry = alarms.get(name);
+        return entry ? { ...entry.alarm } : undefined;
+      }),
+      getAll: api(chromeObj, () => [...alarms.values()].map(e => ({ ...e.alarm }))),
+      clear: api(chromeObj, (name) => clearAlarm(name))
+    };
+
+    chromeObj.declarativeNetRequest = {
+      isRegexSupported: api(chromeObj, () => ({ isSupported: true })),
+      getDynamicRules: api(chromeObj, () => clone(dynamicRules)),
+      updateDynamicRules: api(chromeObj, ({ removeRuleIds = [], addRules = [] }) => {
+        for (const id of removeRuleIds) {
+          const i = dynamicRules.findIndex(r => r.id === id);
+          if (i !== -1) dynamicRules.splice(i, 1);
+        }
+        for (const rule of addRules) {
+          if (dynamicRules.some(r => r.id === rule.id)) throw new Error(`Rule with id ${rule.id} already exists.`);
+          dynamicRules.push(clone(rule));
+        }
+      })
+    };
+
+    chromeObj.notifications = {
+      onClicked: createEvent(),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent(),
+      create: api(chromeObj, (id, options) => {
+        notifications.set(id, clone(options));
+        return id;
+      }),
+      clear: api(chromeObj, (id) => notifications.delete(id))
+    };
+
+    chromeObj.commands = {
+      onCommand: createEvent(),
+      getAll: api(chromeObj, () => Object.entries(commands).map(([name, c]) => ({
+        name,
+        description: c.description || "",
+        shortcut: (c.suggested_key && c.suggested_key.default) || ""
+      })))
+    };
+
+    contexts.push(self);
+    return chromeObj;
+  }
+
+  const browser = {
+    clock,
+    storage,
+    tabs,
+    alarms,
+    dynamicRules,
+    notifications,
+    sentToTabs,
+    createChrome,
+
+    // drop a context (worker stopped, page unloaded)
+    removeChrome(chromeObj) {
+      const i = contexts.findIndex(c => c.chrome === chromeObj);
+      if (i !== -1) contexts.splice(i, 1);
+    },
+
+    // open a tab, make it active in its window and tell the background
+    openTab(url, { active = true, windowId = 1 } = {}) {
+      const tab = { id: nextTabId++, url, title: url, active: false, windowId, status: "complete" };
+      tabs.push(tab);
+      if (active) browser.activateTab(tab.id);
+      fireBackground("tabs.onUpdated", tab.id, { status: "complete", url }, clone(tab));
+      return tab;
+    },
+
+    activateTab(tabId) {
+      const tab = findTab(tabId);
+      tabs.filter(t => t.windowId === tab.windowId).forEach(t => { t.active = t === tab; });
+      return fireBackground("tabs.onActivated", { tabId, windowId: tab.windowId });
+    },
+
+    navigate(tabId, url) {
+      const tab = findTab(tabId);
+      tab.url = url;
+      tab.title = url;
+      return fireBackground("tabs.onUpdated", tabId, { status: "complete", url }, clone(tab));
+    },
+
+    closeTab(tabId) {
+      const i = tabs.findIndex(t => t.id === tabId);
+      if (i === -1) return Promise.resolve();
+      const [tab] = tabs.splice(i, 1);
+      contexts.filter(c => c.kind === "content" && c.tabId === tabId).forEach(c => browser.removeChrome(c.chrome));
+      return fireBackground("tabs.onRemoved", tabId, { windowId: tab.windowId, isWindowClosing: false });
+    },
+
+    // focus a window, or WINDOW_ID_NONE when Chrome loses focus
+    focusWindow(windowId) {
+      focusedWindowId = windowId;
+      if (windowId !== WINDOW_ID_NONE) lastFocusedWindowId = windowId;
+      return fireBackground("windows.onFocusChanged", windowId);
+    },
+
+    setIdleState(state) {
+      idleState = state;
+      return fireBackground("idle.onStateChanged", state);
+    },
+
+    // an administrator changes the managed policy (read-only to the extension)
+    setManagedPolicy(items) {
+      const changes = {};
+      for (const k of new Set(Object.keys(storage.managed).concat(Object.keys(items)))) {
+        changes[k] = { oldValue: storage.managed[k], newValue: items[k] };
+        if (k in items) storage.managed[k] = clone(items[k]);
+        else delete storage.managed[k];
+      }
+      eachChrome(c => c.storage.onChanged.dispatch(clone(changes), "managed"));
+    },
+
+    // press a keyboard shortcut bound to `command`
+    pressShortcut(command) {
+      return fireBackground("commands.onCommand", command);
+    },
+
+    // messages the background sent to one tab
+    messagesTo(tabId) {
+      return sentToTabs.filter(m => m.tabId === tabId).map(m => m.message);
+    },
+
+    fireBackground
+  };
+  return browser;
+}
+
+module.exports = { createBrowser, createEvent, WINDOW_ID_NONE };
@@ -0,0 +1,89 @@
+// test/helpers/clock.js
+// Fake timers and Date for the contexts the extension scripts run in. The
+// clock only moves when a test calls advance(), which fires due timers in
+// order and lets pending promises settle between them.
+
+// let queued promise callbacks (fake chrome APIs, async handlers) run
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+async function settle(rounds = 5) {
+  for (let i = 0; i < rounds; i++) await flush();
+}
+
+function createClock(start = new Date(2026, 9, 19, 9, 0, 0).getTime()) {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  class FakeDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(now);
+      else super(...args);
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  function schedule(fn, delay, args, repeat) {
+    const id = nextId++;
+    const ms = Math.max(0, Number(delay) || 0);
+    timers.set(id, { id, fn, args, at: now + ms, every: repeat ? Math.max(1, ms) : 0 });
+    return id;
+  }
+
+  function dueTimer(until) {
+    let due = null;
+    for (const t of timers.values()) {
+      if (t.at > until) continue;
+      if (!due || t.at < due.at || (t.at === due.at && t.id < due.id)) due = t;
+    }
+    return due;
+  }
+
+  // move the clock forward by `ms`, running every timer that comes due
+  async function advance(ms) {
+    const end = now + ms;
+    await settle();
+    for (;;) {
+      const t = dueTimer(end);
+      if (!t) break;
+      now = t.at;
+      if (t.every) t.at += t.every;
+      else timers.delete(t.id);
+      t.fn(...(t.args || []));
+      await settle();
+    }
+    now = end;
+    await settle();
+  }
+
+  return {
+    Date: FakeDate,
+    now: () => now,
+    advance,
+    setTimeout: (fn, delay, ...args) => schedule(fn, delay, args, false),
+    setInterval: (fn, delay, ...args) => schedule(fn, delay, args, true),
+    clearTimeout: (id) => timers.delete(id),
+    clearInterval: (id) => timers.delete(id),
+    pending: () => timers.size,
+    // install the fake timers and Date on a global object (vm context or
+    // window); the returned function cancels that global's timers
+    install(target) {
+      const own = new Set();
+      const track = (id) => { own.add(id); return id; };
+      const cancel = (id) => { own.delete(id); timers.delete(id); };
+      target.Date = FakeDate;
+      target.setTimeout = (fn, delay, ...args) => track(schedule(fn, delay, args, false));
+      target.setInterval = (fn, delay, ...args) => track(schedule(fn, delay, args, true));
+      target.clearTimeout = cancel;
+      target.clearInterval = cancel;
+      return () => own.forEach(cancel);
+    }
+  };
+}
+
+module.exports = { createClock, flush, settle };
@@ -0,0 +1,57 @@
+// test/helpers/fixtures.js
+// The starting point of the integration tests: a fake browser on a fake
+// clock with the background running, and the ways the popup, the options
+// page and the content scripts talk to it.
+
+const { createClock } = require("./clock");
+const { createBrowser } = require("./chrome");
+const { loadBackground, loadContent } = require("./load");
+
+// `start` sets the clock (ms); everything else goes to createBrowser
+// (storage areas, manifest commands). `send` messages the background from
+// an extension page.
+async function setup({ start, ...browserOptions } = {}) {
+  const clock = createClock(start);
+  const browser = createBrowser({ clock, ...browserOptions });
+  const bg = await loadBackground(browser);
+  return { clock, browser, bg, send: (message) => ask(browser, message) };
+}
+
+// send a message from an extension page (popup, options) to the background
+function ask(browser, message) {
+  const page = browser.createChrome("page");
+  return page.runtime.sendMessage(message).finally(() => browser.removeChrome(page));
+}
+
+// send a message from an extension page to a tab's content scripts (what the
+// popup's toggles do); a tab without a receiver is fine
+function sendToTab(browser, tabId, message) {
+  const page = browser.createChrome("page");
+  return page.tabs.sendMessage(tabId, message).catch(() => {}).finally(() => browser.removeChrome(page));
+}
+
+// load a page in a background tab, then switch to it (the content script is
+// in place before the background announces the category); `options` go to
+// loadContent
+async function openPage(browser, url, options) {
+  const tab = browser.openTab(url, { active: false });
+  const page = await loadContent(browser, tab, options);
+  await browser.activateTab(tab.id);
+  await browser.clock.advance(0);
+  return page;
+}
+
+function dateKey(ts) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// ms credited today per domain
+function todayTimes(browser) {
+  const day = (browser.storage.local.usageHistory || {})[dateKey(browser.clock.now())];
+  const out = {};
+  for (const [domain, entry] of Object.entries((day && day.domains) || {})) out[domain] = entry.time;
+  return out;
+}
+
+module.exports = { setup, ask, sendToTab, openPage, dateKey, todayTimes };
@@ -0,0 +1,99 @@
+// test/helpers/load.js
+// Load the extension's classic scripts the way Chrome does: background.js
+// into its own global scope (with importScripts), content scripts into a
+// jsdom page in manifest order. Both get the fake chrome from chrome.js and
+// the fake clock from clock.js.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM, VirtualConsole } = require("jsdom");
+const { settle } = require("./clock");
+
+const ROOT = path.join(__dirname, "..", "..");
+const read = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+const manifest = JSON.parse(read("manifest.json"));
+
+// the scripts log a lot; keep warnings and errors only
+const quietConsole = { ...console, log() {}, info() {}, debug() {} };
+
+// Start a service worker. Top-level bindings (functions, let/const) can be
+// read with `get("name")`, the same way another script in the worker would
+// see them.
+async function loadBackground(browser) {
+  const chrome = browser.createChrome("background");
+  const context = {
+    chrome,
+    console: quietConsole,
+    URL,
+    URLSearchParams,
+    structuredClone,
+    // real network, e.g. the report sink against a local test server
+    fetch,
+    AbortSignal,
+    importScripts: (...files) => files.forEach(f => vm.runInContext(read(f), context, { filename: f }))
+  };
+  context.self = context;
+  const dispose = browser.clock.install(context);
+  vm.createContext(context);
+  vm.runInContext(read(manifest.background.service_worker), context, { filename: manifest.background.service_worker });
+  await settle();
+  return {
+    chrome,
+    context,
+    get: (expr) => vm.runInContext(expr, context),
+    // Chrome stops idle workers; module state is lost, storage is kept
+    stop() {
+      dispose();
+      browser.removeChrome(chrome);
+    }
+  };
+}
+
+// Inject the content scripts into a page for `tab`. The floating UI lives in
+// the shadow root of #break-buddy-floating.
+async function loadContent(browser, tab, { html = "<!doctype html><html><head></head><body><main>page</main></body></html>" } = {}) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("error", (...args) => console.error(...args));
+  virtualConsole.on("jsdomError", (err) => console.error(err));
+  const dom = new JSDOM(html, { url: tab.url, runScripts: "outside-only", pretendToBeVisual: true, virtualConsole });
+  const { window } = dom;
+  const chrome = browser.createChrome("content", { tabId: tab.id });
+  window.chrome = chrome;
+  window.alert = () => {};
+  window.open = () => null;
+  const dispose = browser.clock.install(window);
+  const files = manifest.content_scripts[0].js;
+  for (const file of files) window.eval(read(file));
+  await settle();
+  const host = () => window.document.getElementById("break-buddy-floating");
+  return {
+    tab,
+    chrome,
+    window,
+    document: window.document,
+    host,
+    shadow: () => host() && host().shadowRoot,
+    $: (sel) => host().shadowRoot.querySelector(sel),
+    // dispatch a user event on the page (activity detection)
+    activity: (type = "mousemove") => window.dispatchEvent(new window.Event(type)),
+    setHidden(hidden) {
+      Object.defineProperty(window.document, "hidden", { value: hidden, configurable: true });
+      Object.defineProperty(window.document, "visibilityState", { value: hidden ? "hidden" : "visible", configurable: true });
+      window.document.dispatchEvent(new window.Event("visibilitychange"));
+    },
+    close() {
+      dispose();
+      browser.removeChrome(chrome);
+      window.close();
+    }
+  };
+}
+
+// text as the scripts set it (jsdom has no layout, so no real innerText)
+function text(el) {
+  if (!el) return null;
+  return typeof el.innerText === "string" ? el.innerText : el.textContent;
+}
+
+module.exports = { ROOT, loadBackground, loadContent, text };
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { text } = require("./helpers/load");
+const { setup, openPage, dateKey, todayTimes } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+const LECTURE = "https://www.youtube.com/watch?v=lecture";
+const PAGE_WITH_VIDEO = "<!doctype html><html><head></head><body><video src=\"lecture.mp4\"></video></body></html>";
+
+function today(browser) {
+  return (browser.storage.local.usageHistory || {})[dateKey(browser.clock.now())] || { domains: {}, categories: {} };
+}
+
+function timeOn(browser, domain) {
+  return todayTimes(browser)[domain] || 0;
+}
+
+// jsdom does not play media; make the page's <video> look like it does
+function play(page, { muted = false } = {}) {
+  const video = page.document.querySelector("video");
+  Object.defineProperty(video, "paused", { value: false, configurable: true });
+  Object.defineProperty(video, "muted", { value: muted, configurable: true });
+}
+
+test("audible media keeps counting through idle, but not a locked screen", async (t) => {
+  const { clock, browser } = await setup();
+  const page = await openPage(browser, LECTURE, { html: PAGE_WITH_VIDEO });
+  t.after(() => page.close());
+  play(page);
+  await clock.advance(2 * MIN);
+  await browser.setIdleState("idle");
+  await clock.advance(10 * MIN);
+  assert.ok(timeOn(browser, "www.youtube.com") >= 11.5 * MIN, `got ${timeOn(browser, "www.youtube.com")}`);
+
+  await browser.setIdleState("locked");
+  const locked = timeOn(browser, "www.youtube.com");
+  await clock.advance(5 * MIN);
+  assert.equal(timeOn(browser, "www.youtube.com"), locked);
+});
+
+test("muted media, or media with the setting off, does not count as activity", async (t) => {
+  const { clock, browser } = await setup({ sync: { idle: { mediaActive: false, awayPromptMinutes: 0 } } });
+  const page = await openPage(browser, LECTURE, { html: PAGE_WITH_VIDEO });
+  t.after(() => page.close());
+  play(page);
+  page.activity();
+  await browser.setIdleState("idle");
+  await clock.advance(10 * MIN);
+  // only the inactivity window after the last input counts
+  assert.ok(timeOn(browser, "www.youtube.com") <= MIN, `got ${timeOn(browser, "www.youtube.com")}`);
+
+  // the setting changes while the page is open
+  await page.chrome.storage.sync.set({ idle: { mediaActive: true, awayPromptMinutes: 0 } });
+  play(page, { muted: true });
+  const before = timeOn(browser, "www.youtube.com");
+  await clock.advance(10 * MIN);
+  assert.equal(timeOn(browser, "www.youtube.com"), before);
+});
+
+test("coming back from a long absence asks about it and records a meeting", async (t) => {
+  const { clock, browser } = await setup();
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  page.activity();
+  await browser.setIdleState("idle");
+  await clock.advance(25 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(0);
+
+  // chrome.idle said "idle" a minute (the detection interval) after the last input
+  assert.match(text(page.$("#bb-away-title")), /You were away 26 min/);
+  assert.equal(page.$("#bb-away").getAttribute("role"), "dialog");
+  assert.equal(browser.notifications.get("blink-away").title, "You were away 26 min");
+
+  page.$('#bb-away button[data-answer="meeting"]').click();
+  await clock.advance(0);
+  assert.equal(page.$("#bb-away"), null);
+  assert.equal(browser.notifications.has("blink-away"), false);
+  assert.equal(timeOn(browser, "(meeting)"), 26 * MIN);
+  assert.equal(today(browser).categories.meeting, 26 * MIN);
+  const [entry] = browser.storage.local.awayLog;
+  assert.equal(entry.answer, "meeting");
+  assert.equal(entry.ms, 26 * MIN);
+  assert.equal(browser.storage.local.awayPending, undefined);
+});
+
+test("the native prompt's buttons and close record break and discard; short absences are not asked about", async () => {
+  const { clock, browser, bg } = await setup({ sync: { idle: { mediaActive: true, awayPromptMinutes: 20 } } });
+  browser.openTab("https://github.com/");
+  await clock.advance(5 * MIN);
+  assert.ok(bg.get("productiveSessionStart"));
+
+  await browser.setIdleState("locked");
+  await clock.advance(10 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(0);
+  assert.equal(browser.storage.local.awayPending, undefined);
+
+  await browser.setIdleState("locked");
+  await clock.advance(30 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(0);
+  assert.equal(browser.storage.local.awayPending.ms, 30 * MIN);
+  await browser.fireBackground("notifications.onButtonClicked", "blink-away", 0);
+  assert.equal(browser.storage.local.awayLog.at(-1).answer, "break");
+  const [entry] = browser.storage.local.breakLog;
+  assert.equal(entry.trigger, "away");
+  assert.equal(entry.type, null);
+  assert.equal(entry.startedAt, browser.storage.local.awayLog.at(-1).start);
+  assert.equal(entry.actualMs, 30 * MIN);
+  assert.equal(entry.endedEarly, false);
+  assert.equal(bg.get("productiveSessionStart"), null);
+  assert.equal(timeOn(browser, "(meeting)"), 0);
+
+  await browser.setIdleState("idle");
+  await clock.advance(40 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(0);
+  await browser.fireBackground("notifications.onClosed", "blink-away", true);
+  assert.equal(browser.storage.local.awayLog.at(-1).answer, "discard");
+  assert.equal(browser.storage.local.awayPending, undefined);
+});
+
+test("the idle detection interval is its own setting, not the page inactivity threshold", async () => {
+  const { clock, browser, bg } = await setup({ sync: { thresholds: { inactivitySeconds: 300 }, idle: { detectionSeconds: 120, awayPromptMinutes: 20 } } });
+  assert.equal(bg.chrome.idle.detectionInterval, 120);
+
+  // the away stretch starts one detection interval before chrome.idle says "idle"
+  browser.openTab("https://github.com/");
+  await browser.setIdleState("idle");
+  await clock.advance(30 * MIN);
+  await browser.setIdleState("active");
+  await clock.advance(0);
+  assert.equal(browser.storage.local.awayPending.ms, 32 * MIN);
+
+  // below Chrome's minimum of 15 s
+  await browser.createChrome("page").storage.sync.set({ idle: { detectionSeconds: 5 } });
+  await clock.advance(0);
+  assert.equal(bg.chrome.idle.detectionInterval, 15);
+});
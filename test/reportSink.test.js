@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const BlinkReports = require("../reportSink.js");
+const { loadBackground } = require("./helpers/load");
+const { setup, ask } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+
+// stand-in for the user's reporting server on a free local port
+function startSink(t) {
+  const requests = [];
+  let status = 200;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ method: req.method, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({
+    url: `http://127.0.0.1:${server.address().port}/blink`,
+    requests,
+    setStatus(s) { status = s; }
+  })));
+}
+
+test("sink URLs, day reports, the queue and the backoff", () => {
+  assert.equal(BlinkReports.validateSinkUrl("http://localhost:8080/in"), null);
+  assert.equal(BlinkReports.validateSinkUrl("https://time.example.com/blink"), null);
+  assert.match(BlinkReports.validateSinkUrl("http://time.example.com/blink"), /https/);
+  assert.match(BlinkReports.validateSinkUrl("localhost:8080"), /valid URL|https/);
+
+  const day = {
+    domains: { "github.com": { time: 20 * MIN, category: "productive", lastActive: 1, hours: [] }, "a.com": { time: 0 } },
+    categories: { productive: 20 * MIN }
+  };
+  assert.deepEqual(BlinkReports.buildDayReport("2026-10-18", day), {
+    date: "2026-10-18",
+    final: true,
+    totalMs: 20 * MIN,
+    categoryTotals: { productive: 20 * MIN },
+    domainStats: { "github.com": { time: 20 * MIN, category: "productive" } }
+  });
+
+  const queue = BlinkReports.enqueueReports([{ date: "2026-10-18", totalMs: 1 }], [{ date: "2026-10-17" }, { date: "2026-10-18", totalMs: 2 }]);
+  assert.deepEqual(queue.map(r => r.date), ["2026-10-17", "2026-10-18"]);
+  assert.equal(queue[1].totalMs, 2);
+  const many = Array.from({ length: 40 }, (_, i) => ({ date: `2026-09-${String(i + 1).padStart(2, "0")}` }));
+  assert.equal(BlinkReports.enqueueReports([], many).length, BlinkReports.QUEUE_MAX_DAYS);
+
+  assert.deepEqual([1, 2, 3, 20].map(BlinkReports.retryDelayMs), [MIN, 2 * MIN, 4 * MIN, 6 * 60 * MIN]);
+});
+
+test("a closed day is posted with the bearer token after midnight", async (t) => {
+  const sink = await startSink(t);
+  const { clock, browser, bg } = await setup({
+    start: new Date(2026, 9, 19, 23, 30).getTime(),
+    sync: { reportSink: { enabled: true, url: sink.url }, thresholds: { inactivitySeconds: 3600 } },
+    local: { reportSinkToken: "s3cret" }
+  });
+  browser.openTab("https://github.com/");
+  await clock.advance(40 * MIN);
+  await bg.get("reportFlight");
+
+  assert.equal(sink.requests.length, 1);
+  const [{ method, headers, body }] = sink.requests;
+  assert.equal(method, "POST");
+  assert.equal(headers.authorization, "Bearer s3cret");
+  assert.equal(headers["content-type"], "application/json");
+  assert.equal(body.format, "blink-report");
+  assert.equal(body.version, 1);
+  assert.deepEqual(body.reports.map(r => [r.date, r.final]), [["2026-10-19", true]]);
+  assert.equal(body.reports[0].domainStats["github.com"].category, "productive");
+  assert.equal(body.reports[0].domainStats["github.com"].time, 30 * MIN);
+  assert.deepEqual(browser.storage.local.reportQueue, []);
+
+  // "Send now" adds today so far
+  const resp = await ask(browser, { action: "sendReportNow" });
+  assert.deepEqual(resp, { ok: true, sent: 1 });
+  assert.deepEqual(sink.requests[1].body.reports.map(r => [r.date, r.final]), [["2026-10-20", false]]);
+  const { queued, state } = await ask(browser, { action: "getReportSinkState" });
+  assert.equal(queued, 0);
+  assert.equal(state.lastError, null);
+});
+
+test("failed posts back off, survive a worker restart and are retried", async (t) => {
+  const sink = await startSink(t);
+  sink.setStatus(503);
+  const start = new Date(2026, 9, 19, 9).getTime();
+  const { clock, browser, bg } = await setup({
+    start,
+    sync: { reportSink: { enabled: true, url: sink.url } },
+    local: {
+      reportSinkState: { queuedThrough: "2026-10-17" },
+      usageHistory: { "2026-10-18": { domains: { "github.com": { time: 5 * MIN, category: "productive" } }, categories: { productive: 5 * MIN } } }
+    }
+  });
+  assert.deepEqual({ ...(await bg.get("flushReports()")) }, { ok: false, error: "HTTP 503" });
+  assert.equal(browser.storage.local.reportSinkState.attempts, 1);
+  assert.equal(browser.alarms.get("blink-report-retry").alarm.scheduledTime, start + MIN);
+  assert.equal(browser.storage.local.reportQueue.length, 1);
+
+  await clock.advance(MIN);
+  await bg.get("reportFlight");
+  assert.equal(sink.requests.length, 2);
+  assert.equal(browser.storage.local.reportSinkState.attempts, 2);
+  assert.equal(browser.storage.local.reportSinkState.nextAttemptAt, start + 3 * MIN);
+
+  bg.stop();
+  sink.setStatus(204);
+  const bg2 = await loadBackground(browser);
+  await clock.advance(2 * MIN);
+  await bg2.get("reportFlight");
+  assert.equal(sink.requests.length, 3);
+  assert.deepEqual(sink.requests[2].body.reports.map(r => r.date), ["2026-10-18"]);
+  assert.deepEqual(browser.storage.local.reportQueue, []);
+  assert.equal(browser.storage.local.reportSinkState.attempts, 0);
+  assert.equal(browser.alarms.has("blink-report-retry"), false);
+});
+
+test("nothing is sent while the sink is off", async () => {
+  const { browser } = await setup({ sync: { reportSink: { enabled: true, url: "http://example.com/in" } } });
+  assert.deepEqual(await ask(browser, { action: "sendReportNow" }), { ok: false, error: "Report sink is off" });
+});
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkSites = require("../siteControls.js");
+const { loadBackground } = require("./helpers/load");
+const { setup, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+
+// the popup: storage writes and background messages
+async function fromPopup(browser, fn) {
+  const popup = browser.createChrome("page");
+  try {
+    return await fn(popup);
+  } finally {
+    browser.removeChrome(popup);
+  }
+}
+
+function todayTime(browser, domain) {
+  const history = browser.storage.local.usageHistory || {};
+  const day = history[Object.keys(history).sort().pop()];
+  const entry = day && day.domains[domain];
+  return entry ? entry.time : 0;
+}
+
+test("domains are normalized and cover their subdomains", () => {
+  assert.equal(BlinkSites.normalizeDomain("https://www.Example.com/path?q=1"), "example.com");
+  assert.equal(BlinkSites.normalizeDomain(" mail.example.com:8080 "), "mail.example.com");
+  assert.equal(BlinkSites.normalizeDomain("not a domain"), "");
+  assert.ok(BlinkSites.domainListed(["example.com"], "docs.example.com"));
+  assert.ok(!BlinkSites.domainListed(["example.com"], "notexample.com"));
+  assert.deepEqual(BlinkSites.toggleDomain(["example.com"], "www.example.com", true), ["example.com"]);
+  // turning a subdomain off removes the parent entry that covers it
+  assert.deepEqual(BlinkSites.toggleDomain(["example.com", "a.org"], "docs.example.com", false), ["a.org"]);
+  assert.deepEqual(BlinkSites.parseDomainList("a.com\n\nwww.a.com\nb c"), { domains: ["a.com"], invalid: ["b c"] });
+});
+
+test("pausing until tomorrow ends at the next local midnight", () => {
+  const now = new Date(2026, 9, 19, 15, 30).getTime();
+  assert.equal(BlinkSites.pauseEnd("tomorrow", now), new Date(2026, 9, 20).getTime());
+  assert.equal(BlinkSites.pauseEnd(30, now), now + 30 * MIN);
+  const settings = { pausedUntil: now + MIN };
+  assert.ok(!BlinkSites.trackingAllowed(settings, "github.com", now));
+  assert.ok(BlinkSites.trackingAllowed(settings, "github.com", now + MIN));
+});
+
+test("an untracked domain records no time and gets no budget status", async () => {
+  const { clock, browser } = await setup({
+    sync: { untrackedDomains: ["reddit.com"], budgets: { limits: [{ kind: "domain", target: "reddit.com", minutes: 5 }] } }
+  });
+  const tab = browser.openTab("https://www.reddit.com/");
+  await clock.advance(10 * MIN);
+  assert.equal(todayTime(browser, "www.reddit.com"), 0);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "budgetStatus").length, 0);
+
+  // taking it off the list (popup) starts tracking the open tab
+  await fromPopup(browser, (popup) => popup.storage.sync.set({ untrackedDomains: [] }));
+  await clock.advance(2 * MIN);
+  assert.equal(todayTime(browser, "www.reddit.com"), 2 * MIN);
+});
+
+test("a pause stops tracking and reminders until it ends", async () => {
+  const { clock, browser, bg } = await setup({ sync: { thresholds: { getBackMinutes: 10 } } });
+  const tab = browser.openTab("https://www.reddit.com/");
+  await clock.advance(8 * MIN);
+  const resp = await fromPopup(browser, (popup) => popup.runtime.sendMessage({ action: "pauseBlink", minutes: 30 }));
+  assert.equal(resp.pausedUntil, clock.now() + 30 * MIN);
+  assert.equal(bg.get("distractingStart"), null);
+
+  await clock.advance(29 * MIN);
+  assert.equal(todayTime(browser, "www.reddit.com"), 8 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "getBackToWork").length, 0);
+
+  // the end alarm resumes tracking; the streak starts over
+  await clock.advance(2 * MIN);
+  assert.equal(browser.storage.local.pausedUntil, 0);
+  assert.ok(todayTime(browser, "www.reddit.com") > 8 * MIN);
+  assert.equal(browser.messagesTo(tab.id).filter(m => m.action === "getBackToWork").length, 0);
+  const state = await fromPopup(browser, (popup) => popup.runtime.sendMessage({ action: "getPauseState" }));
+  assert.equal(state.pausedUntil, 0);
+});
+
+test("a worker that wakes after the pause ended resumes tracking", async () => {
+  const { clock, browser, bg } = await setup();
+  browser.openTab("https://github.com/");
+  await fromPopup(browser, (popup) => popup.runtime.sendMessage({ action: "pauseBlink", minutes: 30 }));
+  bg.stop();
+  await clock.advance(40 * MIN);
+  const bg2 = await loadBackground(browser);
+  assert.equal(bg2.get("tracker").paused, false);
+  await clock.advance(MIN);
+  assert.equal(todayTime(browser, "github.com"), MIN);
+});
+
+test("page-only reminders fall back to a notification when the timer is turned off", async () => {
+  const { clock, browser } = await setup({
+    sync: { thresholds: { getBackMinutes: 10 }, reminderDelivery: "page", floatingEnabled: false }
+  });
+  browser.openTab("https://www.reddit.com/");
+  await clock.advance(11 * MIN);
+  assert.ok(browser.notifications.has("blink-getback-reminder"));
+});
+
+test("the toggle mounts and unmounts the floating UI in every tab", async (t) => {
+  const { browser } = await setup({ sync: { floatingEnabled: false } });
+  const first = await openPage(browser, "https://github.com/");
+  const second = await openPage(browser, "https://docs.google.com/document/d/1");
+  t.after(() => { first.close(); second.close(); });
+  assert.equal(first.host(), null);
+  assert.equal(second.host(), null);
+
+  await fromPopup(browser, (popup) => popup.storage.sync.set({ floatingEnabled: true }));
+  assert.ok(first.host());
+  assert.ok(second.host());
+  await fromPopup(browser, (popup) => popup.storage.sync.set({ floatingEnabled: false }));
+  assert.equal(first.host(), null);
+  assert.equal(second.host(), null);
+});
+
+test("a hidden site keeps tracking; an untracked site stops reporting activity", async (t) => {
+  const { clock, browser, bg } = await setup({ sync: { hiddenDomains: ["github.com"] } });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  assert.equal(page.host(), null);
+  page.activity();
+  await clock.advance(1000);
+  const pinged = bg.get("tracker").lastPing;
+  assert.ok(pinged > 0);
+
+  await fromPopup(browser, (popup) => popup.storage.sync.set({ untrackedDomains: ["github.com"] }));
+  await clock.advance(20 * 1000);
+  page.activity();
+  await clock.advance(1000);
+  assert.equal(bg.get("tracker").untracked, true);
+  assert.equal(bg.get("tracker").lastPing, 0);
+});
+
+test("pausing hides the floating UI and resuming brings it back", async (t) => {
+  const { browser } = await setup();
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+  assert.ok(page.host());
+  await fromPopup(browser, (popup) => popup.runtime.sendMessage({ action: "pauseBlink", until: "tomorrow" }));
+  assert.equal(page.host(), null);
+  await fromPopup(browser, (popup) => popup.runtime.sendMessage({ action: "resumeBlink" }));
+  assert.ok(page.host());
+});
@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const BlinkTeam = require("../teamPolicy.js");
+const { loadContent, text } = require("./helpers/load");
+const { setup, ask, openPage } = require("./helpers/fixtures");
+
+const MIN = 60 * 1000;
+const DEFAULT_MAP = {
+  social: ["youtube.com", "reddit.com"],
+  productive: ["github.com"]
+};
+const TEAM_FILE = {
+  format: "blink-team",
+  version: 1,
+  teamName: "Platform",
+  categoryMap: { chat: ["slack.com"], learning: ["youtube.com/playlist?list=PLteam"] },
+  categoryMeta: { chat: { type: "distracting", icon: "💬" }, learning: { type: "productive", priority: 5 } },
+  thresholds: { getBackMinutes: 5 }
+};
+
+test("the user's rules beat the team's, which beat the defaults", () => {
+  const team = { work: ["reddit.com/r/programming"], video: ["youtube.com"] };
+  const stored = { ...DEFAULT_MAP, music: ["youtube.com/music"] };
+  const layers = BlinkTeam.categoryLayers(stored, team, DEFAULT_MAP);
+  const resolve = (url) => BlinkTeam.resolveLayered(url, layers, {});
+
+  assert.deepEqual(layers.map(l => l.tier), ["user", "team", "default"]);
+  assert.deepEqual(layers[0].map, { music: ["youtube.com/music"] });
+  assert.equal(resolve("https://www.youtube.com/music/x").tier, "user");
+  assert.equal(resolve("https://www.youtube.com/watch?v=1").category, "video");
+  assert.equal(resolve("https://www.reddit.com/r/programming/").category, "work");
+  assert.deepEqual(resolve("https://www.reddit.com/r/cats/"), { category: "social", rule: resolve("https://reddit.com").rule, priority: 0, tier: "default" });
+  assert.equal(resolve("https://example.com").category, "other");
+  // a default rule the user deleted is gone; never saving keeps all defaults
+  const trimmed = BlinkTeam.categoryLayers({ social: ["youtube.com"], productive: ["github.com"] }, {}, DEFAULT_MAP);
+  assert.equal(BlinkTeam.resolveLayered("https://reddit.com", trimmed, {}).category, "other");
+  assert.deepEqual(BlinkTeam.categoryLayers(null, {}, DEFAULT_MAP)[2].map, DEFAULT_MAP);
+});
+
+test("team files are checked before they are accepted", () => {
+  assert.deepEqual(BlinkTeam.parseTeamFile("{"), { policy: null, errors: ["File is not valid JSON"] });
+  assert.deepEqual(BlinkTeam.parseTeamFile('{"format":"blink-bundle"}').errors, ["Not a Blink team file"]);
+  assert.match(BlinkTeam.parseTeamFile(JSON.stringify({ ...TEAM_FILE, version: 9 })).errors[0], /version: 9/);
+  const bad = BlinkTeam.parseTeamFile(JSON.stringify({
+    ...TEAM_FILE,
+    categoryMap: { chat: ["slack.com", "/(unclosed/"] },
+    thresholds: { getBackMinutes: 0 }
+  }));
+  assert.equal(bad.policy, null);
+  assert.deepEqual(bad.errors, ['chat: invalid rule "/(unclosed/"', "getBackMinutes must be a whole number from 1 to 240"]);
+  assert.deepEqual(BlinkTeam.parseTeamFile(JSON.stringify({ format: "blink-team", version: 1 })).errors,
+    ["The team file has no categories or thresholds"]);
+
+  const { policy, errors } = BlinkTeam.parseTeamFile(JSON.stringify(TEAM_FILE));
+  assert.deepEqual(errors, []);
+  assert.equal(policy.teamName, "Platform");
+  assert.deepEqual(policy.categoryMap, TEAM_FILE.categoryMap);
+  assert.deepEqual(policy.thresholds, { getBackMinutes: 5 });
+});
+
+test("managed values win over the team file, one category and threshold at a time", () => {
+  const file = BlinkTeam.parseTeamFile(JSON.stringify(TEAM_FILE)).policy;
+  const managed = { categoryMap: { chat: ["teams.microsoft.com"] }, thresholds: { inactivitySeconds: 120 } };
+  const team = BlinkTeam.combinePolicies(managed, file);
+  assert.equal(team.source, "both");
+  assert.equal(team.teamName, "Platform");
+  assert.deepEqual(team.categoryMap.chat, ["teams.microsoft.com"]);
+  assert.ok(team.categoryMap.learning);
+  assert.deepEqual(team.thresholds, { getBackMinutes: 5, inactivitySeconds: 120 });
+  assert.deepEqual(team.managedThresholds, ["inactivitySeconds"]);
+  assert.equal(BlinkTeam.combinePolicies({}, null).source, null);
+  assert.equal(BlinkTeam.combinePolicies(managed, null).source, "managed");
+
+  // team thresholds are locked over the user's
+  assert.deepEqual(BlinkTeam.effectiveThresholds({ getBackMinutes: 15, resetGapMinutes: 30 }, { getBackMinutes: 60 }, team.thresholds),
+    { getBackMinutes: 5, resetGapMinutes: 30, inactivitySeconds: 120 });
+});
+
+test("a managed policy categorizes team sites and locks thresholds", async () => {
+  const { clock, browser, bg } = await setup({
+    sync: { thresholds: { getBackMinutes: 60 } },
+    managed: { teamName: "Support", categoryMap: { tickets: ["zendesk.com"] }, categoryMeta: { tickets: { type: "productive", icon: "🎫" } }, thresholds: { getBackMinutes: 5 } }
+  });
+  browser.openTab("https://acme.zendesk.com/agent");
+  await clock.advance(0);
+  assert.equal(bg.get("tracker").category, "tickets");
+  const { categoryMeta, team } = await ask(browser, { action: "getCategoryMeta" });
+  assert.equal(categoryMeta.tickets.icon, "🎫");
+  assert.equal(team.source, "managed");
+
+  // the team's 5 minutes apply, not the user's 60
+  browser.openTab("https://www.reddit.com/");
+  await clock.advance(6 * MIN);
+  assert.ok(Array.from(browser.notifications.values()).some(n => n.title === "Get back to work"));
+});
+
+test("an imported team file takes effect without a restart and focus mode blocks its categories", async () => {
+  const { clock, browser, bg } = await setup({ sync: { focus: { categories: ["chat"] } } });
+  await ask(browser, { action: "startFocus", minutes: 25 });
+  await clock.advance(0);
+  assert.equal(browser.dynamicRules.length, 0);
+
+  const { policy } = BlinkTeam.parseTeamFile(JSON.stringify(TEAM_FILE));
+  await bg.chrome.storage.local.set({ teamPolicy: policy });
+  await clock.advance(0);
+  const redirect = browser.dynamicRules.find(r => r.action.type === "redirect");
+  assert.ok(redirect && new RegExp(redirect.condition.regexFilter).test("https://app.slack.com/client"));
+
+  browser.openTab("https://app.slack.com/client");
+  await clock.advance(0);
+  assert.equal(bg.get("tracker").category, "chat");
+
+  // the administrator overrides the file: chat is now Teams
+  browser.setManagedPolicy({ categoryMap: { chat: ["teams.microsoft.com"] } });
+  await clock.advance(0);
+  const filters = browser.dynamicRules.filter(r => r.action.type === "redirect").map(r => new RegExp(r.condition.regexFilter));
+  assert.ok(filters.some(f => f.test("https://teams.microsoft.com/")));
+  assert.ok(!filters.some(f => f.test("https://app.slack.com/client")));
+
+  await bg.chrome.storage.local.remove("teamPolicy");
+  browser.setManagedPolicy({});
+  await clock.advance(0);
+  assert.equal(browser.dynamicRules.length, 0);
+});
+
+test("the page's timer follows the team's locked inactivity threshold and its changes", async (t) => {
+  const { clock, browser } = await setup({
+    sync: { thresholds: { inactivitySeconds: 600 } },
+    managed: { thresholds: { inactivitySeconds: 60 } }
+  });
+  const page = await openPage(browser, "https://github.com/");
+  t.after(() => page.close());
+
+  // the team's 60 s, not the user's 10 minutes: counting stops at 1m
+  page.activity();
+  await clock.advance(5 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "1m");
+
+  // the administrator drops the lock: the user's 10 minutes apply again
+  browser.setManagedPolicy({});
+  await clock.advance(0);
+  page.activity();
+  await clock.advance(5 * MIN);
+  assert.equal(text(page.$("#bb-timer")), "6m");
+});
+
+test("the page still loads its time when the background does not answer getThresholds", async (t) => {
+  const { clock, browser, bg } = await setup();
+  // a worker that only knows getDomainTime (e.g. mid-update)
+  bg.stop();
+  const worker = browser.createChrome("background");
+  worker.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+    if (msg.action === "getDomainTime") sendResponse({ time: 5 * MIN, category: "productive", lastActive: clock.now() });
+  });
+  const tab = browser.openTab("https://github.com/");
+  const page = await loadContent(browser, tab);
+  t.after(() => page.close());
+  await clock.advance(0);
+  assert.equal(text(page.$("#bb-timer")), "5m");
+});